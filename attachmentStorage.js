@@ -0,0 +1,96 @@
+//
+// XamePage attachment storage helpers
+//
+// Reference counts, which records and files the orphan sweep may take, and
+// storage quota arithmetic. server.js runs the queries around them; these
+// stay free of Mongoose so `npm test` can cover them without a database.
+//
+
+// ============================================================
+// REFERENCE COUNTS AND ORPHANS
+// ============================================================
+
+// Names the server gives uploads: <uuid><ext> and its <uuid>_thumb.webp. The
+// legacy disk sweep touches nothing else (.gitkeep, files put there by hand).
+const UPLOAD_FILE_NAME = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?:_thumb\.webp|\.[a-z0-9]+)?$/i;
+
+/**
+ * Records whose grace period ended before `cutoff`. Records written before
+ * refCount existed have no orphanedAt and fall back to createdAt.
+ */
+function orphanedBefore(cutoff) {
+    return { $or: [
+        { orphanedAt: { $lte: cutoff } },
+        { orphanedAt: { $exists: false }, createdAt: { $lte: cutoff } }
+    ] };
+}
+
+/**
+ * What releasing `urls` does to their records, given url → message count:
+ * { orphaned: urls no message points at, counted: [url, refCount] pairs }.
+ */
+function planRelease(urls, counts) {
+    const unique = [...new Set(urls.filter(Boolean))];
+    return {
+        orphaned: unique.filter(url => !counts.has(url)),
+        counted:  unique.filter(url => counts.has(url)).map(url => [url, counts.get(url)])
+    };
+}
+
+/**
+ * Sweep candidates split by a fresh count of the messages pointing at them:
+ * { referenced: [{ attachment, refCount }] to fix up, orphans: [attachment] to remove }.
+ */
+function partitionOrphans(candidates, references) {
+    const referenced = [];
+    const orphans    = [];
+    candidates.forEach(attachment => {
+        const refCount = references.get(attachment.url) || 0;
+        if (refCount > 0) referenced.push({ attachment, refCount });
+        else orphans.push(attachment);
+    });
+    return { referenced, orphans };
+}
+
+// A file on local disk the legacy sweep may remove (age is checked separately)
+function isSweepableUpload(name, inUse) {
+    return UPLOAD_FILE_NAME.test(name) && !inUse.has(name);
+}
+
+// ============================================================
+// STORAGE QUOTA
+// ============================================================
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// STORAGE_QUOTA_MB → bytes; 0 (or less) turns the quota off
+function quotaBytes(megabytes) {
+    return megabytes > 0 ? megabytes * BYTES_PER_MB : 0;
+}
+
+// Unfinished uploads are `reserved`: they count as already stored
+function fitsQuota({ quota, used, reserved = 0, size }) {
+    return !quota || used + reserved + size <= quota;
+}
+
+// Whole megabytes for messages, never negative
+function toMegabytes(bytes) {
+    return Math.max(0, Math.round(bytes / BYTES_PER_MB));
+}
+
+// A replaced profile picture only needs room for what it adds
+function profilePicGrowth(newSize, oldSize) {
+    return Math.max(0, newSize - (oldSize || 0));
+}
+
+module.exports = {
+    UPLOAD_FILE_NAME,
+    orphanedBefore,
+    planRelease,
+    partitionOrphans,
+    isSweepableUpload,
+    quotaBytes,
+    fitsQuota,
+    toMegabytes,
+    profilePicGrowth
+};
@@ -0,0 +1,86 @@
+//
+// XamePage chat sync helpers
+//
+// History cursors, conversation keys and which stretch of a change feed a
+// reader may be handed. server.js runs the queries; these decide what the
+// results mean, and stay free of Mongoose so `npm test` can cover them.
+//
+
+// ============================================================
+// HISTORY CURSORS
+// ============================================================
+// (ts, messageId) orders messages even when timestamps tie; a cursor is "<ts>:<messageId>".
+
+function historyCursor(msg) {
+    return `${msg.ts}:${msg.messageId}`;
+}
+
+function parseHistoryCursor(cursor) {
+    if (typeof cursor !== 'string') return null;
+    const split = cursor.indexOf(':');
+    const ts    = Number(cursor.slice(0, split));
+    const id    = cursor.slice(split + 1);
+    return split > 0 && Number.isFinite(ts) && id ? { ts, id } : null;
+}
+
+// Messages strictly before (or, going forward, after) a parsed cursor
+function pastCursorQuery(cursor, forward) {
+    const op = forward ? '$gt' : '$lt';
+    return { $or: [
+        { ts: { [op]: cursor.ts } },
+        { ts: cursor.ts, messageId: { [op]: cursor.id } }
+    ] };
+}
+
+// Both directions of a conversation share one seq counter
+function conversationKey(userId, contactId) {
+    return [userId, contactId].sort().join(':');
+}
+
+// ============================================================
+// CHANGE FEED
+// ============================================================
+
+// A `since` the feed can never serve: not a seq, or ahead of the counter
+function isUnservableSince(since, current) {
+    return !Number.isInteger(since) || since < 0 || since > current;
+}
+
+/**
+ * What a reader at `since` may have of `found` — the events after it by seq,
+ * fetched with a limit of batchSize + 1. Only the unbroken run is handed out:
+ * a missing seq followed by a recent event may still be in flight, one
+ * followed by an old event was lost, as were seqs at the end handed out long
+ * before the counter last moved without being written.
+ * Returns { reset: true } for a lost seq, else { events, hasMore }.
+ */
+function unbrokenRun(found, since, { current, counterUpdatedAt, writtenAt, inFlightMs, batchSize, now = Date.now() }) {
+    let hasMore = found.length > batchSize;
+    let events  = found.slice(0, batchSize);
+
+    const gapAt = events.findIndex((e, i) => e.seq !== since + 1 + i);
+    if (gapAt !== -1) {
+        if (now - writtenAt(events[gapAt]) > inFlightMs) return { reset: true };
+        events  = events.slice(0, gapAt);
+        hasMore = false;
+    } else if (!hasMore && since + events.length < current
+        && now - (counterUpdatedAt?.getTime() || 0) > inFlightMs) {
+        return { reset: true };
+    }
+    return { events, hasMore };
+}
+
+// The seq the reader sends next time
+function nextSince(events, since) {
+    return events.length ? events[events.length - 1].seq : since;
+}
+
+module.exports = {
+    historyCursor,
+    parseHistoryCursor,
+    pastCursorQuery,
+    conversationKey,
+    isUnservableSince,
+    unbrokenRun,
+    nextSince
+};
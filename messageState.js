@@ -0,0 +1,140 @@
+//
+// State of the local copy of a chat: which of our bubbles are still unsent,
+// which can be retried through the outbox, which are failed uploads, and how
+// a page of server history is merged in. Loaded by index.html before
+// script.js and required by the tests, so it stays free of DOM and storage access.
+//
+
+// 'sending'       → on its way (in the outbox, or its file is still uploading)
+// 'failed'        → the server refused it or it ran out of attempts; tap to retry
+// 'upload-failed' → its file never reached the server; the bubble only explains why
+const UNSENT_STATUSES = ['sending', 'failed', 'upload-failed'];
+
+// Server rejections whose message should be shown as-is, with their bubble text
+const UPLOAD_REJECTION_LABELS = {
+    MALWARE_DETECTED: 'Blocked: malware detected 🛡️',
+    SCAN_FAILED:      'Not sent: could not be scanned ⚠️',
+    QUOTA_EXCEEDED:   'Not sent: storage full ⚠️'
+};
+const UPLOAD_FAILED_LABEL = 'Upload failed ⚠️';
+
+// Delivery only moves forward: sent → delivered → seen
+const MESSAGE_STATUS_RANK = { sent: 0, delivered: 1, seen: 2 };
+
+// Chat order: server timestamp, then the conversation seq the server assigned
+function compareMessages(a, b) {
+    return ((a.ts || 0) - (b.ts || 0)) || ((a.seq || 0) - (b.seq || 0));
+}
+
+function isUnsentStatus(status) {
+    return UNSENT_STATUSES.includes(status);
+}
+
+function uploadFailureLabel(code) {
+    return UPLOAD_REJECTION_LABELS[code] || UPLOAD_FAILED_LABEL;
+}
+
+// Older versions left failed uploads in 'sending' with the label as their text
+function isUploadFailureText(text) {
+    return text === UPLOAD_FAILED_LABEL || Object.values(UPLOAD_REJECTION_LABELS).includes(text);
+}
+
+// After a reload: the status a bubble stuck in 'sending' should move to, or
+// null when it can still make progress (upload running, or queued to send)
+function strandedStatus(message, queuedIds) {
+    if (message.type !== 'sent' || message.status !== 'sending') return null;
+    if (message.isPending || queuedIds.has(message.id)) return null;
+    return isUploadFailureText(message.text) ? 'upload-failed' : 'failed';
+}
+
+// Without an outbox entry only a plain text message can be rebuilt from its bubble
+function canRebuildFromBubble(message) {
+    return Boolean(message && message.status === 'failed' && !message.file
+        && message.text && !isUploadFailureText(message.text));
+}
+
+// Merges the server's newest page of a conversation into the local copy. The
+// page is the truth for the range it covers — from its oldest message on, or
+// the whole conversation when it isn't full: statuses and links are taken from
+// it, and what it no longer has was deleted. Unsent messages are always kept.
+// A full page sharing nothing with the local copy means messages were missed
+// in between, so the local copy is replaced (older pages load on scroll).
+function mergeHistoryPage(localMessages, serverMessages, pageSize) {
+    const serverById = new Map(serverMessages.filter(m => m && m.id).map(m => [m.id, m]));
+    const localIds = new Set(localMessages.map(m => m.id));
+    const unsent = localMessages.filter(m => isUnsentStatus(m.status));
+    const added = [...serverById.values()].filter(m => !localIds.has(m.id));
+    const full = serverById.size >= pageSize;
+
+    if (full && added.length === serverById.size && localMessages.length > unsent.length) {
+        return {
+            messages: [...added, ...unsent].sort(compareMessages),
+            replaced: true,
+            added:    added.length,
+            updated:  0,
+            removed:  localMessages.length - unsent.length
+        };
+    }
+
+    // Pages end on (ts, id), the server's history order
+    const oldest = full
+        ? [...serverById.values()].reduce((a, b) => (b.ts < a.ts || (b.ts === a.ts && b.id < a.id) ? b : a))
+        : null;
+    const covered = m => !oldest || m.ts > oldest.ts || (m.ts === oldest.ts && m.id >= oldest.id);
+
+    let updated = 0;
+    let removed = 0;
+    const kept = [];
+    localMessages.forEach(m => {
+        const server = serverById.get(m.id);
+        if (!server) {
+            if (!isUnsentStatus(m.status) && covered(m)) {
+                removed++;
+                return;
+            }
+            kept.push(m);
+            return;
+        }
+
+        const next = { ...m };
+        // Attachment links are signed and expire: take the server's fresh ones
+        if (m.file && server.file?.url && m.file.url !== server.file.url) {
+            next.file = { ...m.file, ...server.file };
+        }
+        if ((MESSAGE_STATUS_RANK[server.status] ?? -1) > (MESSAGE_STATUS_RANK[m.status] ?? -1)) {
+            next.status = server.status;
+            // A send whose ack was lost: the server's clock and seq place it
+            if (isUnsentStatus(m.status)) Object.assign(next, { ts: server.ts, seq: server.seq });
+        }
+        if (next.file !== m.file || next.status !== m.status) {
+            updated++;
+            kept.push(next);
+        } else {
+            kept.push(m);
+        }
+    });
+
+    return {
+        messages: [...kept, ...added].sort(compareMessages),
+        replaced: false,
+        added:    added.length,
+        updated,
+        removed
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNSENT_STATUSES,
+        MESSAGE_STATUS_RANK,
+        UPLOAD_REJECTION_LABELS,
+        UPLOAD_FAILED_LABEL,
+        compareMessages,
+        isUnsentStatus,
+        uploadFailureLabel,
+        isUploadFailureText,
+        strandedStatus,
+        canRebuildFromBubble,
+        mergeHistoryPage
+    };
+}
@@ -247,6 +247,9 @@ const KEYS = {
   chat: (id) => `xame:chat:${id}`,
   drafts: 'xame:drafts',
   settings: 'xame:settings',
+  session: 'xame:session',
+  syncSeq: 'xame:syncSeq',
+  outbox: 'xame:outbox',
   version: '2.1'
 };
 const APP_VERSION = '2.1';
@@ -317,30 +320,35 @@ function stopSound(type) {
 
 //Part 1C
 // ===== File Upload Configuration =====
+// Filled from the server's attachment policy (GET /api/attachments/policy) by loadFileConfig()
 const FILE_CONFIG = {
-  maxSize: 500 * 1024 * 1024, // 500MB
+  loaded: false,
+  maxSize: 0,
   allowedTypes: {
-    images: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
-    videos: ['video/mp4', 'video/webm', 'video/ogg'],
-    audio: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/mp4'],
-    documents: [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain',
-      'text/javascript',
-      'application/javascript',
-      'application/x-javascript',
-      'text/css',
-      'text/html'
-    ]
+    images: [],
+    videos: [],
+    audio: [],
+    documents: []
   }
 };
 
+async function loadFileConfig() {
+  try {
+    const response = await fetch('/api/attachments/policy');
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || `Server error: ${response.status}`);
+    }
+    FILE_CONFIG.maxSize = data.policy.maxSize;
+    FILE_CONFIG.allowedTypes = data.policy.allowedTypes;
+    FILE_CONFIG.loaded = true;
+    console.log('📎 Attachment policy loaded');
+  } catch (err) {
+    console.warn('Could not load attachment policy:', err);
+  }
+  return FILE_CONFIG.loaded;
+}
+
 // ===== Utilities with Enhanced Security =====
 const $ = (sel, root = document) => root.querySelector(sel);
 const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
@@ -481,6 +489,8 @@ function cleanUrl(url) {
 
 function addCacheBuster(url) {
     if (!url) return url;
+    // Signed links: the query string is the signature, and expiry already keeps them fresh
+    if (parseSignedFileUrl(url)) return constructFileUrl(url);
     try {
         const cleanedUrl = cleanUrl(url);
         const separator = cleanedUrl.includes('?') ? '&' : '?';
@@ -491,11 +501,112 @@ function addCacheBuster(url) {
     }
 }
 
+// ===== Signed Attachment Links =====
+// Attachments are served from /files/<messageId>?exp=…&sig=… links that expire;
+// constructFileUrl() notices when one is about to — or when a message still holds
+// an old unsigned /uploads/... URL, which the server now refuses — and fetches
+// replacements here.
+const SIGNED_URL_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const SIGNED_URL_RETRY_MS = 30 * 1000;
+const signedUrlRefreshQueue = new Set();
+const signedUrlRequestedAt = new Map(); // messageId → last request, so renders don't hammer the server
+let signedUrlRefreshTimer = null;
+
+function parseSignedFileUrl(url) {
+    const match = /\/files\/([^/?#]+)\?([^#]*)/.exec(url || '');
+    if (!match) return null;
+    const exp = Number(new URLSearchParams(match[2]).get('exp'));
+    return exp ? { messageId: decodeURIComponent(match[1]), exp } : null;
+}
+
+function queueSignedUrlRefresh(messageId) {
+    if (Date.now() - (signedUrlRequestedAt.get(messageId) || 0) < SIGNED_URL_RETRY_MS) return;
+    signedUrlRefreshQueue.add(messageId);
+    clearTimeout(signedUrlRefreshTimer);
+    signedUrlRefreshTimer = setTimeout(refreshSignedFileUrls, 50);
+}
+
+// Local-only URLs (previews, inline data) never need a signature
+function needsFileUrlSigning(url) {
+    return Boolean(url) && !url.startsWith('data:') && !url.startsWith('blob:') && !parseSignedFileUrl(url);
+}
+
+// <img>/<video>/<audio> errors don't say why; ask the server, and re-sign the
+// link if it expired or was never signed
+async function handleFileLoadError(messageId, url) {
+    if (!messageId || !url || url.startsWith('data:') || url.startsWith('blob:')) return;
+    try {
+        const response = await fetch(url, { headers: { Range: 'bytes=0-0' } });
+        if (response.status !== 403) return;
+        const data = await response.json().catch(() => ({}));
+        if (data.code === 'LINK_EXPIRED' || data.code === 'SIGNED_URL_REQUIRED') {
+            queueSignedUrlRefresh(messageId);
+        }
+    } catch (err) {
+        // Offline, or a cross-origin redirect we can't follow — nothing to learn
+    }
+}
+
+async function refreshSignedFileUrls() {
+    const messageIds = [...signedUrlRefreshQueue].slice(0, 200);
+    messageIds.forEach(id => {
+        signedUrlRefreshQueue.delete(id);
+        signedUrlRequestedAt.set(id, Date.now());
+    });
+    if (!messageIds.length || !USER) return;
+
+    try {
+        const response = await authFetch('/api/files/sign', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ messageIds })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || `Server error: ${response.status}`);
+        }
+
+        let activeChatChanged = false;
+        CONTACTS.forEach(contact => {
+            const chat = getChat(contact.id);
+            let changed = false;
+            chat.forEach(m => {
+                if (m.file && data.files[m.id]) {
+                    m.file = { ...m.file, ...data.files[m.id] };
+                    changed = true;
+                }
+            });
+            if (changed) {
+                setChat(contact.id, chat);
+                if (contact.id === ACTIVE_ID) activeChatChanged = true;
+            }
+        });
+
+        if (activeChatChanged) scheduleRender(renderMessages, 'messages');
+    } catch (err) {
+        console.warn('Could not refresh attachment links:', err);
+    }
+
+    if (signedUrlRefreshQueue.size) {
+        signedUrlRefreshTimer = setTimeout(refreshSignedFileUrls, 50);
+    }
+}
+
 // ✅ FIXED: Improved file URL construction - uses relative paths
-function constructFileUrl(fileUrl) {
+// Pass the message id for attachments the server knows about, so an unsigned
+// URL from older local history gets replaced with a signed one.
+function constructFileUrl(fileUrl, messageId = null) {
     if (!fileUrl) return '';
     
     try {
+        // Signed attachment link: ask for a new one shortly before it expires
+        const signed = parseSignedFileUrl(fileUrl);
+        if (signed && signed.exp - Date.now() < SIGNED_URL_REFRESH_MARGIN_MS) {
+            queueSignedUrlRefresh(signed.messageId);
+        } else if (messageId && needsFileUrlSigning(fileUrl)) {
+            queueSignedUrlRefresh(messageId);
+        }
+
         // If already full URL, return as-is
         if (fileUrl.startsWith('http://') || fileUrl.startsWith('https://')) {
             return fileUrl;
@@ -520,6 +631,11 @@ function validateFile(file) {
   if (!file) {
     return { valid: false, error: 'No file selected' };
   }
+
+  if (!FILE_CONFIG.loaded) {
+    loadFileConfig();
+    return { valid: false, error: 'Upload settings are still loading. Please try again in a moment.' };
+  }
   
   if (file.size > FILE_CONFIG.maxSize) {
     return {
@@ -535,7 +651,8 @@ function validateFile(file) {
     ...FILE_CONFIG.allowedTypes.documents
   ];
 
-  if (!allAllowedTypes.includes(file.type)) {
+  const fileType = (file.type || '').split(';')[0].trim().toLowerCase();
+  if (!allAllowedTypes.includes(fileType)) {
     return {
       valid: false,
       error: 'File type not supported'
@@ -619,7 +736,6 @@ let typingTimeout = null;
 let selectedMessages = [];
 let cropper = null;
 let CHAT_HISTORY = {};
-let currentUpload = null;
 
 // FIXED: Resource cleanup tracking
 const RESOURCES = {
@@ -675,6 +791,46 @@ function scheduleReconnect() {
   }, delay);
 }
 
+// =====================
+// 🔐 SESSION TOKEN
+// =====================
+
+function getSessionToken() {
+  return storage.get(KEYS.session);
+}
+
+// fetch() wrapper: attaches the session token and signs out on 401
+async function authFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  const token = getSessionToken();
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    handleSessionExpired();
+  }
+  return response;
+}
+
+function handleSessionExpired() {
+  if (!USER) return;
+  console.warn('🔐 Session expired or revoked - signing out');
+  resetSession();
+  show(elLogin);
+  showNotification('Your session has expired. Please log in again.');
+}
+
+// This account was deleted (here or on another device): forget everything
+function handleAccountDeleted() {
+  if (!USER) return;
+  console.warn('🗑️ Account deleted - wiping local data');
+  resetSession();
+  resetAll();
+  showNotification('Your account has been deleted.');
+}
+
 // ===== PUSH NOTIFICATION SUBSCRIPTION =====
 async function subscribeToPushNotifications() {
     if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
@@ -702,13 +858,10 @@ async function subscribeToPushNotifications() {
             });
         }
 
-        await fetch('/api/save-push-subscription', {
+        await authFetch('/api/save-push-subscription', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                userId: USER.xameId,
-                subscription
-            })
+            body: JSON.stringify({ subscription })
         });
 
         console.log('✅ Push subscription saved');
@@ -729,9 +882,46 @@ function urlBase64ToUint8Array(base64String) {
 // 🚀 APP BOOTSTRAP
 // =====================
 
+// ===== Deep Links =====
+// "/?u=<username or Xame-ID>" opens that person's chat once we are logged in
+let PENDING_DEEP_LINK = null;
+
+function captureDeepLink() {
+  const params = new URLSearchParams(location.search);
+  const handle = params.get('u');
+  if (!handle) return;
+
+  PENDING_DEEP_LINK = handle.trim();
+  params.delete('u');
+  const rest = params.toString();
+  history.replaceState(null, '', location.pathname + (rest ? `?${rest}` : '') + location.hash);
+}
+
+async function openPendingDeepLink() {
+  const handle = PENDING_DEEP_LINK;
+  if (!handle || !USER) return;
+  PENDING_DEEP_LINK = null;
+
+  try {
+    const response = await authFetch(`/api/resolve/${encodeURIComponent(handle)}`);
+    const data = await response.json();
+
+    if (!data.success) {
+      showNotification(data.message || 'That link does not point to a XamePage user.');
+      return;
+    }
+    if (data.xameId !== USER.xameId) openChat(data.xameId);
+  } catch (err) {
+    console.error('Deep link error:', err);
+  }
+}
+
 function bootstrapApp() {
   console.log('🚀 Bootstrapping XamePage v' + APP_VERSION);
 
+  // 0) Remember any "?u=" link before a login screen replaces the URL state
+  captureDeepLink();
+
   // 1) Load memory cache from persistent storage
   initializeMemoryFromPersistent();
 
@@ -741,8 +931,9 @@ function bootstrapApp() {
   window.CHAT_HISTORY = window.CHAT_HISTORY || {};
   window.RESOURCES = window.RESOURCES || { wavesurfers: new Map() };
 
-  // 3) Initialize audio elements
+  // 3) Initialize audio elements and fetch the attachment policy
   initializeAudioElements();
+  loadFileConfig();
 
   // 4) Setup all event listeners
   setupEventListeners();
@@ -750,10 +941,15 @@ function bootstrapApp() {
 
   // 5) Check if user is already logged in
   const savedUser = storage.get(KEYS.user);
-  if (savedUser && savedUser.xameId) {
+  if (savedUser && savedUser.xameId && getSessionToken()) {
     console.log('✅ Restoring session for:', savedUser.xameId);
     // handleLoginSuccess sets USER and THEN calls connectSocket
     handleLoginSuccess(savedUser);
+  } else if (savedUser && savedUser.xameId) {
+    // Saved before session tokens existed - must log in again to get one
+    console.log('🔐 Saved user has no session token - showing login');
+    if (loginXameIdInput) loginXameIdInput.value = savedUser.xameId;
+    show(elLogin);
   } else {
     // No saved user - just show landing, do NOT connect socket
     console.log('👋 No saved session - showing landing page');
@@ -784,6 +980,12 @@ function connectSocket() {
         return;
     }
 
+    // ✅ GUARD: The server rejects handshakes without a session token
+    if (!getSessionToken()) {
+        console.warn('⚠️ connectSocket() called without a session token - aborting');
+        return;
+    }
+
     // ✅ GUARD: Don't create duplicate connections
     if (socket && socket.connected) {
         console.log('✅ Socket already connected for:', USER.xameId);
@@ -802,7 +1004,8 @@ function connectSocket() {
 
     try {
         socket = io({
-            query: { userId: USER.xameId },
+            // Function form: read the token at every (re)connect attempt
+            auth: (cb) => cb({ token: getSessionToken() }),
             transports: ['websocket', 'polling'],
             path: '/socket.io/',
             reconnection: true,
@@ -829,11 +1032,15 @@ function connectSocket() {
             }
         });
 
-        socket.on('message-status-update', ({ recipientId, messageId, status }) => {
+        // One message (messageId) or a batch (messageIds, e.g. delivered on reconnect)
+        socket.on('message-status-update', ({ recipientId, messageId, messageIds, status }) => {
+            const ids = new Set(messageIds || [messageId]);
             const chat = getChat(recipientId);
-            const msg = chat.find(m => m.id === messageId);
-            if (msg) {
-                msg.status = status;
+            // Updates can race each other; never move a tick backwards
+            const upgraded = chat.filter(m => ids.has(m.id)
+                && (MESSAGE_STATUS_RANK[status] ?? -1) > (MESSAGE_STATUS_RANK[m.status] ?? -1));
+            if (upgraded.length > 0) {
+                upgraded.forEach(m => { m.status = status; });
                 setChat(recipientId, chat);
                 if (ACTIVE_ID === recipientId) {
                     scheduleRender(renderMessages, 'messages');
@@ -890,7 +1097,9 @@ function connectSocket() {
                 scheduleRender(renderMessages, 'messages');
             }
 
-            const notification = permanently 
+            const notification = deleterId === USER?.xameId
+                ? `${messageIds.length} message(s) deleted on another device`
+                : permanently
                 ? `${messageIds.length} message(s) were deleted by sender`
                 : `${messageIds.length} message(s) deleted`;
             
@@ -942,6 +1151,17 @@ function connectSocket() {
             console.log('📞 Call acknowledged by:', senderId);
         });
 
+        // Another of our devices answered/declined, or the caller gave up
+        socket.on('call-cancelled', ({ callId, reason }) => {
+            if (window.__pendingCall__?.callId !== callId) return;
+            console.log('📞 Call', callId, 'stopped ringing:', reason);
+
+            stopCallRing();
+            incomingCallOverlay.classList.add('hidden');
+            delete window.__pendingCall__;
+            if (!peerConnection) pendingIceCandidates = [];
+        });
+
         console.log('✅ Socket event handlers registered for:', USER.xameId);
 
     } catch (error) {
@@ -1039,7 +1259,8 @@ async function handleIncomingCall(offer, callerId) {
             if (event.candidate && socket) {
                 socket.emit('ice-candidate', {
                     recipientId: callerId,
-                    candidate: event.candidate
+                    candidate: event.candidate,
+                    callId: window.__pendingCall__?.callId
                 });
             }
         };
@@ -1056,7 +1277,8 @@ async function handleIncomingCall(offer, callerId) {
         if (socket) {
             socket.emit('make-answer', {
                 recipientId: callerId,
-                answer: answer
+                answer: answer,
+                callId: window.__pendingCall__?.callId
             });
         }
 
@@ -1092,6 +1314,7 @@ async function handleIncomingCall(offer, callerId) {
 const elLanding = $('#landing');
 const elRegister = $('#register');
 const elLogin = $('#login');
+const elResetPassword = $('#resetPassword');
 const elContacts = $('#contacts');
 const elChat = $('#chat');
 const elProfile = $('#profileSection');
@@ -1126,6 +1349,9 @@ if (dobHiddenDateInput) {
 const registerForm = $('#registerForm');
 const loginForm = $('#loginForm');
 const loginXameIdInput = $('#loginXameIdInput');
+const forgotPasswordBtn = $('#forgotPasswordBtn');
+const backToLoginBtn = $('#backToLoginBtn');
+const resetPasswordForm = $('#resetPasswordForm');
 
 // Contacts UI
 const contactList = $('#contactList');
@@ -1197,6 +1423,17 @@ const removeProfilePicBtn = $('#removeProfilePicBtn');
 const hideNameCheckbox = $('#hidePreferredNameSwitch');
 const hidePicCheckbox = $('#hideProfilePictureSwitch');
 const xameIdDisplay = $('#xameIdDisplay');
+const usernameDisplay = $('#usernameDisplay');
+const editUsernameBtn = $('#editUsernameBtn');
+const copyProfileLinkBtn = $('#copyProfileLinkBtn');
+const recoveryCodesBtn = $('#recoveryCodesBtn');
+const changePasswordBtn = $('#changePasswordBtn');
+const signOutOtherSessionsBtn = $('#signOutOtherSessionsBtn');
+const passwordChangedDisplay = $('#passwordChangedDisplay');
+const recoveryCodesRemainingDisplay = $('#recoveryCodesRemainingDisplay');
+const twoFactorStatusDisplay = $('#twoFactorStatusDisplay');
+const twoFactorBtn = $('#twoFactorBtn');
+const backupCodesBtn = $('#backupCodesBtn');
 
 // =====================
 // ===== Image Crop ====
@@ -1296,6 +1533,73 @@ function openImageFullscreen(imageUrl, imageName) {
     });
 }
 
+// ===============================
+// ===== Safe File Preview ========
+// ===============================
+// HTML, SVG, JS and similar files can run code if a browser renders them, so
+// they are never opened inline — only shown as inert source text or downloaded.
+const ACTIVE_CONTENT_TYPES = [
+    'text/html',
+    'application/xhtml+xml',
+    'image/svg+xml',
+    'text/javascript',
+    'application/javascript',
+    'application/x-javascript',
+    'text/css',
+    'text/xml',
+    'application/xml'
+];
+const ACTIVE_CONTENT_EXTENSIONS = ['.html', '.htm', '.xhtml', '.svg', '.js', '.mjs', '.css', '.xml'];
+const SAFE_PREVIEW_MAX_CHARS = 100000;
+
+function isActiveContent(fileType = '', fileName = '') {
+    const type = fileType.split(';')[0].trim().toLowerCase();
+    const name = fileName.toLowerCase();
+    return ACTIVE_CONTENT_TYPES.includes(type) ||
+        ACTIVE_CONTENT_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+async function openSafeFilePreview(fileUrl, fileName) {
+    const overlay = document.createElement('div');
+    overlay.className = 'fullscreen-image-overlay';
+    overlay.innerHTML = `
+        <div class="fullscreen-image-container safe-preview-container">
+            <button class="close-fullscreen-btn">✕</button>
+            <div class="safe-preview-header">
+                <strong>${escapeHtml(fileName)}</strong>
+                <span>This file type can run code, so it is shown as plain text.</span>
+            </div>
+            <pre class="safe-preview-source">Loading preview…</pre>
+            <div class="image-actions">
+                <a href="${escapeHtml(fileUrl)}" download="${escapeHtml(fileName)}" class="btn secondary">Download</a>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('.close-fullscreen-btn')?.addEventListener('click', () => overlay.remove());
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            overlay.remove();
+        }
+    });
+
+    const source = overlay.querySelector('.safe-preview-source');
+    try {
+        const response = await fetch(fileUrl);
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const text = await response.text();
+        // textContent, never innerHTML: the markup must stay inert
+        source.textContent = text.length > SAFE_PREVIEW_MAX_CHARS
+            ? `${text.slice(0, SAFE_PREVIEW_MAX_CHARS)}\n\n… (preview truncated — download to see the rest)`
+            : text;
+    } catch (error) {
+        console.error('Safe preview failed:', error);
+        source.textContent = 'Preview unavailable. Download the file to view it.';
+    }
+}
+
 // ===============================
 // ===== Upload Progress UI =======
 // ===============================
@@ -1316,25 +1620,51 @@ function createUploadProgress(msgId, fileName) {
         <div class="upload-progress-bar">
             <div class="upload-progress-fill" style="width: 0%"></div>
         </div>
-        <button class="cancel-upload-btn" data-msg-id="${escapeHtml(msgId)}">Cancel</button>
+        <span class="upload-status"></span>
+        <div class="upload-actions">
+            <button class="pause-upload-btn" data-msg-id="${escapeHtml(msgId)}">Pause</button>
+            <button class="cancel-upload-btn" data-msg-id="${escapeHtml(msgId)}">Cancel</button>
+        </div>
     `;
 
     if (composer) {
         composer.insertAdjacentElement('beforebegin', progressDiv);
     }
 
-    const cancelBtn = progressDiv.querySelector('.cancel-upload-btn');
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-            if (window.currentUpload) {
-                window.currentUpload.abort();
+    const pauseBtn = progressDiv.querySelector('.pause-upload-btn');
+    if (pauseBtn) {
+        pauseBtn.addEventListener('click', () => {
+            if (activeUploads.get(msgId)?.paused) {
+                resumeUpload(msgId);
+            } else {
+                pauseUpload(msgId);
             }
         });
     }
 
+    const cancelBtn = progressDiv.querySelector('.cancel-upload-btn');
+    if (cancelBtn) {
+        cancelBtn.addEventListener('click', () => cancelUpload(msgId));
+    }
+
     return progressDiv;
 }
 
+function setUploadProgressStatus(msgId, text) {
+    const status = document.querySelector(`#upload-progress-${CSS.escape(msgId)} .upload-status`);
+    if (status) {
+        status.textContent = text;
+    }
+}
+
+function setUploadProgressPaused(msgId, paused) {
+    const pauseBtn = document.querySelector(`#upload-progress-${CSS.escape(msgId)} .pause-upload-btn`);
+    if (pauseBtn) {
+        pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    }
+    setUploadProgressStatus(msgId, paused ? 'Paused' : '');
+}
+
 function updateUploadProgress(msgId, percentage) {
     const progressDiv = document.getElementById(`upload-progress-${msgId}`);
     if (progressDiv) {
@@ -1357,25 +1687,331 @@ function removeUploadProgress(msgId) {
     }
 }
 
-function handleUploadError(msgId, errorMessage) {
-    showNotification(`Upload failed: ${errorMessage}`);
-    console.error("File upload failed:", errorMessage);
+// The bubble keeps the reason (UPLOAD_REJECTION_LABELS, messageState.js) and
+// leaves 'sending' for 'upload-failed', so it is never offered to the outbox
+function handleUploadError(msgId, errorMessage, chatId = ACTIVE_ID, code = null) {
+    const rejectionLabel = UPLOAD_REJECTION_LABELS[code];
+    showNotification(rejectionLabel ? errorMessage : `Upload failed: ${errorMessage}`);
+    console.error("File upload failed:", code || '', errorMessage);
 
-    const chatToUpdate = getChat(ACTIVE_ID);
+    const chatToUpdate = getChat(chatId);
     if (!chatToUpdate) return;
 
     const msgIndex = chatToUpdate.findIndex(m => m.id === msgId);
     if (msgIndex !== -1) {
-        chatToUpdate[msgIndex].text = 'Upload failed ⚠️';
+        chatToUpdate[msgIndex].text = uploadFailureLabel(code);
+        chatToUpdate[msgIndex].status = 'upload-failed';
         chatToUpdate[msgIndex].isPending = false;
         chatToUpdate[msgIndex].uploadProgress = 0;
-        setChat(ACTIVE_ID, chatToUpdate);
-        renderMessages();
+        setChat(chatId, chatToUpdate);
+        if (chatId === ACTIVE_ID) renderMessages();
+    }
+
+    removeUploadProgress(msgId);
+}
+
+// ===============================
+// ===== Resumable Uploads ========
+// ===============================
+// Attachments go up in numbered chunks (see /api/uploads on the server), so a
+// network blip only repeats one chunk. The File and its session id are kept in
+// IndexedDB, which lets an upload pick up where it stopped after a page reload.
+
+const UPLOAD_DB_NAME = 'xamepage-uploads';
+const UPLOAD_DB_STORE = 'pending';
+const UPLOAD_RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const activeUploads = new Map(); // msgId → upload state
+
+function openUploadDb() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+        const request = indexedDB.open(UPLOAD_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(UPLOAD_DB_STORE, { keyPath: 'msgId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function uploadDbRequest(mode, action) {
+    const db = await openUploadDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(UPLOAD_DB_STORE, mode);
+        const request = action(tx.objectStore(UPLOAD_DB_STORE));
+        tx.oncomplete = () => { db.close(); resolve(request.result); };
+        tx.onerror = () => { db.close(); reject(tx.error); };
+    });
+}
+
+// Best effort: without IndexedDB an upload still works, it just can't survive a reload
+function savePendingUpload(upload) {
+    return uploadDbRequest('readwrite', store => store.put({
+        msgId: upload.msgId,
+        chatId: upload.chatId,
+        ownerId: upload.ownerId,
+        ts: upload.ts,
+        uploadId: upload.uploadId,
+        paused: upload.paused,
+        file: upload.file
+    })).catch(err => console.warn('Could not persist upload for resume:', err));
+}
+
+function deletePendingUpload(msgId) {
+    return uploadDbRequest('readwrite', store => store.delete(msgId))
+        .catch(err => console.warn('Could not forget pending upload:', err));
+}
+
+function listPendingUploads() {
+    return uploadDbRequest('readonly', store => store.getAll()).catch(() => []);
+}
+
+function uploadError(message, status = 0, code = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+async function uploadRequest(url, options = {}) {
+    const response = await authFetch(url, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        throw uploadError(data.message || `Server error: ${response.status}`, response.status, data.code);
+    }
+    return data;
+}
+
+// One chunk per request; XHR rather than fetch for upload progress events
+function putUploadChunk(upload, index) {
+    return new Promise((resolve, reject) => {
+        const start = index * upload.chunkSize;
+        const chunk = upload.file.slice(start, Math.min(start + upload.chunkSize, upload.file.size));
+        const xhr = new XMLHttpRequest();
+        upload.xhr = xhr;
+
+        xhr.upload.addEventListener('progress', (e) => {
+            if (e.lengthComputable) {
+                updateUploadProgress(upload.msgId, ((start + e.loaded) / upload.file.size) * 100);
+            }
+        });
+
+        xhr.addEventListener('load', () => {
+            upload.xhr = null;
+            let data = null;
+            try { data = JSON.parse(xhr.responseText); } catch (e) { /* not JSON */ }
+
+            // 409 = we were out of step with the server; its offset tells us where to carry on
+            if ((xhr.status === 200 || xhr.status === 409) && data?.upload) {
+                resolve(data.upload);
+                return;
+            }
+            if (xhr.status === 401) handleSessionExpired();
+            reject(uploadError(data?.message || `Server error: ${xhr.status}`, xhr.status, data?.code));
+        });
+        xhr.addEventListener('error', () => {
+            upload.xhr = null;
+            reject(uploadError('Network error during upload'));
+        });
+        xhr.addEventListener('abort', () => {
+            upload.xhr = null;
+            reject(uploadError('Upload interrupted'));
+        });
+
+        xhr.open('PUT', `/api/uploads/${encodeURIComponent(upload.uploadId)}/chunks/${index}`);
+        xhr.setRequestHeader('Authorization', `Bearer ${getSessionToken()}`);
+        xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+        xhr.send(chunk);
+    });
+}
+
+async function runUpload(upload) {
+    if (upload.running || upload.paused || upload.cancelled) return;
+    upload.running = true;
+    setUploadProgressStatus(upload.msgId, '');
+
+    try {
+        if (!upload.uploadId) {
+            const data = await uploadRequest('/api/uploads', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    fileName: upload.file.name,
+                    fileType: upload.file.type,
+                    fileSize: upload.file.size
+                })
+            });
+            upload.uploadId = data.upload.uploadId;
+            upload.chunkSize = data.upload.chunkSize;
+            upload.received = 0;
+            savePendingUpload(upload);
+        } else {
+            // Resuming: the server knows how much actually arrived
+            const data = await uploadRequest(`/api/uploads/${encodeURIComponent(upload.uploadId)}`);
+            upload.chunkSize = data.upload.chunkSize;
+            upload.received = data.upload.received;
+        }
+
+        updateUploadProgress(upload.msgId, (upload.received / upload.file.size) * 100);
+
+        while (upload.received < upload.file.size) {
+            if (upload.paused || upload.cancelled) return;
+            const status = await putUploadChunk(upload, Math.floor(upload.received / upload.chunkSize));
+            upload.received = status.received;
+            upload.attempt = 0;
+            updateUploadProgress(upload.msgId, (upload.received / upload.file.size) * 100);
+        }
+
+        const done = await uploadRequest(`/api/uploads/${encodeURIComponent(upload.uploadId)}/complete`, {
+            method: 'POST'
+        });
+
+        activeUploads.delete(upload.msgId);
+        deletePendingUpload(upload.msgId);
+        removeUploadProgress(upload.msgId);
+        sendUploadedFileMessage(upload, done.url, done.type, done.image);
+    } catch (error) {
+        if (upload.paused || upload.cancelled) return;
+
+        if (error.status === 401) {
+            // Signed out — keep the pending record so it resumes after the next login
+            stopUpload(upload);
+        } else if (error.code === 'UPLOAD_SESSION_LOST') {
+            // The server dropped the partial file; start a fresh session from byte 0
+            upload.uploadId = null;
+            upload.received = 0;
+            savePendingUpload(upload);
+            scheduleUploadRetry(upload);
+        } else if (error.status >= 400 && error.status < 500 && error.status !== 409) {
+            console.error('❌ Upload rejected:', error.message);
+            activeUploads.delete(upload.msgId);
+            deletePendingUpload(upload.msgId);
+            handleUploadError(upload.msgId, error.message, upload.chatId, error.code);
+        } else {
+            scheduleUploadRetry(upload);
+        }
+    } finally {
+        upload.running = false;
+    }
+}
+
+function scheduleUploadRetry(upload) {
+    const delay = UPLOAD_RETRY_DELAYS[Math.min(upload.attempt, UPLOAD_RETRY_DELAYS.length - 1)];
+    upload.attempt++;
+    console.warn(`⚠️ Upload ${upload.msgId} interrupted, retrying in ${delay}ms`);
+    setUploadProgressStatus(upload.msgId, `Connection lost — retrying in ${Math.round(delay / 1000)}s`);
+
+    clearTimeout(upload.retryTimer);
+    upload.retryTimer = setTimeout(() => runUpload(upload), delay);
+}
+
+function stopUpload(upload) {
+    clearTimeout(upload.retryTimer);
+    if (upload.xhr) upload.xhr.abort();
+}
+
+function pauseUpload(msgId) {
+    const upload = activeUploads.get(msgId);
+    if (!upload || upload.paused) return;
+
+    upload.paused = true;
+    stopUpload(upload);
+    savePendingUpload(upload);
+    setUploadProgressPaused(msgId, true);
+}
+
+function resumeUpload(msgId) {
+    const upload = activeUploads.get(msgId);
+    if (!upload || !upload.paused) return;
+
+    upload.paused = false;
+    upload.attempt = 0;
+    savePendingUpload(upload);
+    setUploadProgressPaused(msgId, false);
+    runUpload(upload);
+}
+
+function cancelUpload(msgId) {
+    const upload = activeUploads.get(msgId);
+    if (!upload) return;
+
+    upload.cancelled = true;
+    stopUpload(upload);
+    activeUploads.delete(msgId);
+    deletePendingUpload(msgId);
+
+    if (upload.uploadId) {
+        authFetch(`/api/uploads/${encodeURIComponent(upload.uploadId)}`, { method: 'DELETE' })
+            .catch(err => console.warn('Could not cancel upload session:', err));
     }
 
     removeUploadProgress(msgId);
+    const chatToUpdate = getChat(upload.chatId);
+    const msgIndex = chatToUpdate.findIndex(m => m.id === msgId);
+    if (msgIndex !== -1) {
+        chatToUpdate.splice(msgIndex, 1);
+        setChat(upload.chatId, chatToUpdate);
+        if (upload.chatId === ACTIVE_ID) renderMessages();
+    }
+    console.log('⚠️ Upload cancelled by user');
+    showNotification('Upload cancelled');
+}
+
+// Logout: stop network activity but keep the records for this user's next session
+function stopActiveUploads() {
+    activeUploads.forEach(upload => {
+        upload.cancelled = true;
+        stopUpload(upload);
+        removeUploadProgress(upload.msgId);
+    });
+    activeUploads.clear();
+}
+
+// After login/reload: pick up this user's unfinished uploads
+async function resumePendingUploads() {
+    if (!USER) return;
+
+    for (const record of await listPendingUploads()) {
+        if (record.ownerId !== USER.xameId || activeUploads.has(record.msgId)) continue;
+
+        // The placeholder message is gone (chat cleared) — drop the upload too
+        const stillPending = getChat(record.chatId).some(m => m.id === record.msgId && m.isPending);
+        if (!stillPending) {
+            deletePendingUpload(record.msgId);
+            if (record.uploadId) {
+                authFetch(`/api/uploads/${encodeURIComponent(record.uploadId)}`, { method: 'DELETE' }).catch(() => {});
+            }
+            continue;
+        }
+
+        const upload = {
+            ...record,
+            chunkSize: 0,
+            received: 0,
+            attempt: 0,
+            cancelled: false,
+            running: false
+        };
+        activeUploads.set(upload.msgId, upload);
+        createUploadProgress(upload.msgId, upload.file.name);
+        setUploadProgressPaused(upload.msgId, upload.paused);
+        console.log(`🔁 Resuming upload of ${upload.file.name}`);
+        runUpload(upload);
+    }
 }
 
+window.addEventListener('online', () => {
+    activeUploads.forEach(upload => {
+        if (!upload.paused && !upload.running) {
+            clearTimeout(upload.retryTimer);
+            runUpload(upload);
+        }
+    });
+});
+
 // ===============================
 // ===== Image Send Preview =======
 // ===============================
@@ -2350,17 +2986,21 @@ function showIncomingCallNotification(caller, callType, offer) {
   incomingCallOverlay.classList.remove('hidden');
     
   acceptCallBtn.onclick = async () => {
+      // handleIncomingCall() clears __pendingCall__, so grab the id first
+      const callId = window.__pendingCall__?.callId;
       stopCallRing();
       incomingCallOverlay.classList.add('hidden');
       openChat(caller.xameId);
       await handleIncomingCall(offer, caller.xameId);
-      socket?.emit('call-accepted', { recipientId: caller.xameId });
+      socket?.emit('call-accepted', { recipientId: caller.xameId, callId });
   };
     
   declineCallBtn.onclick = () => {
+      const callId = window.__pendingCall__?.callId;
       stopCallRing();
       incomingCallOverlay.classList.add('hidden');
-      socket?.emit('call-rejected', { recipientId: caller.xameId, reason: 'user-rejected' });
+      delete window.__pendingCall__;
+      socket?.emit('call-rejected', { recipientId: caller.xameId, reason: 'user-rejected', callId });
   };
 }
 
@@ -2528,7 +3168,7 @@ function endCall() {
 */
 
 function show(section) {
-  [elLanding, elRegister, elLogin, elContacts, elChat, elProfile, elStatus]
+  [elLanding, elRegister, elLogin, elResetPassword, elContacts, elChat, elProfile, elStatus]
     .forEach(s => { if (s && s !== section) s.classList.add('hidden'); });
   if (section) {
     section.classList.remove('hidden');
@@ -2536,8 +3176,12 @@ function show(section) {
   }
 }
 
-function handleLoginSuccess(user) {
+function handleLoginSuccess(user, token) {
     USER = user;
+
+    if (token) {
+        storage.set(KEYS.session, token);
+    }
     
     // FIXED: Proper cache busting
     if (USER.profilePic) {
@@ -2550,7 +3194,7 @@ function handleLoginSuccess(user) {
     DRAFTS = storage.get(KEYS.drafts, {});
     
     // Explicitly hide all other screens first
-    [elLanding, elRegister, elLogin, elChat, elProfile, elStatus].forEach(s => 
+    [elLanding, elRegister, elLogin, elResetPassword, elChat, elProfile, elStatus].forEach(s => 
         s?.classList.add('hidden')
     );
     
@@ -2572,11 +3216,14 @@ function handleLoginSuccess(user) {
     }
     
     renderContacts();
+    openPendingDeepLink();
+    resumePendingUploads();
+    markStrandedMessages();
 }
 
 function init() {
   const user = storage.get(KEYS.user);
-  if (user && user.xameId) {
+  if (user && user.xameId && getSessionToken()) {
     handleLoginSuccess(user);
   } else {
     show(elLanding);
@@ -2701,7 +3348,8 @@ function renderContacts(filter = '') {
     list = list.filter(c => {
         const name = (c.name || '').toLowerCase();
         const id = (c.id || '').toLowerCase();
-        return name.includes(q) || id.includes(q);
+        const username = (c.username || '').toLowerCase();
+        return name.includes(q) || id.includes(q) || (username && `@${username}`.includes(q));
     });
   }
 
@@ -2867,7 +3515,7 @@ function openChat(id) {
     `;
 
     $('#chatName').textContent = c.name;
-    $('#chatSub').textContent = c.online ? 'Online' : 'Offline';
+    $('#chatSub').textContent = c.deleted ? 'Account deleted' : (c.online ? 'Online' : 'Offline');
     $('#contactIdDisplay').textContent = c.id;
     
     const newBackBtn = $('#backBtn');
@@ -2889,6 +3537,7 @@ function openChat(id) {
         newChatMoreBtn.addEventListener('click', renderChatMoreMenu);
     }
 
+    currentMessagePage = 1;
     renderMessages();
     
     if (composer) {
@@ -2904,6 +3553,12 @@ function openChat(id) {
     if (messageInput) messageInput.classList.remove('hidden');
     if (attachBtn) attachBtn.classList.remove('hidden');
     if (micBtn) micBtn.classList.remove('hidden');
+
+    // Read-only history: there is nobody left to message
+    if (c.deleted && composer) {
+        composer.classList.add('hidden');
+        composer.style.display = 'none';
+    }
     
     const draft = DRAFTS[id] || '';
     if (messageInput) {
@@ -3185,11 +3840,10 @@ async function deleteContact(contactId) {
   if (deleteBtn) deleteBtn.disabled = true;
 
   try {
-    const response = await fetch(`${serverURL}/api/delete-chat-and-contact`, {
+    const response = await authFetch(`${serverURL}/api/delete-chat-and-contact`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        userId: USER.xameId,
         contactId: contactId
       })
     });
@@ -3299,11 +3953,10 @@ function renderEditContactDialog(contact) {
     feedbackEl.textContent = 'Saving...';
 
     try {
-      const response = await fetch(`${serverURL}/api/update-contact`, {
+      const response = await authFetch(`${serverURL}/api/update-contact`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: USER.xameId,
           contactId: contact.id,
           newName: newName
         })
@@ -3490,16 +4143,29 @@ function messageBubble(m) {
 
   // ===== FILE MESSAGE =====
   } else if (m.file && m.file.url) {
-    let fileUrl = constructFileUrl(m.file.url);
+    // Not yet on the server while sending; its ack brings the signed links
+    const signingId = isUnsentStatus(m.status) ? null : m.id;
+    let fileUrl = constructFileUrl(m.file.url, signingId);
     const fileType = m.file.type;
     const fileName = m.file.name || 'file';
     let fileContent = '';
 
-    // IMAGE
-    if (fileType.startsWith('image/')) {
+    const activeContent = isActiveContent(fileType, fileName);
+
+    // IMAGE (SVG is active content — handled as a document below)
+    // The bubble shows the thumbnail; the original only loads in openImageFullscreen
+    if (fileType.startsWith('image/') && !activeContent) {
+      const { width, height, placeholder } = m.file;
+      const thumbUrl = m.file.thumbUrl ? constructFileUrl(m.file.thumbUrl) : fileUrl;
+      const hasSize = width > 0 && height > 0;
       fileContent = `
-        <div class="image-preview" data-url="${escapeHtml(fileUrl)}">
-          <img src="${escapeHtml(fileUrl)}" alt="${escapeHtml(fileName)}" loading="lazy">
+        <div class="image-preview${placeholder ? ' has-placeholder' : ''}" data-url="${escapeHtml(fileUrl)}"
+             ${hasSize ? `style="aspect-ratio: ${Number(width)} / ${Number(height)}"` : ''}>
+          ${placeholder && placeholder.startsWith('data:image/')
+            ? `<img class="image-placeholder" src="${escapeHtml(placeholder)}" alt="" aria-hidden="true">`
+            : ''}
+          <img class="image-thumb" src="${escapeHtml(thumbUrl)}" alt="${escapeHtml(fileName)}" loading="lazy"
+               ${hasSize ? `width="${Number(width)}" height="${Number(height)}"` : ''}>
           <div class="image-overlay">
             <button class="view-fullscreen-btn">🔍 View</button>
           </div>
@@ -3535,6 +4201,23 @@ function messageBubble(m) {
         </div>
       `;
     }
+    // ACTIVE DOCUMENT (HTML, SVG, JS...) — safe text preview, never opened inline
+    else if (activeContent) {
+      const fileIcon = getFileIcon(fileType, fileName);
+      fileContent = `
+        <div class="document-preview active-content" role="button" tabindex="0">
+          <div class="doc-icon">${fileIcon}</div>
+          <div class="doc-details">
+            <span class="doc-name">${escapeHtml(fileName)}</span>
+            <span class="doc-type">
+              ${(fileType.split('/')[1] || 'FILE').toUpperCase()} · tap to preview as text
+            </span>
+          </div>
+          <a href="${escapeHtml(fileUrl)}" download="${escapeHtml(fileName)}"
+             class="doc-download-btn" title="Download">⬇️</a>
+        </div>
+      `;
+    }
     // DOCUMENT
     else {
       const fileIcon = getFileIcon(fileType, fileName);
@@ -3561,6 +4244,19 @@ function messageBubble(m) {
       </div>
     `;
 
+    // A link that stopped working may just need a fresh signature
+    div.querySelectorAll('.image-thumb, .video-preview video, .audio-message-container audio').forEach(el => {
+      el.addEventListener('error', () => handleFileLoadError(signingId, el.currentSrc || el.src), { once: true });
+    });
+
+    // Fade the thumbnail in over its blur placeholder
+    const thumbImg = div.querySelector('.image-thumb');
+    if (thumbImg) {
+      const markLoaded = () => thumbImg.classList.add('loaded');
+      if (thumbImg.complete && thumbImg.naturalWidth) markLoaded();
+      else thumbImg.addEventListener('load', markLoaded, { once: true });
+    }
+
     // Image fullscreen viewer
     const imagePreview = div.querySelector('.image-preview');
     imagePreview?.addEventListener('click', (e) => {
@@ -3569,6 +4265,14 @@ function messageBubble(m) {
       openImageFullscreen(fileUrl, fileName);
     });
 
+    // Active content: inert text preview (the download link keeps its default action)
+    const activePreview = div.querySelector('.document-preview.active-content');
+    activePreview?.addEventListener('click', (e) => {
+      if (selectedMessages.length > 0 || e.target.closest('.doc-download-btn')) return;
+      e.stopPropagation();
+      openSafeFilePreview(fileUrl, fileName);
+    });
+
     // ===== AUDIO WAVEFORM INIT (SAFE) =====
     if (fileType.startsWith('audio/')) {
       const audioElement = div.querySelector(`#audio-${m.id}`);
@@ -3669,6 +4373,22 @@ function messageBubble(m) {
     `;
   }
 
+  // ===== FAILED SEND =====
+  // A failed upload has nothing to resend — its text says why it wasn't sent
+  if (m.type === 'sent' && m.status === 'upload-failed') {
+    div.classList.add('failed');
+  } else if (m.type === 'sent' && m.status === 'failed') {
+    div.classList.add('failed');
+    const retryBtn = document.createElement('button');
+    retryBtn.className = 'retry-send-btn';
+    retryBtn.textContent = 'Not sent — tap to retry';
+    retryBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      retryOutboxMessage(ACTIVE_ID, m.id);
+    });
+    div.appendChild(retryBtn);
+  }
+
   return div;
 }
 
@@ -3816,7 +4536,11 @@ function renderDeleteMenu() {
 }
 
 function renderTicks(status) {
-  if (status === 'seen') {
+  if (status === 'sending') {
+    return '🕓';
+  } else if (status === 'failed' || status === 'upload-failed') {
+    return '⚠️';
+  } else if (status === 'seen') {
     return '✓✓';
   } else if (status === 'delivered') {
     return '✓✓';
@@ -3830,22 +4554,99 @@ const MESSAGE_PAGE_SIZE = 100; // Load 100 messages at a time
 let currentMessagePage = 1;
 let isLoadingMoreMessages = false;
 
-function renderMessages() {
-  if (!messagesEl) return;
+// Older pages come from the server (get_messages) once the local copy runs out.
+// chat_history only carries the newest SERVER_HISTORY_PAGE_SIZE per chat.
+const SERVER_HISTORY_PAGE_SIZE = 50; // HISTORY_PAGE_SIZE on the server
+const LOAD_OLDER_SCROLL_THRESHOLD = 80; // px from the top
+const HISTORY_REQUEST_TIMEOUT_MS = 10000;
+const historyExhausted = new Set(); // chats whose oldest message we already have
 
-  // CRITICAL FIX: Clean up existing WaveSurfers BEFORE clearing DOM
-  const existingBubbles = Array.from(messagesEl.querySelectorAll('.bubble'));
-  existingBubbles.forEach(bubble => {
-    if (bubble.wavesurfer && typeof bubble.wavesurfer.destroy === 'function') {
-      try {
-        bubble.wavesurfer.destroy();
-        console.log('Destroyed WaveSurfer before re-render');
-      } catch (e) {
-        console.error('WaveSurfer destroy error:', e);
-      }
-      delete bubble.wavesurfer;
-    }
-  });
+function historyCursorOf(m) {
+  return `${m.ts}:${m.id}`;
+}
+
+function requestMessagesPage(contactId, cursor) {
+  return new Promise((resolve, reject) => {
+    if (!socket?.connected) {
+      reject(new Error('Not connected'));
+      return;
+    }
+    socket.timeout(HISTORY_REQUEST_TIMEOUT_MS).emit('get_messages',
+      { contactId, limit: MESSAGE_PAGE_SIZE, ...cursor },
+      (err, response) => {
+        if (err) reject(new Error('Timed out loading messages'));
+        else if (!response?.success) reject(new Error(response?.message || 'Could not load messages'));
+        else resolve(response);
+      });
+  });
+}
+
+async function loadOlderMessages() {
+  const contactId = ACTIVE_ID;
+  if (!contactId || isLoadingMoreMessages) return;
+
+  const chat = getChat(contactId);
+
+  // Still more on this device: just show another page of it
+  if (chat.length > MESSAGE_PAGE_SIZE * currentMessagePage) {
+    currentMessagePage++;
+    renderMessages({ keepScrollPosition: true });
+    return;
+  }
+  if (historyExhausted.has(contactId) || !socket?.connected) return;
+
+  isLoadingMoreMessages = true;
+  const loadMoreBtn = messagesEl?.querySelector('.load-more-messages-btn');
+  if (loadMoreBtn) {
+    loadMoreBtn.disabled = true;
+    loadMoreBtn.textContent = 'Loading older messages...';
+  }
+
+  try {
+    // Unsent messages carry a local timestamp, so page back from the oldest the server has
+    const oldest = chat.find(m => !isUnsentStatus(m.status));
+    const page = await requestMessagesPage(contactId, oldest ? { before: historyCursorOf(oldest) } : {});
+    if (!page.hasMore) historyExhausted.add(contactId);
+
+    const current = getChat(contactId);
+    const knownIds = new Set(current.map(m => m.id));
+    const older = page.messages.filter(m => m && m.id && !knownIds.has(m.id));
+    if (older.length > 0) {
+      setChat(contactId, [...older, ...current].sort(compareMessages));
+      currentMessagePage++;
+    }
+  } catch (error) {
+    console.error('Failed to load older messages:', error);
+    showNotification('Could not load older messages.');
+  } finally {
+    isLoadingMoreMessages = false;
+  }
+
+  if (ACTIVE_ID === contactId) renderMessages({ keepScrollPosition: true });
+}
+
+messagesEl?.addEventListener('scroll', () => {
+  if (messagesEl.scrollTop < LOAD_OLDER_SCROLL_THRESHOLD) loadOlderMessages();
+}, { passive: true });
+
+// keepScrollPosition: after prepending older messages, keep what the user was looking at in place
+function renderMessages({ keepScrollPosition = false } = {}) {
+  if (!messagesEl) return;
+  const distanceFromBottom = messagesEl.scrollHeight - messagesEl.scrollTop;
+
+  // CRITICAL FIX: Clean up existing WaveSurfers BEFORE clearing DOM
+  const existingBubbles = Array.from(messagesEl.querySelectorAll('.bubble'));
+  existingBubbles.forEach(bubble => {
+    if (bubble.wavesurfer && typeof bubble.wavesurfer.destroy === 'function') {
+      try {
+        bubble.wavesurfer.destroy();
+        console.log('Destroyed WaveSurfer before re-render');
+      } catch (e) {
+        console.error('WaveSurfer destroy error:', e);
+      }
+      delete bubble.wavesurfer;
+    }
+  });
 
   // Clear the resources map
   RESOURCES.wavesurfers.forEach((ws, key) => {
@@ -3892,11 +4693,14 @@ function renderMessages() {
 
   messagesEl.appendChild(fragment);
 
-  // Show load more button if there are more messages
-  if (startIndex > 0 && !isLoadingMoreMessages) {
+  // Show load more button if there are more messages, here or on the server
+  const serverMayHaveMore = totalMessages > 0 && !historyExhausted.has(ACTIVE_ID);
+  if ((startIndex > 0 || serverMayHaveMore) && !isLoadingMoreMessages) {
     const loadMoreBtn = document.createElement('button');
     loadMoreBtn.className = 'load-more-messages-btn';
-    loadMoreBtn.textContent = `Load ${Math.min(MESSAGE_PAGE_SIZE, startIndex)} more messages`;
+    loadMoreBtn.textContent = startIndex > 0
+      ? `Load ${Math.min(MESSAGE_PAGE_SIZE, startIndex)} more messages`
+      : 'Load older messages';
     loadMoreBtn.style.cssText = `
       display: block;
       margin: 10px auto;
@@ -3908,17 +4712,16 @@ function renderMessages() {
       cursor: pointer;
     `;
 
-    loadMoreBtn.addEventListener('click', () => {
-      currentMessagePage++;
-      isLoadingMoreMessages = true;
-      renderMessages();
-      isLoadingMoreMessages = false;
-    });
+    loadMoreBtn.addEventListener('click', loadOlderMessages);
 
     messagesEl.insertBefore(loadMoreBtn, messagesEl.firstChild);
   }
 
-  scrollToBottom();
+  if (keepScrollPosition) {
+    messagesEl.scrollTop = messagesEl.scrollHeight - distanceFromBottom;
+  } else {
+    scrollToBottom();
+  }
 }
 
 function enterSelectMode() {
@@ -4235,6 +5038,150 @@ function renderPasswordSetupDialog(userData) {
   return wrap;
 }
 
+// =====================
+// ACCOUNT RECOVERY CODES
+// =====================
+
+// Also used for 2FA backup codes via `options`
+function renderRecoveryCodesDialog(codes, options = {}) {
+  const {
+    title = '🔑 Your Recovery Codes',
+    description = 'Each code can reset your password once.',
+    label = 'recovery codes',
+    filename = 'xamepage-recovery-codes.txt'
+  } = options;
+
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>${escapeHtml(title)}</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        ${escapeHtml(description)} Store them somewhere safe —
+        they will not be shown again.
+      </p>
+      <ol class="recovery-codes">
+        ${codes.map(code => `<li><code>${escapeHtml(code)}</code></li>`).join('')}
+      </ol>
+      <div class="row" style="display: flex; gap: 10px; margin-top: 16px;">
+        <button class="btn secondary" id="copyRecoveryCodesBtn" style="flex: 1;">Copy</button>
+        <button class="btn secondary" id="downloadRecoveryCodesBtn" style="flex: 1;">Download</button>
+      </div>
+      <button class="btn primary" id="closeRecoveryCodesBtn" style="width: 100%; margin-top: 10px;">
+        I've saved them
+      </button>
+    </div>`;
+
+  const codesText = codes.join('\n');
+
+  wrap.querySelector('#copyRecoveryCodesBtn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(codesText);
+      showNotification(`Copied ${label}`);
+    } catch (err) {
+      console.error('Copy recovery codes error:', err);
+      showNotification('Could not copy. Please write the codes down.');
+    }
+  });
+
+  wrap.querySelector('#downloadRecoveryCodesBtn').addEventListener('click', () => {
+    const blob = new Blob(
+      [`XamePage ${label} for ${USER?.xameId || ''}\n\n${codesText}\n`],
+      { type: 'text/plain' }
+    );
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  wrap.querySelector('#closeRecoveryCodesBtn').addEventListener('click', closeDialog);
+
+  return wrap;
+}
+
+function renderRegenerateRecoveryCodesDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>🔑 New Recovery Codes</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        Your old recovery codes will stop working. Enter your password to continue.
+      </p>
+      <div class="row" style="margin: 16px 0;">
+        <input id="recoveryPasswordInput"
+               class="input"
+               type="password"
+               placeholder="Current password"
+               autocomplete="current-password" />
+      </div>
+      <div class="row" style="display: flex; gap: 10px;">
+        <button class="btn secondary" id="cancelRecoveryBtn" style="flex: 1;">Cancel</button>
+        <button class="btn primary" id="generateRecoveryBtn" style="flex: 1;">Generate</button>
+      </div>
+      <div id="recoveryFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const passwordInput = wrap.querySelector('#recoveryPasswordInput');
+  const generateBtn = wrap.querySelector('#generateRecoveryBtn');
+  const feedbackEl = wrap.querySelector('#recoveryFeedback');
+
+  wrap.querySelector('#cancelRecoveryBtn').addEventListener('click', closeDialog);
+
+  generateBtn.addEventListener('click', async () => {
+    const password = passwordInput.value;
+    if (!password) {
+      feedbackEl.textContent = 'Please enter your password.';
+      passwordInput.focus();
+      return;
+    }
+
+    generateBtn.disabled = true;
+    feedbackEl.textContent = '';
+
+    try {
+      const response = await authFetch('/api/recovery-codes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        // Swap contents in place so openDialog's outside-click handler stays valid
+        const codesDialog = renderRecoveryCodesDialog(data.recoveryCodes);
+        wrap.replaceChildren(...codesDialog.childNodes);
+        loadSecurityInfo();
+      } else {
+        feedbackEl.textContent = data.message || 'Failed to generate recovery codes.';
+        passwordInput.value = '';
+        passwordInput.focus();
+      }
+    } catch (err) {
+      console.error('Recovery code generation error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    } finally {
+      generateBtn.disabled = false;
+    }
+  });
+
+  passwordInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') generateBtn.click();
+  });
+
+  return wrap;
+}
+
+if (recoveryCodesBtn) {
+  recoveryCodesBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openDialog(renderRegenerateRecoveryCodesDialog());
+  });
+}
+
 moreBtn?.addEventListener('click', (e) => {
   e.stopPropagation();
   const open = moreBtn.getAttribute('aria-expanded') === 'true';
@@ -4381,6 +5328,12 @@ function setAvatarInitials() {
   if (xameIdDisplay) {
     xameIdDisplay.textContent = window.USER?.xameId || '';
   }
+  if (usernameDisplay) {
+    usernameDisplay.textContent = window.USER?.username ? `@${window.USER.username}` : 'Not set';
+  }
+  if (editUsernameBtn) {
+    editUsernameBtn.textContent = window.USER?.username ? 'Change' : 'Set';
+  }
 }
 
 avatarBtn?.addEventListener('click', (e) => {
@@ -4399,8 +5352,12 @@ function openAccountMenu() {
   panel.className = 'menu-panel fade-in';
   panel.innerHTML = `
     <div class="menu-item" id="accountProfile">Profile</div>
+    <div class="menu-item" id="accountDevices">Linked devices</div>
+    <div class="menu-item" id="accountStorage">Storage</div>
+    <div class="menu-item" id="accountExport">Download my data</div>
     <div class="menu-item" id="accountSettings">Settings</div>
     <div class="menu-item" id="accountThemes">Themes</div>
+    <div class="menu-item danger" id="accountDelete">Delete account</div>
   `;
   accountMenu?.appendChild(panel);
 
@@ -4417,6 +5374,24 @@ function openAccountMenu() {
     }
   });
 
+  panel.querySelector('#accountDevices')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeAccountMenu();
+    openDialog(renderLinkedDevicesDialog());
+  });
+
+  panel.querySelector('#accountStorage')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeAccountMenu();
+    openDialog(renderStorageDialog());
+  });
+
+  panel.querySelector('#accountExport')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeAccountMenu();
+    openDialog(renderDataExportDialog());
+  });
+
   panel.querySelector('#accountSettings')?.addEventListener('click', () => {
     closeAccountMenu();
     alert('Settings coming soon');
@@ -4426,6 +5401,12 @@ function openAccountMenu() {
     alert('Themes coming soon');
   });
 
+  panel.querySelector('#accountDelete')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeAccountMenu();
+    openDialog(renderDeleteAccountDialog());
+  });
+
   const onAway = (ev) => {
     if (!accountMenu.contains(ev.target)) closeAccountMenu();
   };
@@ -4438,95 +5419,1161 @@ function closeAccountMenu() {
   if (p) p.remove();
 }
 
-/*
-// PART 10: FIXED Profile Management
-*/
+// ===== Download My Data =====
+// The server builds the ZIP in the background; we poll until it is ready
+const DATA_EXPORT_POLL_MS = 2000;
 
-function loadProfileData() {
-  if (!USER) {
-      console.error('❌ loadProfileData called with no USER');
+function renderDataExportDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 420px;">
+      <h3>📦 Download My Data</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        A ZIP with your profile, contacts, messages, call history and shared files,
+        plus an index.html you can open in any browser.
+      </p>
+      <div id="dataExportStatus" class="h-sub" style="margin: 12px 0 8px;">Checking for a previous export...</div>
+      <div class="upload-progress-bar hidden" id="dataExportProgress">
+        <div class="upload-progress-fill" style="width: 0%;"></div>
+      </div>
+      <div class="row" style="display: flex; gap: 10px; margin-top: 16px;">
+        <button class="btn secondary" id="closeDataExportBtn" style="flex: 1;">Close</button>
+        <button class="btn secondary hidden" id="startDataExportBtn" style="flex: 1;">Prepare archive</button>
+        <button class="btn primary hidden" id="downloadDataExportBtn" style="flex: 1;">Download</button>
+      </div>
+    </div>`;
+
+  const statusEl = wrap.querySelector('#dataExportStatus');
+  const progressEl = wrap.querySelector('#dataExportProgress');
+  const fillEl = progressEl.querySelector('.upload-progress-fill');
+  const startBtn = wrap.querySelector('#startDataExportBtn');
+  const downloadBtn = wrap.querySelector('#downloadDataExportBtn');
+  let pollTimer = null;
+  let current = null;
+
+  const stopPolling = () => {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  };
+
+  const renderState = (job) => {
+    current = job;
+    startBtn.classList.toggle('hidden', job?.status === 'running');
+    downloadBtn.classList.toggle('hidden', job?.status !== 'ready');
+    progressEl.classList.toggle('hidden', job?.status !== 'running');
+
+    if (!job) {
+      statusEl.textContent = 'No export yet.';
+      startBtn.textContent = 'Prepare archive';
       return;
-  }
-  console.log('📋 Loading profile data for:', USER.xameId);
-  if (preferredNameInput) {
-      preferredNameInput.value = USER.preferredName || '';
-  }
-  
-  // ✅ FIXED: Use relative path for profile pictures
-  const profilePicUrl = USER.profilePic 
-                        ? addCacheBuster(USER.profilePic)
-                        : '/media/profile_pics/default.png';
-                        
-  if (profilePicPreview) {
-      profilePicPreview.src = profilePicUrl;
-      profilePicPreview.onerror = function() {
-          console.error('Failed to load profile picture');
-          this.src = '/media/profile_pics/default.png';
-      };
-  }
-  
-  if (xameIdDisplay) {
-    xameIdDisplay.textContent = USER.xameId;
-  }
-  if (hideNameCheckbox) {
-      hideNameCheckbox.checked = USER.privacySettings?.hidePreferredName || false; 
-  }
-  if (hidePicCheckbox) {
-      hidePicCheckbox.checked = USER.privacySettings?.hideProfilePicture || false;
-  }
-}
+    }
 
-if (profileBackBtn) {
-    profileBackBtn.addEventListener('click', () => {
-        show(elContacts);
-        debouncedRenderContacts();
-    });
-}
+    startBtn.textContent = 'Prepare new archive';
 
-if (profilePicInput) {
-    profilePicInput.addEventListener("change", (e) => {
-      const file = e.target.files[0];
-      if (!file) return;
-      
-      // Validate file
-      const validation = validateFile(file);
-      if (!validation.valid) {
-          showNotification(validation.error);
-          profilePicInput.value = '';
-          return;
+    if (job.status === 'running') {
+      statusEl.textContent = `${job.step}... ${job.progress}%`;
+      fillEl.style.width = `${job.progress}%`;
+    } else if (job.status === 'ready') {
+      statusEl.textContent = `Ready (${formatFileSize(job.fileSize)}). `
+        + `Available until ${fmtDate(job.expiresAt)} ${fmtTime(job.expiresAt)}.`;
+    } else {
+      statusEl.textContent = job.error || 'The export failed. Please try again.';
+    }
+  };
+
+  const poll = async () => {
+    // Stop quietly once the dialog has been closed
+    if (!wrap.isConnected) return stopPolling();
+
+    try {
+      const response = await authFetch(`/api/export/${encodeURIComponent(current.exportId)}`);
+      const data = await response.json();
+      if (data.success) renderState(data.export);
+    } catch (err) {
+      console.error('Data export poll error:', err);
+    }
+
+    if (current?.status === 'running') {
+      pollTimer = setTimeout(poll, DATA_EXPORT_POLL_MS);
+    }
+  };
+
+  wrap.querySelector('#closeDataExportBtn').addEventListener('click', () => {
+    stopPolling();
+    closeDialog();
+  });
+
+  startBtn.addEventListener('click', async () => {
+    startBtn.disabled = true;
+    try {
+      const response = await authFetch('/api/export', { method: 'POST' });
+      const data = await response.json();
+      if (!data.success) {
+        statusEl.textContent = data.message || 'Could not start the export.';
+        return;
       }
-      
-      const reader = new FileReader();
-      reader.onload = () => {
-        if (cropImage) {
-            cropImage.src = reader.result;
-            openCropModal();
-        }
-      };
-      reader.onerror = () => {
-          showNotification('Failed to read image file');
-      };
-      reader.readAsDataURL(file);
-    });
-}
+      renderState(data.export);
+      stopPolling();
+      pollTimer = setTimeout(poll, DATA_EXPORT_POLL_MS);
+    } catch (err) {
+      console.error('Start data export error:', err);
+      statusEl.textContent = 'Network error. Please try again.';
+    } finally {
+      startBtn.disabled = false;
+    }
+  });
 
-let isRemoveProfilePicClicked = false;
+  downloadBtn.addEventListener('click', async () => {
+    if (!current?.downloadUrl) return;
+    downloadBtn.disabled = true;
 
-if (removeProfilePicBtn) {
-    removeProfilePicBtn.addEventListener("click", () => {
-      isRemoveProfilePicClicked = true;
-      if (profilePicPreview) {
-          profilePicPreview.src = '/media/profile_pics/default.png';
+    try {
+      // authFetch rather than a plain link: the download needs the Bearer token
+      const response = await authFetch(current.downloadUrl);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        statusEl.textContent = data.message || 'Download failed.';
+        return;
       }
-      showNotification('Profile picture will be removed when you save.');
-    });
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `xamepage-${USER?.xameId || 'export'}.zip`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Data export download error:', err);
+      statusEl.textContent = 'Network error. Please try again.';
+    } finally {
+      downloadBtn.disabled = false;
+    }
+  });
+
+  (async () => {
+    try {
+      const response = await authFetch('/api/export');
+      const data = await response.json();
+      renderState(data.success ? data.export : null);
+      if (current?.status === 'running') {
+        pollTimer = setTimeout(poll, DATA_EXPORT_POLL_MS);
+      }
+    } catch (err) {
+      console.error('Load data export error:', err);
+      renderState(null);
+    }
+  })();
+
+  return wrap;
 }
 
-// FIXED: Comprehensive profile save with proper error handling
-if (saveProfileBtn) {
-    saveProfileBtn.addEventListener("click", async () => {
-        const preferredName = preferredNameInput.value.trim();
-        const hideName = hideNameCheckbox?.checked || false;
+// ===== Delete Account =====
+function renderDeleteAccountDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>🗑️ Delete Account</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        This permanently deletes your profile, messages, call history and contacts,
+        and signs out all your devices. People you chat with will see "Deleted account".
+        This cannot be undone.
+      </p>
+      <div class="row" style="margin: 16px 0;">
+        <input id="deleteAccountPasswordInput" class="input" type="password"
+               placeholder="Current password" autocomplete="current-password" />
+      </div>
+      <div class="row" style="display: flex; gap: 10px;">
+        <button class="btn secondary" id="cancelDeleteAccountBtn" style="flex: 1;">Cancel</button>
+        <button class="btn danger" id="confirmDeleteAccountBtn" style="flex: 1;">Delete forever</button>
+      </div>
+      <div id="deleteAccountFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const passwordInput = wrap.querySelector('#deleteAccountPasswordInput');
+  const confirmBtn = wrap.querySelector('#confirmDeleteAccountBtn');
+  const feedbackEl = wrap.querySelector('#deleteAccountFeedback');
+
+  wrap.querySelector('#cancelDeleteAccountBtn').addEventListener('click', closeDialog);
+
+  confirmBtn.addEventListener('click', async () => {
+    const password = passwordInput.value;
+    if (!password) {
+      feedbackEl.textContent = 'Please enter your password.';
+      passwordInput.focus();
+      return;
+    }
+
+    confirmBtn.disabled = true;
+    feedbackEl.textContent = '';
+
+    try {
+      const response = await authFetch('/api/delete-account', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        closeDialog();
+        handleAccountDeleted();
+      } else {
+        feedbackEl.textContent = data.message
+          || data.errors?.[0]?.msg
+          || 'Failed to delete account.';
+        passwordInput.value = '';
+        passwordInput.focus();
+      }
+    } catch (err) {
+      console.error('Delete account error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    } finally {
+      confirmBtn.disabled = false;
+    }
+  });
+
+  passwordInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') confirmBtn.click();
+  });
+
+  return wrap;
+}
+
+// ===== Linked Devices =====
+function renderLinkedDevicesDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 440px;">
+      <h3>💻 Linked Devices</h3>
+      <div id="devicesList" class="list devices-list">
+        <div class="h-sub">Loading devices...</div>
+      </div>
+      <button class="btn secondary" id="closeDevicesBtn" style="width: 100%; margin-top: 16px;">Close</button>
+    </div>`;
+
+  const listEl = wrap.querySelector('#devicesList');
+  wrap.querySelector('#closeDevicesBtn').addEventListener('click', closeDialog);
+
+  const loadDevices = async () => {
+    try {
+      const response = await authFetch('/api/sessions');
+      const data = await response.json();
+      if (!data.success) {
+        listEl.innerHTML = `<div class="h-sub">${escapeHtml(data.message || 'Failed to load devices.')}</div>`;
+        return;
+      }
+
+      listEl.innerHTML = '';
+      data.sessions.forEach(s => {
+        const item = document.createElement('div');
+        item.className = 'item device-item';
+        const activity = s.isOnline
+          ? 'Active now'
+          : `Last active ${dayLabel(s.lastActiveAt)} ${fmtTime(s.lastActiveAt)}`;
+        item.innerHTML = `
+          <div class="meta">
+            <div class="name">
+              ${escapeHtml(s.deviceName || 'Unknown device')}
+              ${s.isCurrent ? '<span class="device-badge">This device</span>' : ''}
+            </div>
+            <div class="status">${escapeHtml(activity)}${s.ip ? ' · ' + escapeHtml(s.ip) : ''}</div>
+            <div class="status device-ua" title="${escapeHtml(s.userAgent)}">${escapeHtml(s.userAgent)}</div>
+          </div>
+          ${s.isCurrent ? '' : '<button class="btn danger device-revoke-btn">Sign out</button>'}
+        `;
+
+        item.querySelector('.device-revoke-btn')?.addEventListener('click', async (e) => {
+          e.stopPropagation();
+          if (!confirm(`Sign out "${s.deviceName}"?`)) return;
+
+          e.target.disabled = true;
+          try {
+            const res = await authFetch('/api/revoke-session', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ sessionId: s.sessionId })
+            });
+            const result = await res.json();
+            showNotification(result.message || (result.success ? 'Device signed out.' : 'Failed to sign out device.'));
+            if (result.success) loadDevices();
+          } catch (err) {
+            console.error('Revoke device error:', err);
+            showNotification('Network error. Please try again.');
+            e.target.disabled = false;
+          }
+        });
+
+        listEl.appendChild(item);
+      });
+    } catch (err) {
+      console.error('Failed to load devices:', err);
+      listEl.innerHTML = '<div class="h-sub">Network error. Please try again.</div>';
+    }
+  };
+
+  loadDevices();
+  return wrap;
+}
+
+// ===== Storage =====
+// Usage against the quota, biggest chats and files. Deleting a file here also
+// deletes the messages that carried it, for everyone.
+const STORAGE_TYPE_LABELS = {
+  images: '🖼️ Photos',
+  videos: '🎬 Videos',
+  audio: '🎵 Audio',
+  documents: '📄 Documents'
+};
+
+function storageChatName(contactId) {
+  if (!contactId) return 'Not sent yet';
+  return CONTACTS.find(c => c.id === contactId)?.name || contactId;
+}
+
+function renderStorageDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 460px;">
+      <h3>💾 Storage</h3>
+      <div id="storageSummary" class="h-sub" style="margin: 12px 0 8px;">Loading storage usage...</div>
+      <div class="upload-progress-bar hidden" id="storageQuotaBar">
+        <div class="upload-progress-fill" style="width: 0%;"></div>
+      </div>
+      <div class="list storage-list" id="storageDetails"></div>
+      <button class="btn secondary" id="closeStorageBtn" style="width: 100%; margin-top: 16px;">Close</button>
+    </div>`;
+
+  const summaryEl = wrap.querySelector('#storageSummary');
+  const quotaBar = wrap.querySelector('#storageQuotaBar');
+  const detailsEl = wrap.querySelector('#storageDetails');
+  wrap.querySelector('#closeStorageBtn').addEventListener('click', closeDialog);
+
+  const section = (title) => {
+    const heading = document.createElement('div');
+    heading.className = 'storage-heading';
+    heading.textContent = title;
+    detailsEl.appendChild(heading);
+  };
+
+  const row = (name, detail, size) => {
+    const item = document.createElement('div');
+    item.className = 'item storage-item';
+    item.innerHTML = `
+      <div class="meta">
+        <div class="name">${escapeHtml(name)}</div>
+        ${detail ? `<div class="status">${escapeHtml(detail)}</div>` : ''}
+      </div>
+      <div class="storage-size">${escapeHtml(formatFileSize(size))}</div>
+    `;
+    detailsEl.appendChild(item);
+    return item;
+  };
+
+  const deleteAttachment = async (file, button) => {
+    const where = file.chats.length
+      ? ` It will also be deleted from ${file.chats.map(storageChatName).join(', ')} for everyone.`
+      : '';
+    if (!confirm(`Delete "${file.name}" (${formatFileSize(file.size)})?${where}`)) return;
+
+    button.disabled = true;
+    try {
+      const res = await authFetch(`/api/storage/attachments/${encodeURIComponent(file.attachmentId)}`, {
+        method: 'DELETE'
+      });
+      const result = await res.json();
+      showNotification(result.success ? `Freed ${formatFileSize(result.freed)}` : (result.message || 'Failed to delete file.'));
+      if (!result.success) {
+        button.disabled = false;
+        return;
+      }
+
+      // The server also emits messages-deleted; this covers a dropped socket
+      file.chats.forEach(contactId => {
+        setChat(contactId, getChat(contactId).filter(m => !result.messageIds.includes(m.id)));
+        if (ACTIVE_ID === contactId) renderMessages();
+      });
+      loadStorage();
+    } catch (err) {
+      console.error('Delete attachment error:', err);
+      showNotification('Network error. Please try again.');
+      button.disabled = false;
+    }
+  };
+
+  const loadStorage = async () => {
+    try {
+      const response = await authFetch('/api/storage');
+      const data = await response.json();
+      if (!data.success) {
+        summaryEl.textContent = data.message || 'Failed to load storage usage.';
+        return;
+      }
+
+      if (data.quota) {
+        const percentage = Math.min(100, (data.used / data.quota) * 100);
+        summaryEl.textContent = `${formatFileSize(data.used)} of ${formatFileSize(data.quota)} used`;
+        quotaBar.classList.remove('hidden');
+        quotaBar.classList.toggle('storage-full', percentage >= 90);
+        quotaBar.querySelector('.upload-progress-fill').style.width = `${percentage}%`;
+      } else {
+        summaryEl.textContent = `${formatFileSize(data.used)} used`;
+      }
+
+      detailsEl.innerHTML = '';
+
+      section('By type');
+      Object.entries(data.byType).forEach(([category, totals]) => {
+        if (totals.count) row(STORAGE_TYPE_LABELS[category] || category, `${totals.count} file(s)`, totals.bytes);
+      });
+      if (data.profilePic) row('👤 Profile picture', '', data.profilePic);
+
+      if (data.byChat.length) {
+        section('Largest chats');
+        data.byChat.forEach(chat => row(storageChatName(chat.contactId), `${chat.count} file(s)`, chat.bytes));
+      }
+
+      if (data.largestFiles.length) {
+        section('Largest files');
+        data.largestFiles.forEach(file => {
+          const sentTo = file.chats.length ? file.chats.map(storageChatName).join(', ') : 'Not sent yet';
+          const item = row(file.name, `${sentTo} · ${dayLabel(file.createdAt)}`, file.size);
+          const button = document.createElement('button');
+          button.className = 'btn danger storage-delete-btn';
+          button.textContent = 'Delete';
+          button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteAttachment(file, button);
+          });
+          item.appendChild(button);
+        });
+      } else {
+        section('No files uploaded yet');
+      }
+    } catch (err) {
+      console.error('Failed to load storage usage:', err);
+      summaryEl.textContent = 'Network error. Please try again.';
+    }
+  };
+
+  loadStorage();
+  return wrap;
+}
+
+/*
+// PART 10: FIXED Profile Management
+*/
+
+function loadProfileData() {
+  if (!USER) {
+      console.error('❌ loadProfileData called with no USER');
+      return;
+  }
+  console.log('📋 Loading profile data for:', USER.xameId);
+  if (preferredNameInput) {
+      preferredNameInput.value = USER.preferredName || '';
+  }
+  
+  // ✅ FIXED: Use relative path for profile pictures
+  const profilePicUrl = USER.profilePic 
+                        ? addCacheBuster(USER.profilePic)
+                        : '/media/profile_pics/default.png';
+                        
+  if (profilePicPreview) {
+      profilePicPreview.src = profilePicUrl;
+      profilePicPreview.onerror = function() {
+          console.error('Failed to load profile picture');
+          this.src = '/media/profile_pics/default.png';
+      };
+  }
+  
+  if (xameIdDisplay) {
+    xameIdDisplay.textContent = USER.xameId;
+  }
+  setAvatarInitials(); // also refreshes the username row
+  if (hideNameCheckbox) {
+      hideNameCheckbox.checked = USER.privacySettings?.hidePreferredName || false; 
+  }
+  if (hidePicCheckbox) {
+      hidePicCheckbox.checked = USER.privacySettings?.hideProfilePicture || false;
+  }
+
+  loadSecurityInfo();
+}
+
+// ===== Security Panel =====
+async function loadSecurityInfo() {
+  try {
+    const response = await authFetch('/api/account/security');
+    const data = await response.json();
+    if (!data.success) return;
+
+    const {
+      passwordChangedAt,
+      recoveryCodesRemaining,
+      twoFactorEnabled,
+      backupCodesRemaining
+    } = data.security;
+    if (passwordChangedDisplay) {
+      passwordChangedDisplay.textContent = passwordChangedAt
+        ? `${fmtDate(passwordChangedAt)} ${fmtTime(passwordChangedAt)}`
+        : 'Never';
+    }
+    if (recoveryCodesRemainingDisplay) {
+      recoveryCodesRemainingDisplay.textContent = String(recoveryCodesRemaining);
+    }
+    if (twoFactorStatusDisplay) {
+      twoFactorStatusDisplay.textContent = twoFactorEnabled
+        ? `On (${backupCodesRemaining} backup code(s) left)`
+        : 'Off';
+    }
+    if (twoFactorBtn) {
+      twoFactorBtn.dataset.enabled = twoFactorEnabled ? 'true' : 'false';
+      twoFactorBtn.textContent = twoFactorEnabled
+        ? '🛡️ Turn Off Two-Factor'
+        : '🛡️ Turn On Two-Factor';
+    }
+    backupCodesBtn?.classList.toggle('hidden', !twoFactorEnabled);
+  } catch (err) {
+    console.error('Failed to load security info:', err);
+  }
+}
+
+function renderChangePasswordDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>🔒 Change Password</h3>
+      <div class="row" style="margin: 16px 0 10px;">
+        <input id="currentPasswordInput" class="input" type="password"
+               placeholder="Current password" autocomplete="current-password" />
+      </div>
+      <div class="row" style="margin-bottom: 10px;">
+        <input id="newPasswordInput" class="input" type="password"
+               placeholder="New password" autocomplete="new-password" />
+      </div>
+      <div class="row" style="margin-bottom: 16px;">
+        <input id="confirmNewPasswordInput" class="input" type="password"
+               placeholder="Confirm new password" autocomplete="new-password" />
+      </div>
+      <p class="subtitle" style="margin: 0 0 16px; font-size: 13px;">
+        Your other devices will be signed out.
+      </p>
+      <div class="row" style="display: flex; gap: 10px;">
+        <button class="btn secondary" id="cancelChangePasswordBtn" style="flex: 1;">Cancel</button>
+        <button class="btn primary" id="saveChangePasswordBtn" style="flex: 1;">Change</button>
+      </div>
+      <div id="changePasswordFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const currentInput = wrap.querySelector('#currentPasswordInput');
+  const newInput = wrap.querySelector('#newPasswordInput');
+  const confirmInput = wrap.querySelector('#confirmNewPasswordInput');
+  const saveBtn = wrap.querySelector('#saveChangePasswordBtn');
+  const feedbackEl = wrap.querySelector('#changePasswordFeedback');
+
+  wrap.querySelector('#cancelChangePasswordBtn').addEventListener('click', closeDialog);
+
+  saveBtn.addEventListener('click', async () => {
+    feedbackEl.textContent = '';
+
+    if (!currentInput.value) {
+      feedbackEl.textContent = 'Please enter your current password.';
+      currentInput.focus();
+      return;
+    }
+
+    if (newInput.value !== confirmInput.value) {
+      feedbackEl.textContent = 'New passwords do not match.';
+      confirmInput.value = '';
+      confirmInput.focus();
+      return;
+    }
+
+    const validation = validatePassword(newInput.value);
+    if (!validation.valid) {
+      feedbackEl.innerHTML = validation.errors.map(escapeHtml).join('<br>');
+      return;
+    }
+
+    saveBtn.disabled = true;
+
+    try {
+      const response = await authFetch('/api/change-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          currentPassword: currentInput.value,
+          newPassword: newInput.value
+        })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        closeDialog();
+        loadSecurityInfo();
+        showNotification('✅ ' + data.message);
+      } else {
+        feedbackEl.textContent = data.message
+          || data.errors?.[0]?.msg
+          || 'Failed to change password.';
+      }
+    } catch (err) {
+      console.error('Change password error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  return wrap;
+}
+
+if (changePasswordBtn) {
+  changePasswordBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openDialog(renderChangePasswordDialog());
+  });
+}
+
+if (signOutOtherSessionsBtn) {
+  signOutOtherSessionsBtn.addEventListener('click', async () => {
+    if (!confirm('Sign out of XamePage on all other devices?')) return;
+
+    signOutOtherSessionsBtn.disabled = true;
+    try {
+      const response = await authFetch('/api/sign-out-other-sessions', {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        showNotification('✅ ' + data.message);
+      } else {
+        showNotification(data.message || 'Failed to sign out other sessions.');
+      }
+    } catch (err) {
+      console.error('Sign out other sessions error:', err);
+      showNotification('Network error. Please try again.');
+    } finally {
+      signOutOtherSessionsBtn.disabled = false;
+    }
+  });
+}
+
+// =====================
+// USERNAME & PROFILE LINK
+// =====================
+
+function profileLinkFor(user) {
+  return `${location.origin}/?u=${encodeURIComponent(user.username || user.xameId)}`;
+}
+
+function renderUsernameDialog() {
+  const current = USER?.username || '';
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>@ Username</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        People can find you by username instead of your Xame-ID.
+        You can change it once every 30 days.
+      </p>
+      <div class="row" style="margin: 16px 0 6px;">
+        <input id="usernameInput" class="input" maxlength="20" autocomplete="off"
+               autocapitalize="off" spellcheck="false" placeholder="e.g. jane_doe" />
+      </div>
+      <div id="usernameAvailability" class="h-sub" style="min-height: 18px;"></div>
+      <div class="row" style="display: flex; gap: 10px; margin-top: 12px;">
+        <button class="btn secondary" id="cancelUsernameBtn" style="flex: 1;">Cancel</button>
+        <button class="btn primary" id="saveUsernameBtn" style="flex: 1;">Save</button>
+      </div>
+      ${current ? '<button class="link-btn" id="releaseUsernameBtn" type="button">Remove my username</button>' : ''}
+      <div id="usernameFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const input = wrap.querySelector('#usernameInput');
+  const availabilityEl = wrap.querySelector('#usernameAvailability');
+  const saveBtn = wrap.querySelector('#saveUsernameBtn');
+  const feedbackEl = wrap.querySelector('#usernameFeedback');
+
+  input.value = current;
+  wrap.querySelector('#cancelUsernameBtn').addEventListener('click', closeDialog);
+
+  const applyUsername = (username) => {
+    USER.username = username || undefined;
+    storage.set(KEYS.user, USER);
+    setAvatarInitials();
+  };
+
+  const checkAvailability = debounce(async () => {
+    const username = input.value.trim().replace(/^@/, '');
+    if (!username || username.toLowerCase() === current.toLowerCase()) {
+      availabilityEl.textContent = '';
+      return;
+    }
+
+    try {
+      const response = await authFetch(`/api/username/check?username=${encodeURIComponent(username)}`);
+      const data = await response.json();
+      // Ignore answers for text the user has since changed
+      if (input.value.trim().replace(/^@/, '') !== username) return;
+      availabilityEl.textContent = (data.available ? '✅ ' : '❌ ') + (data.message || '');
+    } catch (err) {
+      console.error('Username check error:', err);
+    }
+  }, 400);
+
+  input.addEventListener('input', checkAvailability);
+
+  saveBtn.addEventListener('click', async () => {
+    const username = input.value.trim().replace(/^@/, '');
+    if (!username) {
+      feedbackEl.textContent = 'Please enter a username.';
+      input.focus();
+      return;
+    }
+
+    saveBtn.disabled = true;
+    feedbackEl.textContent = '';
+
+    try {
+      const response = await authFetch('/api/username', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        applyUsername(data.username);
+        closeDialog();
+        showNotification('✅ ' + data.message);
+      } else {
+        feedbackEl.textContent = data.message || 'Could not save username.';
+      }
+    } catch (err) {
+      console.error('Save username error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  wrap.querySelector('#releaseUsernameBtn')?.addEventListener('click', async () => {
+    if (!confirm(`Remove @${current}? Someone else may claim it, and you'll have to wait 30 days to pick a new one.`)) {
+      return;
+    }
+
+    try {
+      const response = await authFetch('/api/username/release', { method: 'POST' });
+      const data = await response.json();
+
+      if (data.success) {
+        applyUsername(null);
+        closeDialog();
+        showNotification('✅ ' + data.message);
+      } else {
+        feedbackEl.textContent = data.message || 'Could not remove username.';
+      }
+    } catch (err) {
+      console.error('Release username error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    }
+  });
+
+  input.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') saveBtn.click();
+  });
+
+  return wrap;
+}
+
+if (editUsernameBtn) {
+  editUsernameBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openDialog(renderUsernameDialog());
+  });
+}
+
+if (copyProfileLinkBtn) {
+  copyProfileLinkBtn.addEventListener('click', async () => {
+    if (!USER) return;
+    try {
+      await navigator.clipboard.writeText(profileLinkFor(USER));
+      showNotification('Profile link copied');
+    } catch (err) {
+      console.error('Copy profile link error:', err);
+      showNotification(profileLinkFor(USER));
+    }
+  });
+}
+
+// =====================
+// TWO-FACTOR AUTHENTICATION
+// =====================
+
+const BACKUP_CODES_DIALOG_OPTIONS = {
+  title: '🧾 Your 2FA Backup Codes',
+  description: 'Use one instead of an authenticator code if you lose your phone. Each works once.',
+  label: '2FA backup codes',
+  filename: 'xamepage-2fa-backup-codes.txt'
+};
+
+function renderTwoFactorSetupDialog() {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>🛡️ Turn On Two-Factor</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+      </p>
+      <div class="two-factor-qr"><span class="subtitle">Loading…</span></div>
+      <p class="subtitle" style="margin: 6px 0; font-size: 13px;">Can't scan? Enter this key:</p>
+      <code class="two-factor-secret" id="twoFactorSecret">—</code>
+      <div class="row" style="margin: 16px 0;">
+        <input id="twoFactorSetupCodeInput" class="input" inputmode="numeric"
+               autocomplete="one-time-code" maxlength="6" placeholder="6-digit code" />
+      </div>
+      <div class="row" style="display: flex; gap: 10px;">
+        <button class="btn secondary" id="cancelTwoFactorSetupBtn" style="flex: 1;">Cancel</button>
+        <button class="btn primary" id="confirmTwoFactorSetupBtn" style="flex: 1;" disabled>Turn on</button>
+      </div>
+      <div id="twoFactorSetupFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const qrEl = wrap.querySelector('.two-factor-qr');
+  const secretEl = wrap.querySelector('#twoFactorSecret');
+  const codeInput = wrap.querySelector('#twoFactorSetupCodeInput');
+  const confirmBtn = wrap.querySelector('#confirmTwoFactorSetupBtn');
+  const feedbackEl = wrap.querySelector('#twoFactorSetupFeedback');
+
+  wrap.querySelector('#cancelTwoFactorSetupBtn').addEventListener('click', closeDialog);
+
+  (async () => {
+    try {
+      const response = await authFetch('/api/2fa/setup', { method: 'POST' });
+      const data = await response.json();
+
+      if (!data.success) {
+        qrEl.textContent = '';
+        feedbackEl.textContent = data.message || 'Could not start setup.';
+        return;
+      }
+
+      const img = document.createElement('img');
+      img.src = data.qrCode;
+      img.alt = 'Authenticator QR code';
+      qrEl.replaceChildren(img);
+      secretEl.textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+      confirmBtn.disabled = false;
+      codeInput.focus();
+    } catch (err) {
+      console.error('2FA setup error:', err);
+      qrEl.textContent = '';
+      feedbackEl.textContent = 'Network error. Please try again.';
+    }
+  })();
+
+  confirmBtn.addEventListener('click', async () => {
+    const code = codeInput.value.trim();
+    if (!/^\d{6}$/.test(code)) {
+      feedbackEl.textContent = 'Enter the 6-digit code from your app.';
+      codeInput.focus();
+      return;
+    }
+
+    confirmBtn.disabled = true;
+    feedbackEl.textContent = '';
+
+    try {
+      const response = await authFetch('/api/2fa/enable', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        const codesDialog = renderRecoveryCodesDialog(data.backupCodes, BACKUP_CODES_DIALOG_OPTIONS);
+        wrap.replaceChildren(...codesDialog.childNodes);
+        loadSecurityInfo();
+        showNotification('✅ ' + data.message);
+      } else {
+        feedbackEl.textContent = data.message
+          || data.errors?.[0]?.msg
+          || 'Could not turn on two-factor authentication.';
+        codeInput.value = '';
+        codeInput.focus();
+        confirmBtn.disabled = false;
+      }
+    } catch (err) {
+      console.error('2FA enable error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+      confirmBtn.disabled = false;
+    }
+  });
+
+  codeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') confirmBtn.click();
+  });
+
+  return wrap;
+}
+
+// Password-confirmed 2FA actions (turn off, new backup codes)
+function renderTwoFactorPasswordDialog({ title, description, actionLabel, endpoint, onSuccess }) {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>${escapeHtml(title)}</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">${escapeHtml(description)}</p>
+      <div class="row" style="margin: 16px 0;">
+        <input id="twoFactorPasswordInput" class="input" type="password"
+               placeholder="Current password" autocomplete="current-password" />
+      </div>
+      <div class="row" style="display: flex; gap: 10px;">
+        <button class="btn secondary" id="cancelTwoFactorPasswordBtn" style="flex: 1;">Cancel</button>
+        <button class="btn primary" id="confirmTwoFactorPasswordBtn" style="flex: 1;">${escapeHtml(actionLabel)}</button>
+      </div>
+      <div id="twoFactorPasswordFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const passwordInput = wrap.querySelector('#twoFactorPasswordInput');
+  const confirmBtn = wrap.querySelector('#confirmTwoFactorPasswordBtn');
+  const feedbackEl = wrap.querySelector('#twoFactorPasswordFeedback');
+
+  wrap.querySelector('#cancelTwoFactorPasswordBtn').addEventListener('click', closeDialog);
+
+  confirmBtn.addEventListener('click', async () => {
+    const password = passwordInput.value;
+    if (!password) {
+      feedbackEl.textContent = 'Please enter your password.';
+      passwordInput.focus();
+      return;
+    }
+
+    confirmBtn.disabled = true;
+    feedbackEl.textContent = '';
+
+    try {
+      const response = await authFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onSuccess(data, wrap);
+        loadSecurityInfo();
+      } else {
+        feedbackEl.textContent = data.message || 'Something went wrong.';
+        passwordInput.value = '';
+        passwordInput.focus();
+      }
+    } catch (err) {
+      console.error(`${endpoint} error:`, err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    } finally {
+      confirmBtn.disabled = false;
+    }
+  });
+
+  passwordInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') confirmBtn.click();
+  });
+
+  return wrap;
+}
+
+// Second login step, opened when /api/login answers `requires2fa`
+function renderTwoFactorLoginDialog(challenge) {
+  const wrap = document.createElement('div');
+  wrap.className = 'dialog-backdrop';
+  wrap.innerHTML = `
+    <div class="dialog fade-in" style="max-width: 400px;">
+      <h3>🛡️ Two-Factor Verification</h3>
+      <p class="subtitle" style="margin: 10px 0; font-size: 14px;">
+        Enter the 6-digit code from your authenticator app, or one of your backup codes.
+      </p>
+      <div class="row" style="margin: 16px 0;">
+        <input id="twoFactorLoginCodeInput" class="input" autocomplete="one-time-code"
+               placeholder="123456 or XXXXX-XXXXX" maxlength="11" />
+      </div>
+      <div class="row" style="display: flex; gap: 10px;">
+        <button class="btn secondary" id="cancelTwoFactorLoginBtn" style="flex: 1;">Cancel</button>
+        <button class="btn primary" id="verifyTwoFactorLoginBtn" style="flex: 1;">Verify</button>
+      </div>
+      <div id="twoFactorLoginFeedback" class="feedback-message"></div>
+    </div>`;
+
+  const codeInput = wrap.querySelector('#twoFactorLoginCodeInput');
+  const verifyBtn = wrap.querySelector('#verifyTwoFactorLoginBtn');
+  const feedbackEl = wrap.querySelector('#twoFactorLoginFeedback');
+
+  wrap.querySelector('#cancelTwoFactorLoginBtn').addEventListener('click', closeDialog);
+
+  verifyBtn.addEventListener('click', async () => {
+    const code = codeInput.value.trim();
+    if (!code) {
+      feedbackEl.textContent = 'Please enter a code.';
+      codeInput.focus();
+      return;
+    }
+
+    verifyBtn.disabled = true;
+    feedbackEl.textContent = '';
+
+    try {
+      const response = await fetch('/api/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challenge, code })
+      });
+      const data = await response.json();
+
+      if (response.status === 429) {
+        closeDialog();
+        startLoginLockoutCountdown(data.retryAfter, data.scope);
+        return;
+      }
+
+      if (data.success) {
+        closeDialog();
+        handleLoginSuccess(data.user, data.token);
+        if (data.backupCodesRemaining !== undefined) {
+          showNotification(`Backup code used. ${data.backupCodesRemaining} left.`);
+        }
+        return;
+      }
+
+      if (data.challengeExpired) {
+        closeDialog();
+        showNotification(data.message);
+        return;
+      }
+
+      feedbackEl.textContent = data.message
+        || data.errors?.[0]?.msg
+        || 'Verification failed.';
+      codeInput.value = '';
+      codeInput.focus();
+    } catch (err) {
+      console.error('2FA login error:', err);
+      feedbackEl.textContent = 'Network error. Please try again.';
+    } finally {
+      verifyBtn.disabled = false;
+    }
+  });
+
+  codeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') verifyBtn.click();
+  });
+
+  setTimeout(() => codeInput.focus(), 50);
+
+  return wrap;
+}
+
+if (twoFactorBtn) {
+  twoFactorBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+
+    if (twoFactorBtn.dataset.enabled !== 'true') {
+      openDialog(renderTwoFactorSetupDialog());
+      return;
+    }
+
+    openDialog(renderTwoFactorPasswordDialog({
+      title: '🛡️ Turn Off Two-Factor',
+      description: 'Logging in will only need your password. Your backup codes will stop working.',
+      actionLabel: 'Turn off',
+      endpoint: '/api/2fa/disable',
+      onSuccess: (data) => {
+        closeDialog();
+        showNotification('✅ ' + data.message);
+      }
+    }));
+  });
+}
+
+if (backupCodesBtn) {
+  backupCodesBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openDialog(renderTwoFactorPasswordDialog({
+      title: '🧾 New 2FA Backup Codes',
+      description: 'Your old backup codes will stop working. Enter your password to continue.',
+      actionLabel: 'Generate',
+      endpoint: '/api/2fa/backup-codes',
+      onSuccess: (data, wrap) => {
+        // Swap contents in place so openDialog's outside-click handler stays valid
+        const codesDialog = renderRecoveryCodesDialog(data.backupCodes, BACKUP_CODES_DIALOG_OPTIONS);
+        wrap.replaceChildren(...codesDialog.childNodes);
+      }
+    }));
+  });
+}
+
+if (profileBackBtn) {
+    profileBackBtn.addEventListener('click', () => {
+        show(elContacts);
+        debouncedRenderContacts();
+    });
+}
+
+if (profilePicInput) {
+    profilePicInput.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      // Validate file
+      const validation = validateFile(file);
+      if (!validation.valid) {
+          showNotification(validation.error);
+          profilePicInput.value = '';
+          return;
+      }
+      
+      const reader = new FileReader();
+      reader.onload = () => {
+        if (cropImage) {
+            cropImage.src = reader.result;
+            openCropModal();
+        }
+      };
+      reader.onerror = () => {
+          showNotification('Failed to read image file');
+      };
+      reader.readAsDataURL(file);
+    });
+}
+
+let isRemoveProfilePicClicked = false;
+
+if (removeProfilePicBtn) {
+    removeProfilePicBtn.addEventListener("click", () => {
+      isRemoveProfilePicClicked = true;
+      if (profilePicPreview) {
+          profilePicPreview.src = '/media/profile_pics/default.png';
+      }
+      showNotification('Profile picture will be removed when you save.');
+    });
+}
+
+// FIXED: Comprehensive profile save with proper error handling
+if (saveProfileBtn) {
+    saveProfileBtn.addEventListener("click", async () => {
+        const preferredName = preferredNameInput.value.trim();
+        const hideName = hideNameCheckbox?.checked || false;
         const hidePic = hidePicCheckbox?.checked || false;
         
         if (preferredName.length < 2) {
@@ -4539,7 +6586,6 @@ if (saveProfileBtn) {
 
         try {
             const formData = new FormData();
-            formData.append("userId", USER.xameId);
             formData.append("preferredName", preferredName);
             formData.append("hidePreferredName", hideName);
             formData.append("hideProfilePicture", hidePic);
@@ -4579,7 +6625,7 @@ if (saveProfileBtn) {
 
             // ✅ FIXED: Use relative URL
             console.log('📤 Sending to: /api/update-profile');
-            const response = await fetch('/api/update-profile', {
+            const response = await authFetch('/api/update-profile', {
                 method: 'POST',
                 body: formData
             });
@@ -4587,7 +6633,9 @@ if (saveProfileBtn) {
             console.log('📥 Response status:', response.status, response.statusText);
             
             if (!response.ok) {
-                throw new Error(`Server error: ${response.status} ${response.statusText}`);
+                // Size and quota rejections carry a message worth showing
+                const failure = await response.json().catch(() => null);
+                throw new Error(failure?.message || `Server error: ${response.status} ${response.statusText}`);
             }
             
             const result = await response.json();
@@ -4824,11 +6872,11 @@ if (fileInput) {
   });
 }
 
-// FIXED: Complete sendFile function with fetch API and retry logic
+// Resumable: the bytes go up in chunks through runUpload(), then the message is sent
 function sendFile(file) {
-    if (!ACTIVE_ID || !socket) {
-        console.error('Cannot send file: No active chat or socket connection');
-        showNotification('Cannot send file. Please check your connection.');
+    if (!ACTIVE_ID) {
+        console.error('Cannot send file: No active chat');
+        showNotification('Cannot send file. No chat is open.');
         return;
     }
     
@@ -4837,131 +6885,75 @@ function sendFile(file) {
     const msgId = uid();
     const ts = now();
     
-    const pendingMsg = {
-        id: msgId,
-        text: `📎 Uploading ${file.name}...`,
-        type: 'sent',
-        ts: ts,
-        status: 'sending',
-        isPending: true
-    };
-
-    const chat = getChat(ACTIVE_ID);
-    chat.push(pendingMsg);
-    setChat(ACTIVE_ID, chat);
-    renderMessages();
-
-    const progressDiv = createUploadProgress(msgId, file.name);
-
-    const formData = new FormData();
-    formData.append('file', file);
-    formData.append('senderId', USER.xameId);
-    formData.append('recipientId', ACTIVE_ID);
-    formData.append('messageId', msgId);
-    
-    console.log('📤 Uploading to server...');
-    
-    const xhr = new XMLHttpRequest();
-    currentUpload = xhr;
-    
-    xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-            const percentComplete = (e.loaded / e.total) * 100;
-            updateUploadProgress(msgId, percentComplete);
-            console.log(`Upload progress: ${percentComplete.toFixed(1)}%`);
-        }
-    });
-    
-    xhr.addEventListener('load', function() {
-        removeUploadProgress(msgId);
-        
-        if (xhr.status === 200) {
-            try {
-                const data = JSON.parse(xhr.responseText);
-                console.log('✅ Upload response:', data);
-                
-                if (data.success && data.url) {
-                    const chatToUpdate = getChat(ACTIVE_ID);
-                    const msgIndex = chatToUpdate.findIndex(m => m.id === msgId);
-                    
-                    if (msgIndex !== -1) {
-                        const finalMessage = {
-                            id: msgId,
-                            file: {
-                                name: file.name,
-                                type: file.type,
-                                url: data.url
-                            },
-                            type: 'sent',
-                            ts: ts,
-                            status: 'sending'
-                        };
-                        
-                        chatToUpdate[msgIndex] = finalMessage;
-                        setChat(ACTIVE_ID, chatToUpdate);
-                        renderMessages();
-
-                        console.log('📨 Sending file message via socket...');
-                        
-                        // FIXED: Using correct socket event
-                        if (socket) {
-                            socket.emit('send-message', {
-                                recipientId: ACTIVE_ID,
-                                message: finalMessage
-                            }, (response) => {
-                                console.log('Socket response:', response);
-                                if (response && response.success) {
-                                    chatToUpdate[msgIndex].status = 'delivered';
-                                    setChat(ACTIVE_ID, chatToUpdate);
-                                    renderMessages();
-                                    console.log('✅ File message delivered successfully');
-                                    showNotification('File sent successfully!');
-                                } else {
-                                    console.error("Socket delivery failed:", response?.message);
-                                    showNotification('File uploaded but delivery failed');
-                                }
-                            });
-                        }
-                    }
-                } else {
-                    throw new Error(data.message || 'Upload failed - no URL returned');
-                }
-            } catch (error) {
-                console.error('❌ Failed to parse upload response:', error);
-                handleUploadError(msgId, error.message);
-            }
-        } else {
-            console.error('❌ Upload failed with status:', xhr.status);
-            handleUploadError(msgId, `Server error: ${xhr.status}`);
-        }
-        
-        currentUpload = null;
-    });
-    
-    xhr.addEventListener('error', function() {
-        console.error('❌ Network error during upload');
-        removeUploadProgress(msgId);
-        handleUploadError(msgId, 'Network error during upload');
-        currentUpload = null;
-    });
+    const pendingMsg = {
+        id: msgId,
+        text: `📎 Uploading ${file.name}...`,
+        type: 'sent',
+        ts: ts,
+        status: 'sending',
+        isPending: true
+    };
+
+    const chat = getChat(ACTIVE_ID);
+    chat.push(pendingMsg);
+    setChat(ACTIVE_ID, chat);
+    renderMessages();
+
+    createUploadProgress(msgId, file.name);
+
+    const upload = {
+        msgId,
+        chatId: ACTIVE_ID,
+        ownerId: USER.xameId,
+        ts,
+        file,
+        uploadId: null,
+        chunkSize: 0,
+        received: 0,
+        attempt: 0,
+        paused: false,
+        cancelled: false,
+        running: false
+    };
+    activeUploads.set(msgId, upload);
+    savePendingUpload(upload);
+
+    console.log('📤 Uploading to server...');
+    runUpload(upload);
+}
+
+// Upload finished: swap the placeholder for the real file message and send it.
+// `type` is the server-verified MIME type, which may correct the browser's guess;
+// `image` carries width/height/placeholder so the bubble can reserve its space.
+function sendUploadedFileMessage(upload, url, type, image) {
+    const { msgId, chatId, file, ts } = upload;
+    const chatToUpdate = getChat(chatId);
+    const msgIndex = chatToUpdate.findIndex(m => m.id === msgId);
+    if (msgIndex === -1) return;
+
+    const finalMessage = {
+        id: msgId,
+        file: {
+            name: file.name,
+            type: type || file.type,
+            url: url,
+            ...(image || {})
+        },
+        type: 'sent',
+        ts: ts,
+        status: 'sending'
+    };
     
-    xhr.addEventListener('abort', function() {
-        console.log('⚠️ Upload cancelled by user');
-        removeUploadProgress(msgId);
-        const chatToUpdate = getChat(ACTIVE_ID);
-        const msgIndex = chatToUpdate.findIndex(m => m.id === msgId);
-        if (msgIndex !== -1) {
-            chatToUpdate.splice(msgIndex, 1);
-            setChat(ACTIVE_ID, chatToUpdate);
-            renderMessages();
-        }
-        showNotification('Upload cancelled');
-        currentUpload = null;
+    chatToUpdate[msgIndex] = finalMessage;
+    setChat(chatId, chatToUpdate);
+    if (chatId === ACTIVE_ID) renderMessages();
+
+    console.log('📨 Queueing file message for sending...');
+    queueOutboxMessage(chatId, {
+        id: msgId,
+        file: finalMessage.file,
+        ts: ts
     });
-    
-    // ✅ FIXED: Use relative URL
-    xhr.open('POST', '/api/upload-file');
-    xhr.send(formData);
 }
 
 /*
@@ -5237,8 +7229,8 @@ function scheduleRender(renderFn, type = 'messages') {
 }
 
 function sendMessage(text) {
-    if (!ACTIVE_ID || !socket) {
-        showNotification('Cannot send message. Check your connection.');
+    if (!ACTIVE_ID) {
+        showNotification('Cannot send message. No chat is open.');
         return;
     }
     
@@ -5263,30 +7255,203 @@ function sendMessage(text) {
     // FIXED: Use batched rendering
     scheduleRender(renderMessages, 'messages');
     
-    socket.emit('send-message', {
-        recipientId: ACTIVE_ID,
-        message: {
-            id: msgId,
-            text: text,
-            ts: ts
+    queueOutboxMessage(ACTIVE_ID, {
+        id: msgId,
+        text: text,
+        ts: ts
+    });
+}
+
+// ===== Outbox =====
+// Every outgoing message goes through a persistent queue (localStorage), so
+// nothing is lost while offline. It is flushed in order whenever the socket is
+// connected; an unanswered send is retried with backoff. A message the server
+// refuses — or that runs out of attempts — is marked 'failed' and its bubble
+// offers "tap to retry". File bytes are uploaded first (runUpload); only the
+// final file message is queued here.
+const OUTBOX_ACK_TIMEOUT_MS = 10000;
+const OUTBOX_RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const OUTBOX_MAX_ATTEMPTS = 8;
+let outboxFlushing = false;
+let outboxRetryTimer = null;
+
+function getOutbox() {
+    return storage.get(KEYS.outbox, []);
+}
+
+function updateOutboxEntry(msgId, changes) {
+    const outbox = getOutbox();
+    const entry = outbox.find(e => e.msgId === msgId);
+    if (entry) {
+        Object.assign(entry, changes);
+        storage.set(KEYS.outbox, outbox);
+    }
+}
+
+function removeOutboxEntry(msgId) {
+    storage.set(KEYS.outbox, getOutbox().filter(e => e.msgId !== msgId));
+}
+
+function setOutboxMessageStatus(chatId, msgId, status) {
+    const chat = getChat(chatId);
+    const msg = chat.find(m => m.id === msgId);
+    if (!msg) return;
+    msg.status = status;
+    setChat(chatId, chat);
+    if (chatId === ACTIVE_ID) scheduleRender(renderMessages, 'messages');
+}
+
+// `message` is the send-message payload; the local copy must already be in the chat
+function queueOutboxMessage(chatId, message) {
+    const outbox = getOutbox();
+    outbox.push({ msgId: message.id, chatId, message, state: 'queued', attempt: 0, nextAttemptAt: 0 });
+    storage.set(KEYS.outbox, outbox);
+    flushOutbox();
+}
+
+function scheduleOutboxFlush(at) {
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = setTimeout(flushOutbox, Math.max(0, at - Date.now()));
+}
+
+function emitSendMessage(entry) {
+    return new Promise(resolve => {
+        socket.timeout(OUTBOX_ACK_TIMEOUT_MS).emit('send-message', {
+            recipientId: entry.chatId,
+            message: entry.message
+        }, (err, response) => resolve(err ? null : (response || {})));
+    });
+}
+
+// Returns false when the queue should wait (no answer — try this one again later)
+async function deliverOutboxEntry(entry) {
+    const local = getChat(entry.chatId).find(m => m.id === entry.msgId);
+
+    // Deleted meanwhile, or a sync already showed the server has it
+    if (!local || local.status !== 'sending') {
+        removeOutboxEntry(entry.msgId);
+        return true;
+    }
+
+    const response = await emitSendMessage(entry);
+
+    if (!response) {
+        const attempt = entry.attempt + 1;
+        if (attempt >= OUTBOX_MAX_ATTEMPTS) {
+            console.error(`❌ Message ${entry.msgId} got no answer after ${attempt} attempts`);
+            updateOutboxEntry(entry.msgId, { state: 'failed', attempt });
+            setOutboxMessageStatus(entry.chatId, entry.msgId, 'failed');
+            return true;
         }
-    }, (response) => {
-      console.log('Server acknowledged message:', response);
-      if (response && response.success && response.messageId) {
-        const chatToUpdate = getChat(ACTIVE_ID);
-        const msgIndex = chatToUpdate.findIndex(m => m.id === response.messageId);
-        if (msgIndex !== -1) {
-          chatToUpdate[msgIndex].status = 'delivered';
-          setChat(ACTIVE_ID, chatToUpdate);
-          scheduleRender(renderMessages, 'messages');
+        const delay = OUTBOX_RETRY_DELAYS[Math.min(attempt - 1, OUTBOX_RETRY_DELAYS.length - 1)];
+        console.warn(`⚠️ No answer for message ${entry.msgId}, retrying in ${delay}ms`);
+        updateOutboxEntry(entry.msgId, { attempt, nextAttemptAt: Date.now() + delay });
+        return false;
+    }
+
+    if (!response.success) {
+        console.error('Server refused message:', response.message);
+        showNotification(response.message || 'Message could not be sent. Tap it to retry.');
+        updateOutboxEntry(entry.msgId, { state: 'failed' });
+        setOutboxMessageStatus(entry.chatId, entry.msgId, 'failed');
+        return true;
+    }
+
+    removeOutboxEntry(entry.msgId);
+    const chat = getChat(entry.chatId);
+    const msg = chat.find(m => m.id === entry.msgId);
+    if (msg) {
+        // Stored on the server; 'delivered' follows once the recipient has it
+        if (msg.status === 'sending') msg.status = 'sent';
+        // The server's clock and sequence decide where the message sits
+        if (response.ts) msg.ts = response.ts;
+        if (response.seq) msg.seq = response.seq;
+        chat.sort(compareMessages);
+        // The stored upload URL isn't readable; the ack carries signed links
+        if (response.file?.url && msg.file) {
+            msg.file = { ...msg.file, ...response.file };
         }
-      } else {
-        console.error("Server failed to deliver message:", response?.message);
-        showNotification('Message may not have been delivered');
-      }
+        setChat(entry.chatId, chat);
+        if (entry.chatId === ACTIVE_ID) scheduleRender(renderMessages, 'messages');
+    }
+    if (entry.message.file) showNotification('File sent successfully!');
+    return true;
+}
+
+async function flushOutbox() {
+    if (outboxFlushing || !USER || !socket?.connected) return;
+    outboxFlushing = true;
+    clearTimeout(outboxRetryTimer);
+
+    try {
+        for (;;) {
+            const entry = getOutbox().find(e => e.state === 'queued');
+            if (!entry) break;
+            if (entry.nextAttemptAt > Date.now()) {
+                scheduleOutboxFlush(entry.nextAttemptAt);
+                break;
+            }
+            if (!socket?.connected) break;
+
+            const advanced = await deliverOutboxEntry(entry);
+            if (!advanced) {
+                const next = getOutbox().find(e => e.msgId === entry.msgId);
+                if (next) scheduleOutboxFlush(next.nextAttemptAt);
+                break;
+            }
+        }
+    } catch (error) {
+        console.error('Outbox flush error:', error);
+    } finally {
+        outboxFlushing = false;
+    }
+}
+
+function retryOutboxMessage(chatId, msgId) {
+    const entry = getOutbox().find(e => e.msgId === msgId);
+    if (entry) {
+        updateOutboxEntry(msgId, { state: 'queued', attempt: 0, nextAttemptAt: 0 });
+    } else {
+        // Left over from before the outbox (stuck in 'sending'): rebuild it from the bubble
+        const msg = getChat(chatId).find(m => m.id === msgId);
+        if (!canRebuildFromBubble(msg)) {
+            showNotification('This message can no longer be resent. Please send it again.');
+            return;
+        }
+        const outbox = getOutbox();
+        outbox.push({
+            msgId, chatId, message: { id: msgId, text: msg.text, ts: msg.ts },
+            state: 'queued', attempt: 0, nextAttemptAt: 0
+        });
+        storage.set(KEYS.outbox, outbox);
+    }
+
+    setOutboxMessageStatus(chatId, msgId, 'sending');
+    if (!socket?.connected) showNotification('Offline — the message will be sent when you reconnect.');
+    flushOutbox();
+}
+
+// After a reload: sent bubbles stuck in 'sending' with nothing queued (and no
+// upload running) can't make progress, so offer them for retry — except failed
+// uploads, which have nothing to resend
+function markStrandedMessages() {
+    const queued = new Set(getOutbox().map(e => e.msgId));
+    CONTACTS.forEach(contact => {
+        const chat = getChat(contact.id);
+        let changed = false;
+        chat.forEach(m => {
+            const status = strandedStatus(m, queued);
+            if (status) {
+                m.status = status;
+                changed = true;
+            }
+        });
+        if (changed) setChat(contact.id, chat);
     });
 }
 
+window.addEventListener('online', () => flushOutbox());
+
 function markAllSeen(contactId) {
     const chat = getChat(contactId);
     const unseenMessages = chat.filter(m => m.type === 'received' && m.status !== 'seen');
@@ -5318,14 +7483,16 @@ async function intelligentMerge(serverChatHistory) {
                         }
                         
                         const localMessages = storage.get(KEYS.chat(contactId), []);
-                        const localMessageIds = new Set(localMessages.map(m => m.id));
-
-                        const newMessages = serverMessages.filter(m => m && m.id && !localMessageIds.has(m.id));
+                        const merged = mergeHistoryPage(localMessages, serverMessages, SERVER_HISTORY_PAGE_SIZE);
 
-                        if (newMessages.length > 0) {
-                            console.log(`Merging ${newMessages.length} new messages for contact ${contactId}`);
-                            const mergedChat = [...localMessages, ...newMessages].sort((a, b) => (a.ts || 0) - (b.ts || 0));
-                            storage.set(KEYS.chat(contactId), mergedChat);
+                        if (merged.replaced) {
+                            console.log(`History gap for contact ${contactId}: replacing the local copy`);
+                            historyExhausted.delete(contactId);
+                        } else if (merged.added || merged.removed) {
+                            console.log(`Merged history for contact ${contactId}: ${merged.added} new, ${merged.removed} removed`);
+                        }
+                        if (merged.replaced || merged.added || merged.updated || merged.removed) {
+                            storage.set(KEYS.chat(contactId), merged.messages);
                         }
                     });
                     resolve();
@@ -5339,6 +7506,85 @@ async function intelligentMerge(serverChatHistory) {
     }
 }
 
+// ===== Delta sync =====
+// On connect we send the last change-feed seq we applied and get back only
+// what changed since: new messages, status updates and deletions.
+// With no seq (or one the server no longer has) we reload chat_history
+// instead and start from the seq the server gave us.
+const SYNC_REQUEST_TIMEOUT_MS = 15000;
+let pendingSyncSeq = null; // adopted once the chat_history it goes with is merged
+
+function requestChanges(sock, since) {
+  return new Promise((resolve, reject) => {
+    sock.timeout(SYNC_REQUEST_TIMEOUT_MS).emit('sync', { since }, (err, response) => {
+      if (err) reject(new Error('Timed out syncing'));
+      else if (!response?.success) reject(new Error(response?.message || 'Sync failed'));
+      else resolve(response);
+    });
+  });
+}
+
+function applyChanges(changes) {
+  const touched = new Map(); // contactId → chat array
+
+  changes.forEach(change => {
+    const chat = touched.get(change.contactId) || getChat(change.contactId);
+    touched.set(change.contactId, chat);
+    const ids = new Set(change.messageIds || []);
+
+    if (change.kind === 'message' && change.message?.id) {
+      const existing = chat.find(m => m.id === change.message.id);
+      if (existing) {
+        Object.assign(existing, change.message, { isPending: false });
+      } else {
+        chat.push(change.message);
+      }
+    } else if (change.kind === 'status') {
+      chat.forEach(m => {
+        if (ids.has(m.id) && (MESSAGE_STATUS_RANK[change.status] ?? -1) > (MESSAGE_STATUS_RANK[m.status] ?? -1)) {
+          m.status = change.status;
+        }
+      });
+    } else if (change.kind === 'delete') {
+      touched.set(change.contactId, chat.filter(m => !ids.has(m.id)));
+    }
+  });
+
+  touched.forEach((chat, contactId) => {
+    setChat(contactId, chat.sort(compareMessages));
+  });
+  return touched;
+}
+
+async function syncChanges(sock) {
+  let since = storage.get(KEYS.syncSeq, null);
+  try {
+    let batch;
+    do {
+      batch = await requestChanges(sock, since);
+      if (batch.reset) {
+        console.log('🔄 Change feed reset — reloading chat history');
+        pendingSyncSeq = batch.seq;
+        sock.emit('get_chat_history', { userId: USER.xameId });
+        return;
+      }
+
+      const touched = applyChanges(batch.changes);
+      since = batch.seq;
+      storage.set(KEYS.syncSeq, since);
+
+      if (touched.size > 0) {
+        console.log(`🔄 Applied ${batch.changes.length} change(s) across ${touched.size} chat(s)`);
+        if (ACTIVE_ID && touched.has(ACTIVE_ID)) scheduleRender(renderMessages, 'messages');
+        scheduleRender(() => renderContacts(), 'contacts');
+      }
+    } while (batch.hasMore);
+  } catch (error) {
+    console.error('Delta sync failed, reloading chat history:', error);
+    sock.emit('get_chat_history', { userId: USER.xameId });
+  }
+}
+
 /*
 // PART 15: Socket Event Handlers (Wrapped for PART 2B)
 */
@@ -5361,13 +7607,49 @@ function registerSocketHandlers(socket) {
             if (socket && socket.connected && USER?.xameId) {
                 socket.emit('request_online_users');
                 socket.emit('get_contacts', USER.xameId);
-                socket.emit('get_chat_history', { userId: USER.xameId });
+                syncChanges(socket);
+                flushOutbox();
             }
         }, 100);
     });
 
+    socket.on('session-revoked', ({ reason } = {}) => {
+        console.warn('🔐 Session revoked by server:', reason);
+        if (reason === 'account-deleted') {
+            handleAccountDeleted();
+            return;
+        }
+        handleSessionExpired();
+    });
+
+    // Someone we talk to deleted their account
+    socket.on('account-deleted', ({ xameId } = {}) => {
+        const contact = CONTACTS.find(c => c.id === xameId);
+        if (!contact) return;
+
+        Object.assign(contact, {
+            deleted: true,
+            name: 'Deleted account',
+            profilePic: null,
+            isProfilePicHidden: true,
+            online: false,
+            status: 'This account no longer exists'
+        });
+        storage.set(KEYS.contacts, CONTACTS);
+
+        if (ACTIVE_ID === xameId) {
+            openChat(xameId);
+        } else {
+            scheduleRender(() => renderContacts(), 'contacts');
+        }
+    });
+
     socket.on('connect_error', (err) => {
         console.error('Socket connection error:', err.message);
+        if (err.message === 'Unauthorized') {
+            handleSessionExpired();
+            return;
+        }
         showNotification('Connection error. Retrying...');
     });
 
@@ -5401,8 +7683,18 @@ function registerSocketHandlers(socket) {
     });
 
     socket.on('chat_history', async (historyData) => {
-        console.log('Received full chat history from server. Performing intelligent merge.');
+        console.log('Received latest chat history from server. Performing intelligent merge.');
         await intelligentMerge(historyData);
+        if (pendingSyncSeq !== null) {
+            storage.set(KEYS.syncSeq, pendingSyncSeq);
+            pendingSyncSeq = null;
+        }
+        // A short page means the server has nothing older for that chat
+        Object.entries(historyData || {}).forEach(([contactId, messages]) => {
+            if (Array.isArray(messages) && messages.length < SERVER_HISTORY_PAGE_SIZE) {
+                historyExhausted.add(contactId);
+            }
+        });
         if (ACTIVE_ID) scheduleRender(renderMessages, 'messages');
         scheduleRender(() => renderContacts(), 'contacts');
     });
@@ -5430,6 +7722,7 @@ function registerSocketHandlers(socket) {
                                     
             return {
                 id: c.xameId,
+                username: c.username || '',
                 name: c.name || c.xameId,
                 profilePic: profilePicUrl,
                 online: c.isOnline || false,
@@ -5443,6 +7736,10 @@ function registerSocketHandlers(socket) {
             };
         });
 
+        // The server drops deleted accounts from contact lists; keep our tombstones
+        CONTACTS.filter(c => c.deleted && !updatedContacts.some(u => u.id === c.id))
+            .forEach(c => updatedContacts.push(c));
+
         const selfContactIndex = updatedContacts.findIndex(c => c.id === USER.xameId);
         if (selfContactIndex !== -1) {
             updatedContacts[selfContactIndex].online = true;
@@ -5490,23 +7787,27 @@ function registerSocketHandlers(socket) {
     });
 
     socket.on('receive-message', (data) => {
-        playSound('message');
         if (!data || !data.senderId || !data.message) return;
 
         const { senderId, message } = data;
         const chat = getChat(senderId);
 
+        // Already have it (e.g. delivered again after a reconnect)
+        if (message.id && chat.some(m => m.id === message.id)) return;
+        playSound('message');
+
         const newMsg = {
             id: message.id || uid(),
             text: message.text,
             file: message.file,
             type: 'received',
             ts: message.ts || now(),
+            seq: message.seq,
             status: 'delivered'
         };
 
         chat.push(newMsg);
-        setChat(senderId, chat);
+        setChat(senderId, chat.sort(compareMessages));
 
         const contact = CONTACTS.find(c => c.id === senderId);
         if (contact) {
@@ -5524,6 +7825,37 @@ function registerSocketHandlers(socket) {
         }
     });
 
+    // A message we sent from another of our devices
+    socket.on('message-sent', ({ recipientId, message } = {}) => {
+        if (!recipientId || !message) return;
+
+        const chat = getChat(recipientId);
+        if (chat.some(m => m.id === message.id)) return;
+
+        const newMsg = {
+            id: message.id,
+            text: message.text,
+            file: message.file,
+            type: 'sent',
+            ts: message.ts || now(),
+            seq: message.seq,
+            status: 'sent'
+        };
+
+        chat.push(newMsg);
+        setChat(recipientId, chat.sort(compareMessages));
+
+        const contact = CONTACTS.find(c => c.id === recipientId);
+        if (contact) {
+            contact.lastInteractionTs = newMsg.ts;
+            contact.lastInteractionPreview = newMsg.text || 'Attachment';
+            storage.set(KEYS.contacts, CONTACTS);
+        }
+
+        scheduleRender(() => renderContacts(), 'contacts');
+        if (ACTIVE_ID === recipientId) scheduleRender(renderMessages, 'messages');
+    });
+
 }
 
 /*
@@ -5743,6 +8075,90 @@ function validatePassword(password) {
     };
 }
 
+// ===== Login Lockout Countdown =====
+// Keeps the login button disabled until the server's Retry-After runs out
+let loginLockoutTimer = null;
+
+function startLoginLockoutCountdown(retryAfter, scope) {
+    const submitBtn = loginForm?.querySelector('button[type="submit"]');
+    const feedbackEl = document.getElementById('loginFeedback');
+    const lockedUntil = Date.now() + (retryAfter || 0) * 1000;
+    const who = scope === 'ip' ? 'from this network' : 'for this account';
+
+    clearInterval(loginLockoutTimer);
+
+    const tick = () => {
+        const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+        if (remaining <= 0) {
+            clearInterval(loginLockoutTimer);
+            loginLockoutTimer = null;
+            if (submitBtn) submitBtn.disabled = false;
+            if (feedbackEl) feedbackEl.textContent = '';
+            return;
+        }
+
+        const minutes = Math.floor(remaining / 60);
+        const seconds = String(remaining % 60).padStart(2, '0');
+        if (submitBtn) submitBtn.disabled = true;
+        if (feedbackEl) {
+            feedbackEl.textContent = `🔒 Too many failed attempts ${who}. Try again in ${minutes}:${seconds}.`;
+        }
+    };
+
+    tick();
+    loginLockoutTimer = setInterval(tick, 1000);
+}
+
+// ===== Local Session Teardown =====
+// Shared by manual logout and server-side session expiry
+function resetSession() {
+    stopHeartbeat();
+    
+    if (socket && USER?.xameId) {
+        socket.emit('user-offline', { userId: USER.xameId });
+    }
+    
+    cleanupWaveSurfers();
+    stopActiveUploads();
+    
+    if (cropper) {
+        cropper.destroy();
+        cropper = null;
+    }
+    
+    if (mediaRecorder && mediaRecorder.state === 'recording') {
+        mediaRecorder.stop();
+    }
+    
+    RESOURCES.mediaRecorders.forEach(recorder => {
+        if (recorder.state === 'recording') {
+            recorder.stop();
+        }
+    });
+    RESOURCES.mediaRecorders = [];
+    
+    endCall();
+    
+    if (socket) {
+        socket.removeAllListeners();
+        socket.disconnect();
+        socket = null;
+    }
+    
+    storage.clear();
+    
+    USER = null;
+    CONTACTS = [];
+    DRAFTS = {};
+    ACTIVE_ID = null;
+    selectedMessages = [];
+    currentMessagePage = 1;
+    historyExhausted.clear();
+    pendingSyncSeq = null;
+    clearTimeout(outboxRetryTimer);
+}
+
 // FIXED: Separate event listener setup with password auth
 function setupEventListeners() {
   console.log('🔧 Setting up event listeners...');
@@ -5844,14 +8260,14 @@ function setupEventListeners() {
 
           if (searchUserBtn) {
               searchUserBtn.onclick = async () => {
-                  const xameId = searchIdInput?.value.trim();
-                  if (!xameId) return showNotification('Please enter a Xame-ID.');
+                  const query = searchIdInput?.value.trim();
+                  if (!query) return showNotification('Please enter a Xame-ID or username.');
 
                   try {
-                      const res = await fetch('/api/search-user', {
+                      const res = await authFetch('/api/search-user', {
                           method: 'POST',
                           headers: { 'Content-Type': 'application/json' },
-                          body: JSON.stringify({ xameId })
+                          body: JSON.stringify({ query })
                       });
                       const data = await res.json();
 
@@ -5869,17 +8285,16 @@ function setupEventListeners() {
                       item.innerHTML = `
                           <div class="meta">
                               <div class="name">${escapeHtml(u.firstName)} ${escapeHtml(u.lastName)}</div>
-                              <div class="status">${escapeHtml(u.xameId)}</div>
+                              <div class="status">${u.username ? `@${escapeHtml(u.username)} · ` : ''}${escapeHtml(u.xameId)}</div>
                           </div>
                           <button class="btn primary" id="confirmAddContactBtn">Add</button>
                       `;
 
                       item.querySelector('#confirmAddContactBtn').addEventListener('click', async () => {
-                          const res2 = await fetch('/api/add-contact', {
+                          const res2 = await authFetch('/api/add-contact', {
                               method: 'POST',
                               headers: { 'Content-Type': 'application/json' },
                               body: JSON.stringify({ 
-                                  userId: USER.xameId, 
                                   contactId: u.xameId 
                               })
                           });
@@ -5987,11 +8402,25 @@ function setupEventListeners() {
                   })
               });
               
-              if (!loginResponse.ok) {
+              const loginResult = await loginResponse.json().catch(() => null);
+
+              if (!loginResult) {
                   throw new Error(`Login failed: ${loginResponse.status}`);
               }
-              
-              const loginResult = await loginResponse.json();
+
+              // Locked out by brute-force protection
+              if (loginResponse.status === 429) {
+                  loginPasswordInput.value = '';
+                  startLoginLockoutCountdown(loginResult.retryAfter, loginResult.scope);
+                  return;
+              }
+
+              // Password accepted; the account wants an authenticator code too
+              if (loginResult.requires2fa) {
+                  loginPasswordInput.value = '';
+                  openDialog(renderTwoFactorLoginDialog(loginResult.challenge));
+                  return;
+              }
 
               // Check for password setup requirement (legacy users)
               if (loginResult.requiresPasswordSetup) {
@@ -6004,7 +8433,7 @@ function setupEventListeners() {
               if (loginResult.success) {
                   console.log('✅ Login successful');
                   loginPasswordInput.value = '';
-                  handleLoginSuccess(loginResult.user);
+                  handleLoginSuccess(loginResult.user, loginResult.token);
               } else {
                   showNotification(loginResult.message || 'Invalid password. Please try again.');
                   loginPasswordInput.value = '';
@@ -6017,6 +8446,89 @@ function setupEventListeners() {
       });
   }
 
+  // ===== PASSWORD RESET WITH RECOVERY CODE =====
+  if (forgotPasswordBtn) {
+      forgotPasswordBtn.addEventListener('click', () => {
+          const resetXameIdInput = document.getElementById('resetXameIdInput');
+          if (resetXameIdInput && loginXameIdInput) {
+              resetXameIdInput.value = loginXameIdInput.value.trim();
+          }
+          show(elResetPassword);
+      });
+  }
+
+  if (backToLoginBtn) {
+      backToLoginBtn.addEventListener('click', () => show(elLogin));
+  }
+
+  if (resetPasswordForm) {
+      resetPasswordForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
+
+          const xameIdInput = document.getElementById('resetXameIdInput');
+          const codeInput = document.getElementById('resetRecoveryCodeInput');
+          const passwordInput = document.getElementById('resetPasswordInput');
+          const confirmInput = document.getElementById('resetConfirmPasswordInput');
+          const feedbackEl = document.getElementById('resetPasswordFeedback');
+
+          const xameId = xameIdInput.value.trim();
+          const recoveryCode = codeInput.value.trim();
+          const password = passwordInput.value;
+
+          feedbackEl.textContent = '';
+
+          if (password !== confirmInput.value) {
+              feedbackEl.textContent = 'Passwords do not match.';
+              confirmInput.value = '';
+              confirmInput.focus();
+              return;
+          }
+
+          const passwordValidation = validatePassword(password);
+          if (!passwordValidation.valid) {
+              feedbackEl.innerHTML = passwordValidation.errors.map(escapeHtml).join('<br>');
+              passwordInput.focus();
+              return;
+          }
+
+          try {
+              e.submitter.disabled = true;
+
+              const response = await fetch('/api/reset-password', {
+                  method: 'POST',
+                  headers: { 'Content-Type': 'application/json' },
+                  body: JSON.stringify({ xameId, recoveryCode, newPassword: password })
+              });
+              const data = await response.json();
+
+              if (data.success) {
+                  [codeInput, passwordInput, confirmInput].forEach(input => input.value = '');
+
+                  // Any session on this device was revoked by the reset
+                  if (USER) resetSession();
+
+                  show(elLogin);
+                  if (loginXameIdInput) loginXameIdInput.value = xameId;
+                  document.getElementById('loginPasswordInput')?.focus();
+
+                  const remaining = data.remainingRecoveryCodes;
+                  showNotification(remaining > 0
+                      ? `✅ Password reset! ${remaining} recovery code(s) left.`
+                      : '✅ Password reset! Generate new recovery codes from your profile.');
+              } else {
+                  feedbackEl.textContent = data.message
+                      || data.errors?.[0]?.msg
+                      || 'Password reset failed.';
+              }
+          } catch (err) {
+              console.error('❌ Password reset error:', err);
+              feedbackEl.textContent = 'A server or network error occurred. Please try again later.';
+          } finally {
+              e.submitter.disabled = false;
+          }
+      });
+  }
+
   // ===== FIXED: REGISTRATION FORM WITH PASSWORD =====
   if (registerForm) {
       registerForm.addEventListener('submit', async (e) => {
@@ -6118,7 +8630,11 @@ function setupEventListeners() {
                   alert(`Registration successful! Your Xame-ID is: ${newUser.xameId}\n\nPlease save this ID, you'll need it to log in.`);
                   
                   storage.set(KEYS.user, newUser);
-                  handleLoginSuccess(newUser);
+                  handleLoginSuccess(newUser, data.token);
+                  
+                  if (Array.isArray(data.recoveryCodes) && data.recoveryCodes.length) {
+                      openDialog(renderRecoveryCodesDialog(data.recoveryCodes));
+                  }
                   
               } else {
                   showNotification(data.message || 'Registration failed. Please try again.');
@@ -6184,46 +8700,11 @@ function setupEventListeners() {
               try {
                   console.log('🚪 Logging out...');
                   
-                  stopHeartbeat();
-                  
-                  if (socket && USER?.xameId) {
-                      socket.emit('user-offline', { userId: USER.xameId });
-                  }
-                  
-                  cleanupWaveSurfers();
-                  
-                  if (cropper) {
-                      cropper.destroy();
-                      cropper = null;
-                  }
-                  
-                  if (mediaRecorder && mediaRecorder.state === 'recording') {
-                      mediaRecorder.stop();
-                  }
-                  
-                  RESOURCES.mediaRecorders.forEach(recorder => {
-                      if (recorder.state === 'recording') {
-                          recorder.stop();
-                      }
-                  });
-                  RESOURCES.mediaRecorders = [];
-                  
-                  endCall();
-                  
-                  if (socket) {
-                      socket.removeAllListeners();
-                      socket.disconnect();
-                      socket = null;
-                  }
-                  
-                  storage.clear();
+                  // Token is read synchronously, before resetSession() clears it
+                  authFetch('/api/logout', { method: 'POST' })
+                      .catch(err => console.warn('Logout request failed:', err));
                   
-                  USER = null;
-                  CONTACTS = [];
-                  DRAFTS = {};
-                  ACTIVE_ID = null;
-                  selectedMessages = [];
-                  currentMessagePage = 1;
+                  resetSession();
                   
                   show(elLanding);
                   showNotification('Logged out successfully');
@@ -11,6 +11,10 @@
 // - Uploaded files go to req.file.buffer → Cloudinary → permanent URL in MongoDB
 // - All other uploads (voice notes, files) still use local disk as before
 //
+// ✅ BLOB STORAGE:
+// - Chat attachments and profile pics share one store: local disk, S3-compatible or Cloudinary
+// - STORAGE_BACKEND picks it; `node server.js migrate-uploads` moves legacy /uploads/ files
+//
 
 const express = require('express');
 const http = require('http');
@@ -18,6 +22,16 @@ const { Server } = require('socket.io');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
+const os = require('os');
+const net = require('net');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { execFile } = require('child_process');
+const archiver = require('archiver');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
 const multer = require('multer');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
@@ -25,6 +39,33 @@ const cors = require('cors');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const cloudinary = require('cloudinary').v2;
+const {
+    generateRecoveryCodes,
+    findRecoveryCodeIndex,
+    generateTotpSecret,
+    verifyTotp,
+    buildOtpauthUrl,
+    matchSecondFactor
+} = require('./twoFactor');
+const {
+    historyCursor,
+    parseHistoryCursor,
+    pastCursorQuery,
+    conversationKey,
+    isUnservableSince,
+    unbrokenRun,
+    nextSince
+} = require('./chatSync');
+const {
+    orphanedBefore,
+    planRelease,
+    partitionOrphans,
+    isSweepableUpload,
+    quotaBytes,
+    fitsQuota,
+    toMegabytes,
+    profilePicGrowth
+} = require('./attachmentStorage');
 require('dotenv').config();
 
 // ============================================================
@@ -49,10 +90,39 @@ const io = new Server(server, {
     maxHttpBufferSize: 1e8
 });
 
+// Render / Cloudflare sit in front of the app — trust one proxy hop for req.ip
+app.set('trust proxy', 1);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 app.use(cors());
 
+// ============================================================
+// PERSISTENCE MODE
+// ============================================================
+//
+// DATA_MODE=cloud → MongoDB at MONGODB_CLOUD_URI, files on Cloudinary by default
+// DATA_MODE=local → embedded MongoDB (mongodb-memory-server, a dev dependency)
+//                   stored under LOCAL_DATA_DIR, files on local disk by default
+// Unset: cloud. Local is opt-in only, so a deploy missing its URI fails fast
+// instead of starting on an empty embedded database.
+// The mongod binary is downloaded on first run; MONGOMS_VERSION pins its version.
+
+const DATA_MODE = (process.env.DATA_MODE || 'cloud').toLowerCase();
+
+if (!['cloud', 'local'].includes(DATA_MODE)) {
+    console.error(`❌ Unknown DATA_MODE "${DATA_MODE}" — use "cloud" or "local"`);
+    process.exit(1);
+}
+
+const IS_LOCAL_MODE = DATA_MODE === 'local';
+
+// Where uploaded files live: local | s3 | cloudinary (see BLOB STORAGE)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND
+    || (IS_LOCAL_MODE ? 'local' : 'cloudinary')).toLowerCase();
+
+console.log(`🧩 Data mode: ${DATA_MODE} (storage: ${STORAGE_BACKEND})`);
+
 // ============================================================
 // CLOUDINARY CONFIGURATION
 // ============================================================
@@ -63,11 +133,13 @@ cloudinary.config({
     api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Verify Cloudinary config on boot
-if (!process.env.CLOUDINARY_CLOUD_NAME || 
+// Verify Cloudinary config on boot (only the cloudinary storage backend talks to it)
+if (STORAGE_BACKEND !== 'cloudinary') {
+    console.log(`✅ Cloudinary not used — files stored with the ${STORAGE_BACKEND} backend`);
+} else if (!process.env.CLOUDINARY_CLOUD_NAME || 
     !process.env.CLOUDINARY_API_KEY || 
     !process.env.CLOUDINARY_API_SECRET) {
-    console.warn('⚠️  Cloudinary env vars missing — profile pic uploads will fail');
+    console.warn('⚠️  Cloudinary env vars missing — uploads will fail');
     console.warn('    Set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET');
 } else {
     console.log('✅ Cloudinary configured for cloud:', process.env.CLOUDINARY_CLOUD_NAME);
@@ -94,31 +166,29 @@ if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
 // CLOUDINARY UPLOAD HELPER
 // ============================================================
 
+// Applied to every profile pic, whichever key it is stored under
+const PROFILE_PIC_CLOUDINARY_OPTIONS = {
+    transformation: [
+        {
+            width: 256,
+            height: 256,
+            crop: 'fill',
+            gravity: 'face'   // ← smart face-centering
+        }
+    ],
+    format: 'jpg'
+};
+
 /**
  * Upload a buffer to Cloudinary.
  * Returns the permanent secure_url string.
- * Automatically:
- *   - Crops to 256x256 face-aware square
- *   - Stores in xamepage/profile_pics folder
- *   - Overwrites previous pic for same userId (no orphaned files)
+ * `options` are passed straight to upload_stream (public_id, resource_type, ...);
+ * reusing a public_id with overwrite: true replaces the old asset (no orphaned files).
  */
-function uploadToCloudinary(buffer, userId) {
+function uploadToCloudinary(buffer, options) {
     return new Promise((resolve, reject) => {
         const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                folder: 'xamepage/profile_pics',
-                public_id: `user_${userId}`,   // ← same ID = overwrites old pic
-                overwrite: true,
-                transformation: [
-                    {
-                        width: 256,
-                        height: 256,
-                        crop: 'fill',
-                        gravity: 'face'   // ← smart face-centering
-                    }
-                ],
-                format: 'jpg'
-            },
+            { overwrite: true, ...options },
             (error, result) => {
                 if (error) {
                     console.error('❌ Cloudinary upload error:', error);
@@ -135,14 +205,31 @@ function uploadToCloudinary(buffer, userId) {
 }
 
 /**
- * Delete a user's profile pic from Cloudinary.
- * Called when user removes their profile picture.
+ * Upload a file from disk to Cloudinary in chunks (large attachments).
+ * Returns the permanent secure_url string.
+ */
+function uploadFileToCloudinary(filePath, options) {
+    return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_large(filePath, { overwrite: true, ...options }, (error, result) => {
+            if (error) {
+                console.error('❌ Cloudinary upload error:', error);
+                reject(error);
+            } else {
+                console.log('✅ Cloudinary upload success:', result.secure_url);
+                resolve(result.secure_url);
+            }
+        });
+    });
+}
+
+/**
+ * Delete an asset from Cloudinary.
+ * Called when a stored file is removed.
  */
-async function deleteFromCloudinary(userId) {
+async function deleteFromCloudinary(publicId, resourceType = 'image') {
     try {
-        const publicId = `xamepage/profile_pics/user_${userId}`;
-        const result = await cloudinary.uploader.destroy(publicId);
-        console.log(`✅ Cloudinary delete result for ${userId}:`, result);
+        const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+        console.log(`✅ Cloudinary delete result for ${publicId}:`, result);
         return result;
     } catch (error) {
         console.error('❌ Cloudinary delete error:', error);
@@ -156,32 +243,359 @@ async function deleteFromCloudinary(userId) {
 
 const BASE_DIR = process.cwd();
 const uploadDir = path.join(BASE_DIR, 'uploads');
-// profilePicsDir no longer needed for profile pics (Cloudinary handles it)
-// but kept for any future local use
+// uploadDir / profilePicsDir back the local blob store (and legacy /uploads/... URLs)
 const profilePicsDir = path.join(BASE_DIR, 'media', 'profile_pics');
+// Outside BASE_DIR on purpose: everything under it is served by express.static
+const exportsDir = process.env.EXPORTS_DIR || path.join(os.tmpdir(), 'xamepage-exports');
+// Partial chunked uploads — also kept out of the static root
+const uploadSessionsDir = process.env.UPLOAD_SESSIONS_DIR || path.join(os.tmpdir(), 'xamepage-upload-sessions');
+// Uploads the malware scanner rejected, kept for inspection. Dot-directory:
+// express.static(BASE_DIR) does not serve dotfiles
+const quarantineDir = process.env.QUARANTINE_DIR || path.join(BASE_DIR, '.quarantine');
 
 console.log(`📁 Base directory: ${BASE_DIR}`);
 console.log(`📂 Upload directory: ${uploadDir}`);
 
+// ============================================================
+// BLOB STORAGE
+// ============================================================
+//
+// One interface for every stored file — chat attachments and profile pics:
+//   put(key, buffer, { contentType })       → public URL
+//   putFile(key, filePath, { contentType }) → public URL (large files, streamed)
+//   get(key)                                → Buffer
+//   openStream(key, { range })              → Readable (large files, never buffered whole);
+//                                             remote stores pass a Range header on and set
+//                                             contentLength / contentRange on the stream
+//   remove(key)
+//   keyFromUrl(url)                         → key, or null if the URL is not this backend's
+//   presignedUrl(key, seconds)              → optional; short-lived direct read URL
+// Keys look like "uploads/<uuid>.pdf" or "profile_pics/user_<xameId>.jpg".
+// The backend is picked by STORAGE_BACKEND (see PERSISTENCE MODE).
+
+// Optional separate origin for locally stored files (e.g. https://files.example.com,
+// pointed at this same server), so uploaded content never shares the app's origin
+const ATTACHMENTS_ORIGIN = (process.env.ATTACHMENTS_ORIGIN || '').replace(/\/+$/, '');
+
+// Key prefix → where the local backend keeps it and the URL path it is served from
+const LOCAL_BLOB_ROOTS = {
+    'uploads/':      { dir: uploadDir,      urlPrefix: '/uploads/' },
+    'profile_pics/': { dir: profilePicsDir, urlPrefix: '/media/profile_pics/' }
+};
+
+function localBlobLocation(key) {
+    const prefix = Object.keys(LOCAL_BLOB_ROOTS).find(p => key.startsWith(p));
+    const name   = prefix ? key.slice(prefix.length) : '';
+
+    // Flat directories only — no traversal out of the roots
+    if (!name || name !== path.basename(name)) {
+        throw new Error(`Invalid blob key: ${key}`);
+    }
+
+    const root = LOCAL_BLOB_ROOTS[prefix];
+    return { filePath: path.join(root.dir, name), url: ATTACHMENTS_ORIGIN + root.urlPrefix + name };
+}
+
+function createLocalBlobStore() {
+    return {
+        name: 'local',
+
+        async put(key, buffer) {
+            const { filePath, url } = localBlobLocation(key);
+            await fsPromises.writeFile(filePath, buffer);
+            return url;
+        },
+
+        async putFile(key, sourcePath) {
+            const { filePath, url } = localBlobLocation(key);
+            await fsPromises.copyFile(sourcePath, filePath);
+            return url;
+        },
+
+        async get(key) {
+            return fsPromises.readFile(localBlobLocation(key).filePath);
+        },
+
+        async openStream(key) {
+            const { filePath } = localBlobLocation(key);
+            await fsPromises.access(filePath); // missing files fail here, not mid-stream
+            return fs.createReadStream(filePath);
+        },
+
+        async remove(key) {
+            await fsPromises.unlink(localBlobLocation(key).filePath).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        },
+
+        keyFromUrl(url) {
+            let clean = String(url || '').split('?')[0];
+            if (ATTACHMENTS_ORIGIN && clean.startsWith(`${ATTACHMENTS_ORIGIN}/`)) {
+                clean = clean.slice(ATTACHMENTS_ORIGIN.length);
+            }
+            const prefix = Object.keys(LOCAL_BLOB_ROOTS)
+                .find(p => clean.startsWith(LOCAL_BLOB_ROOTS[p].urlPrefix));
+            return prefix ? prefix + clean.slice(LOCAL_BLOB_ROOTS[prefix].urlPrefix.length) : null;
+        }
+    };
+}
+
+// Works with AWS S3 and S3-compatible servers (MinIO, R2, ...) via S3_ENDPOINT
+function createS3BlobStore() {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    const bucket   = process.env.S3_BUCKET;
+    const region   = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/+$/, '') : '';
+
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_BACKEND=s3');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint:       endpoint || undefined,
+        // MinIO-style servers address buckets by path, not by subdomain
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+            ? process.env.S3_FORCE_PATH_STYLE === 'true'
+            : Boolean(endpoint),
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId:     process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    // Base of the stored object URLs (reads go through presigned URLs, see ATTACHMENT SERVING)
+    const publicBase = (process.env.S3_PUBLIC_URL
+        || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`))
+        .replace(/\/+$/, '');
+
+    return {
+        name: 's3',
+
+        async put(key, buffer, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket:             bucket,
+                Key:                key,
+                Body:               buffer,
+                ContentType:        contentType || 'application/octet-stream',
+                ContentDisposition: 'attachment' // never rendered as a page, see ATTACHMENT SERVING
+            }));
+            return `${publicBase}/${key}`;
+        },
+
+        async putFile(key, filePath, { contentType } = {}) {
+            const { size } = await fsPromises.stat(filePath);
+            await client.send(new PutObjectCommand({
+                Bucket:             bucket,
+                Key:                key,
+                Body:               fs.createReadStream(filePath),
+                ContentLength:      size,
+                ContentType:        contentType || 'application/octet-stream',
+                ContentDisposition: 'attachment'
+            }));
+            return `${publicBase}/${key}`;
+        },
+
+        async get(key) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await result.Body.transformToByteArray());
+        },
+
+        async openStream(key, { range } = {}) {
+            const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+            result.Body.contentLength = result.ContentLength;
+            result.Body.contentRange  = result.ContentRange;
+            return result.Body;
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        // Lets the bucket stay private: /files/... redirects here after its own checks
+        presignedUrl(key, seconds) {
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: seconds });
+        },
+
+        keyFromUrl(url) {
+            const clean = String(url || '').split('?')[0];
+            return clean.startsWith(`${publicBase}/`) ? clean.slice(publicBase.length + 1) : null;
+        }
+    };
+}
+
+const CLOUDINARY_FOLDER           = 'xamepage';
+const CLOUDINARY_IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg', '.avif', '.heic', '.ico']);
+// Cloudinary files audio under the "video" resource type
+const CLOUDINARY_VIDEO_EXTENSIONS = new Set(['.mp4', '.webm', '.mov', '.mkv', '.mp3', '.wav', '.ogg', '.m4a', '.aac', '.opus', '.flac']);
+
+function cloudinaryAsset(key) {
+    const ext = path.extname(key).toLowerCase();
+    const resourceType = CLOUDINARY_IMAGE_EXTENSIONS.has(ext) ? 'image'
+        : CLOUDINARY_VIDEO_EXTENSIONS.has(ext) ? 'video'
+        : 'raw';
+
+    // Raw assets keep their extension in the public_id; media get it back as the delivery format.
+    // "profile_pics/user_<id>.jpg" → "xamepage/profile_pics/user_<id>", same as before this store existed.
+    const id = resourceType === 'raw' ? key : key.slice(0, key.length - ext.length);
+    return { resourceType, publicId: `${CLOUDINARY_FOLDER}/${id}`, format: ext.slice(1) };
+}
+
+async function fetchCloudinaryAsset(key, headers = {}) {
+    const { resourceType, publicId, format } = cloudinaryAsset(key);
+    const url = cloudinary.url(publicId, {
+        resource_type: resourceType,
+        secure:        true,
+        ...(resourceType === 'raw' ? {} : { format })
+    });
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+        const error = new Error(`Cloudinary fetch failed (${response.status}) for ${key}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response;
+}
+
+function createCloudinaryBlobStore() {
+    return {
+        name: 'cloudinary',
+
+        put(key, buffer) {
+            const { resourceType, publicId } = cloudinaryAsset(key);
+            return uploadToCloudinary(buffer, {
+                resource_type: resourceType,
+                public_id:     publicId,
+                ...(key.startsWith('profile_pics/') ? PROFILE_PIC_CLOUDINARY_OPTIONS : {})
+            });
+        },
+
+        putFile(key, filePath) {
+            const { resourceType, publicId } = cloudinaryAsset(key);
+            return uploadFileToCloudinary(filePath, { resource_type: resourceType, public_id: publicId });
+        },
+
+        async get(key) {
+            const response = await fetchCloudinaryAsset(key);
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        async openStream(key, { range } = {}) {
+            // Uncompressed, so the byte counts and ranges are the file's own
+            const response = await fetchCloudinaryAsset(key, {
+                'Accept-Encoding': 'identity',
+                ...(range ? { Range: range } : {})
+            });
+            const stream = Readable.fromWeb(response.body);
+            stream.contentLength = response.headers.get('content-length');
+            stream.contentRange  = response.status === 206 ? response.headers.get('content-range') : null;
+            return stream;
+        },
+
+        async remove(key) {
+            const { resourceType, publicId } = cloudinaryAsset(key);
+            await deleteFromCloudinary(publicId, resourceType);
+        },
+
+        keyFromUrl(url) {
+            const match = String(url || '').split('?')[0]
+                .match(/^https:\/\/res\.cloudinary\.com\/[^/]+\/(?:image|video|raw)\/upload\/(?:.+\/)?v\d+\/(.+)$/);
+            return match && match[1].startsWith(`${CLOUDINARY_FOLDER}/`)
+                ? match[1].slice(CLOUDINARY_FOLDER.length + 1)
+                : null;
+        }
+    };
+}
+
+const BLOB_STORE_FACTORIES = {
+    local:      createLocalBlobStore,
+    s3:         createS3BlobStore,
+    cloudinary: createCloudinaryBlobStore
+};
+
+if (!BLOB_STORE_FACTORIES[STORAGE_BACKEND]) {
+    console.error(`❌ Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" — use local, s3 or cloudinary`);
+    process.exit(1);
+}
+
+const localBlobStore = createLocalBlobStore();
+const blobStore      = STORAGE_BACKEND === 'local' ? localBlobStore : BLOB_STORE_FACTORIES[STORAGE_BACKEND]();
+
+console.log(`✅ Blob storage backend: ${blobStore.name}`);
+
+// Resolve a stored URL to the store holding it. Legacy /uploads/... files stay
+// readable from local disk after switching backends, until migrate-uploads moves them.
+function blobForUrl(url) {
+    const key = blobStore.keyFromUrl(url);
+    if (key) return { store: blobStore, key };
+
+    const localKey = localBlobStore.keyFromUrl(url);
+    return localKey ? { store: localBlobStore, key: localKey } : null;
+}
+
 // ============================================================
 // MONGODB CONFIGURATION
 // ============================================================
 
 const MONGODB_URI = process.env.MONGODB_CLOUD_URI;
+// Dot-directory: express.static(BASE_DIR) does not serve dotfiles
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || path.join(BASE_DIR, '.local-data');
+
+let embeddedMongo = null;
 
-if (!MONGODB_URI) {
+if (!IS_LOCAL_MODE && !MONGODB_URI) {
     console.error('❌ MONGODB_CLOUD_URI not found in environment variables');
+    console.error('    Set it, or run with DATA_MODE=local for an embedded database');
     process.exit(1);
 }
 
-console.log('✅ Mongo URI loaded:', MONGODB_URI.slice(0, 15) + '...');
+// Mongoose buffers queries until this resolves, so routes and sockets
+// work the same whichever backend is behind it.
+async function connectDatabase() {
+    let uri = MONGODB_URI;
 
-mongoose.connect(MONGODB_URI)
-    .then(() => console.log('✅ MongoDB connected successfully'))
-    .catch(err => {
-        console.error('❌ MongoDB connection error:', err);
-        process.exit(1);
-    });
+    if (IS_LOCAL_MODE) {
+        // Required lazily: only local/dev installs carry this package
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        const dbPath = path.join(LOCAL_DATA_DIR, 'db');
+        await fsPromises.mkdir(dbPath, { recursive: true });
+
+        embeddedMongo = await MongoMemoryServer.create({
+            instance: { dbPath, storageEngine: 'wiredTiger' } // on disk, survives restarts
+        });
+        uri = embeddedMongo.getUri('xamepage');
+        console.log(`✅ Embedded MongoDB started (data in ${dbPath})`);
+    } else {
+        console.log('✅ Mongo URI loaded:', MONGODB_URI.slice(0, 15) + '...');
+    }
+
+    await mongoose.connect(uri);
+    console.log('✅ MongoDB connected successfully');
+}
+
+const databaseReady = connectDatabase().catch(err => {
+    console.error('❌ MongoDB connection error:', err);
+    process.exit(1);
+});
+
+// Let the embedded mongod flush and exit with us
+async function shutdownDatabase(signal) {
+    console.log(`🛑 ${signal} received — closing database`);
+    try {
+        await mongoose.disconnect();
+        if (embeddedMongo) await embeddedMongo.stop();
+    } catch (error) {
+        console.error('Database shutdown error:', error);
+    }
+    process.exit(0);
+}
+
+if (IS_LOCAL_MODE) {
+    process.once('SIGINT',  () => shutdownDatabase('SIGINT'));
+    process.once('SIGTERM', () => shutdownDatabase('SIGTERM'));
+}
 
 // ============================================================
 // MONGODB SCHEMAS
@@ -200,10 +614,25 @@ const userSchema = new mongoose.Schema({
     preferredName:    { type: String, default: '' },
     dob:              { type: String, required: true },
     password:         { type: String },
+    passwordChangedAt: { type: Date },
+    username:         { type: String },                           // as typed, e.g. "Jane_Doe"
+    usernameLower:    { type: String, unique: true, sparse: true }, // lookup key, e.g. "jane_doe"
+    usernameChangedAt: { type: Date },
     profilePic:       { type: String, default: '' }, // Now stores Cloudinary HTTPS URL
+    profilePicSize:   { type: Number, default: 0 },  // bytes, counted toward the storage quota
     hidePreferredName:  { type: Boolean, default: false },
     hideProfilePicture: { type: Boolean, default: false },
     contacts:         [contactSchema],
+    recoveryCodes:    [{ type: String }],           // bcrypt hashes, each usable once
+    recoveryCodesGeneratedAt: { type: Date },
+    twoFactor: {
+        enabled:       { type: Boolean, default: false },
+        secret:        { type: String },            // base32 TOTP secret
+        pendingSecret: { type: String },            // awaiting the first code during enrollment
+        enabledAt:     { type: Date },
+        lastUsedStep:  { type: Number, default: 0 }, // blocks replay of an accepted code
+        backupCodes:   [{ type: String }]            // bcrypt hashes, each usable once
+    },
     createdAt:        { type: Date, default: Date.now }
 });
 
@@ -211,12 +640,18 @@ const messageSchema = new mongoose.Schema({
     messageId:   { type: String, required: true, unique: true },
     senderId:    { type: String, required: true, index: true },
     recipientId: { type: String, required: true, index: true },
-    ts:          { type: Number, required: true },
+    ts:          { type: Number, required: true },   // assigned by the server on send
+    seq:         { type: Number },                   // per conversation, see nextConversationSeq
     text:        { type: String },
     file: {
-        url:  { type: String },
-        name: { type: String },
-        type: { type: String }
+        url:         { type: String },
+        name:        { type: String },
+        type:        { type: String },
+        // Images only (see IMAGE THUMBNAILS)
+        width:       { type: Number },
+        height:      { type: Number },
+        thumbUrl:    { type: String },
+        placeholder: { type: String }   // tiny data: URI shown while the thumbnail loads
     },
     status: { 
         type: String, 
@@ -239,6 +674,11 @@ const callHistorySchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+// One conversation, newest first — serves the paginated history queries
+messageSchema.index({ senderId: 1, recipientId: 1, ts: -1 });
+// Reference counts for the orphan sweeper (see ORPHANED ATTACHMENT CLEANUP)
+messageSchema.index({ 'file.url': 1 }, { sparse: true });
+
 const User        = mongoose.model('User', userSchema);
 const Message     = mongoose.model('Message', messageSchema);
 const CallHistory = mongoose.model('CallHistory', callHistorySchema);
@@ -251,138 +691,909 @@ const pushSubscriptionSchema = new mongoose.Schema({
 
 const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
 
+// One document per logged-in device; deleting it revokes that device's token
+const sessionSchema = new mongoose.Schema({
+    sessionId:    { type: String, required: true, unique: true },
+    userId:       { type: String, required: true, index: true },
+    deviceName:   { type: String, default: '' },
+    userAgent:    { type: String, default: '' },
+    ip:           { type: String, default: '' },
+    createdAt:    { type: Date, default: Date.now },
+    lastActiveAt: { type: Date, default: Date.now },
+    expiresAt:    { type: Date, required: true, index: { expires: 0 } } // TTL cleanup
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// Failed-login counters, one per IP ("ip:…") and per account ("account:…")
+const loginAttemptSchema = new mongoose.Schema({
+    key:           { type: String, required: true, unique: true },
+    failures:      { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    lockedUntil:   { type: Date },
+    expiresAt:     { type: Date, required: true, index: { expires: 0 } } // TTL cleanup
+});
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+// Background "download my data" jobs; the ZIP itself lives in EXPORTS_DIR
+const dataExportSchema = new mongoose.Schema({
+    exportId:    { type: String, required: true, unique: true },
+    userId:      { type: String, required: true, index: true },
+    status:      { type: String, enum: ['running', 'ready', 'failed'], default: 'running' },
+    progress:    { type: Number, default: 0 },  // 0–100
+    step:        { type: String, default: 'Starting' },
+    fileSize:    { type: Number },
+    error:       { type: String },
+    createdAt:   { type: Date, default: Date.now },
+    completedAt: { type: Date },
+    expiresAt:   { type: Date, required: true, index: { expires: 0 } } // TTL cleanup
+});
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+// Resumable chunked uploads in progress; the bytes live in UPLOAD_SESSIONS_DIR
+const uploadSessionSchema = new mongoose.Schema({
+    uploadId:  { type: String, required: true, unique: true },
+    userId:    { type: String, required: true, index: true },
+    fileName:  { type: String, required: true },
+    fileType:  { type: String, default: 'application/octet-stream' },
+    fileSize:  { type: Number, required: true },
+    chunkSize: { type: Number, required: true },
+    received:  { type: Number, default: 0 },  // bytes stored so far, always a chunk boundary
+    status:    { type: String, enum: ['open', 'completing', 'complete'], default: 'open' }, // completing = claimed by one /complete call
+    url:       { type: String },               // set once complete
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } } // TTL cleanup, pushed back by each chunk
+});
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+// Who uploaded each stored attachment — only the uploader may put it in a message.
+// refCount/orphanedAt drive the orphan sweeper (see ORPHANED ATTACHMENT CLEANUP).
+const attachmentSchema = new mongoose.Schema({
+    url:       { type: String, required: true, unique: true }, // canonical blob store URL
+    ownerId:   { type: String, required: true, index: true },
+    size:      { type: Number, default: 0 },
+    type:      { type: String },
+    image: {                                                     // set for images, copied into Message.file
+        width:       { type: Number },
+        height:      { type: Number },
+        thumbUrl:    { type: String },
+        placeholder: { type: String }
+    },
+    refCount:   { type: Number, default: 0 },                    // messages pointing at this URL
+    orphanedAt: { type: Date, default: Date.now, index: true },  // unreferenced since; null while in use
+    createdAt: { type: Date, default: Date.now }
+});
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+// Per-user change feed for delta sync (see CHANGE FEED)
+const syncCounterSchema = new mongoose.Schema({
+    userId: { type: String, required: true, unique: true },
+    seq:    { type: Number, default: 0 }   // last seq handed out to this user
+}, { timestamps: true });                  // updatedAt: when that seq was handed out
+
+const changeEventSchema = new mongoose.Schema({
+    userId:     { type: String, required: true },
+    seq:        { type: Number, required: true },
+    kind:       { type: String, enum: ['message', 'status', 'delete'], required: true },
+    contactId:  { type: String, required: true },   // the conversation, from userId's side
+    messageIds: [{ type: String }],
+    status:     { type: String },                   // kind 'status'
+    expiresAt:  { type: Date, required: true, index: { expires: 0 } } // TTL cleanup
+});
+changeEventSchema.index({ userId: 1, seq: 1 }, { unique: true });
+
+// Message order within a conversation; both directions share one counter
+const conversationCounterSchema = new mongoose.Schema({
+    conversationId: { type: String, required: true, unique: true }, // see conversationKey
+    seq:            { type: Number, default: 0 }
+});
+
+const SyncCounter = mongoose.model('SyncCounter', syncCounterSchema);
+const ConversationCounter = mongoose.model('ConversationCounter', conversationCounterSchema);
+const ChangeEvent = mongoose.model('ChangeEvent', changeEventSchema);
+
 // ============================================================
-// FILE UPLOAD CONFIGURATION
+// ATTACHMENT POLICY
 // ============================================================
+//
+// Single source of truth for what can be attached; script.js builds its
+// FILE_CONFIG from GET /api/attachments/policy. The declared MIME type is only
+// a hint — the real type is sniffed from the file's first bytes.
+
+const ATTACHMENT_MAX_SIZE = 500 * 1024 * 1024; // 500MB
+
+const ATTACHMENT_ALLOWED_TYPES = {
+    images: ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'],
+    videos: ['video/mp4', 'video/webm', 'video/ogg'],
+    audio: ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/webm', 'audio/mp4'],
+    documents: [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-powerpoint',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'text/plain',
+        'text/javascript',
+        'application/javascript',
+        'application/x-javascript',
+        'text/css',
+        'text/html'
+    ]
+};
+
+const ALL_ATTACHMENT_TYPES = new Set(Object.values(ATTACHMENT_ALLOWED_TYPES).flat());
+
+// Extension we store each type under — the client's file name is never trusted for this
+const ATTACHMENT_EXTENSIONS = {
+    'image/jpeg': '.jpg',  'image/jpg': '.jpg', 'image/png': '.png', 'image/gif': '.gif', 'image/webp': '.webp',
+    'video/mp4': '.mp4',   'video/webm': '.webm', 'video/ogg': '.ogv',
+    'audio/mpeg': '.mp3',  'audio/wav': '.wav', 'audio/ogg': '.ogg', 'audio/webm': '.weba', 'audio/mp4': '.m4a',
+    'application/pdf': '.pdf',
+    'application/msword': '.doc',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+    'application/vnd.ms-excel': '.xls',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+    'application/vnd.ms-powerpoint': '.ppt',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    'text/plain': '.txt', 'text/javascript': '.js', 'application/javascript': '.js',
+    'application/x-javascript': '.js', 'text/css': '.css', 'text/html': '.html'
+};
+
+// Magic-byte signatures → every allowed type that container can hold
+const bytesAt = (buffer, offset, bytes) =>
+    buffer.length >= offset + bytes.length && bytes.every((b, i) => buffer[offset + i] === b);
+const asciiAt = (buffer, offset, text) =>
+    bytesAt(buffer, offset, [...text].map(c => c.charCodeAt(0)));
+
+const ATTACHMENT_SIGNATURES = [
+    { test: b => bytesAt(b, 0, [0xFF, 0xD8, 0xFF]),                         types: ['image/jpeg', 'image/jpg'] },
+    { test: b => bytesAt(b, 0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), types: ['image/png'] },
+    { test: b => asciiAt(b, 0, 'GIF87a') || asciiAt(b, 0, 'GIF89a'),        types: ['image/gif'] },
+    { test: b => asciiAt(b, 0, 'RIFF') && asciiAt(b, 8, 'WEBP'),             types: ['image/webp'] },
+    { test: b => asciiAt(b, 0, 'RIFF') && asciiAt(b, 8, 'WAVE'),             types: ['audio/wav'] },
+    { test: b => asciiAt(b, 4, 'ftyp'),                                      types: ['video/mp4', 'audio/mp4'] },
+    { test: b => bytesAt(b, 0, [0x1A, 0x45, 0xDF, 0xA3]),                    types: ['video/webm', 'audio/webm'] },
+    { test: b => asciiAt(b, 0, 'OggS'),                                      types: ['audio/ogg', 'video/ogg'] },
+    { test: b => asciiAt(b, 0, 'ID3') || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0), types: ['audio/mpeg'] },
+    { test: b => asciiAt(b, 0, '%PDF-'),                                     types: ['application/pdf'] },
+    // Legacy Office (OLE2 compound file)
+    { test: b => bytesAt(b, 0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]),
+      types: ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'] },
+    // Office Open XML is a ZIP archive
+    { test: b => bytesAt(b, 0, [0x50, 0x4B, 0x03, 0x04]),
+      types: [
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+      ] }
+];
+
+const TEXT_ATTACHMENT_TYPES = ['text/plain', 'text/javascript', 'application/javascript',
+    'application/x-javascript', 'text/css', 'text/html'];
+
+// Text has no magic bytes: accept it if the sample is valid UTF-8 without NUL bytes
+function looksLikeText(head) {
+    if (head.includes(0)) return false;
+    // A multi-byte character may be cut off at the end of the sample
+    const sample = head.subarray(0, Math.max(0, head.length - 4));
+    return Buffer.from(sample.toString('utf8'), 'utf8').equals(sample);
+}
 
-// ✅ CHANGED: Profile pics use memoryStorage (buffer → Cloudinary)
-//            Regular file uploads still use disk storage
-const diskUpload   = multer({ dest: uploadDir });
-const memoryUpload = multer({ storage: multer.memoryStorage() });
+function attachmentError(status, code, message, details = {}) {
+    return { status, code, message, ...details };
+}
 
-async function createDirectories() {
-    try {
-        if (!fs.existsSync(uploadDir)) {
-            await fsPromises.mkdir(uploadDir, { recursive: true });
-            console.log('✅ Created uploads directory');
-        }
-        if (!fs.existsSync(profilePicsDir)) {
-            await fsPromises.mkdir(profilePicsDir, { recursive: true });
-            console.log('✅ Created profile pics directory (local fallback)');
-        }
-    } catch (error) {
-        console.error('❌ Error creating directories:', error);
-        process.exit(1);
-    }
+function attachmentTooLargeError(size) {
+    return attachmentError(413, 'FILE_TOO_LARGE',
+        `Files can be at most ${Math.round(ATTACHMENT_MAX_SIZE / (1024 * 1024))} MB.`,
+        { maxSize: ATTACHMENT_MAX_SIZE, size });
 }
 
-// Serve static files
-app.use(express.static(BASE_DIR));
-app.use('/uploads', express.static(uploadDir));
-app.use('/media/icons', express.static(path.join(BASE_DIR, 'media', 'icons')));
-// /media/profile_pics no longer needed for new uploads
-// kept for backwards compatibility with any old local URLs still in DB
-app.use('/media/profile_pics', express.static(profilePicsDir));
+function sendAttachmentError(res, error) {
+    const { status, ...body } = error;
+    res.status(status).json({ success: false, ...body });
+}
 
-// ============================================================
-// ONLINE USER STATE MANAGEMENT
-// ============================================================
+/**
+ * Check an attachment against the policy.
+ * `head` is the first bytes of the file (a few KB is plenty) — null to skip sniffing.
+ * Returns { type, extension } with the verified MIME type, or { error } for sendAttachmentError.
+ */
+function checkAttachment({ size, declaredType, head }) {
+    const type = String(declaredType || '').split(';')[0].trim().toLowerCase();
 
-const onlineUsers          = new Set();
-const userToSocketMap      = new Map();
-const socketToUserMap      = new Map();
-const onlineUserTimestamps = new Map();
-const disconnectTimeouts   = new Map();
+    if (!size) {
+        return { error: attachmentError(400, 'EMPTY_FILE', 'The file is empty.') };
+    }
+    if (size > ATTACHMENT_MAX_SIZE) {
+        return { error: attachmentTooLargeError(size) };
+    }
+    if (!ALL_ATTACHMENT_TYPES.has(type)) {
+        return { error: attachmentError(415, 'TYPE_NOT_ALLOWED',
+            `Files of type "${type || 'unknown'}" can't be sent.`, { declaredType: type }) };
+    }
+    if (!head) {
+        return { type, extension: ATTACHMENT_EXTENSIONS[type] };
+    }
 
-function findSocketIdByUserId(userId) {
-    return userToSocketMap.get(userId);
+    const signature = ATTACHMENT_SIGNATURES.find(s => s.test(head));
+    const candidates = signature ? signature.types
+        : looksLikeText(head) ? TEXT_ATTACHMENT_TYPES
+        : [];
+
+    if (!candidates.length) {
+        return { error: attachmentError(415, 'UNRECOGNIZED_CONTENT',
+            "The file's contents don't match any supported type.", { declaredType: type }) };
+    }
+
+    // Same family, different container (e.g. Safari records MP4 but labels it video/webm): use the real one
+    const category = type.split('/')[0];
+    const resolved = candidates.includes(type) ? type
+        : candidates.find(c => c.split('/')[0] === category && category !== 'application' && category !== 'text');
+
+    if (!resolved) {
+        return { error: attachmentError(415, 'TYPE_MISMATCH',
+            `The file says it is ${type} but its contents are ${candidates[0]}.`,
+            { declaredType: type, detectedType: candidates[0] }) };
+    }
+
+    return { type: resolved, extension: ATTACHMENT_EXTENSIONS[resolved] };
 }
 
+const ATTACHMENT_SNIFF_BYTES = 4096;
+
 // ============================================================
-// HELPER FUNCTIONS
+// IMAGE THUMBNAILS
 // ============================================================
+//
+// Image attachments get their real dimensions, a chat-sized WebP thumbnail
+// (stored next to the original as <name>_thumb.webp) and a tiny inline blur
+// placeholder, so bubbles can reserve space and never load the full original.
 
-async function generateUniqueXameId() {
-    const prefix = '058';
-    let newId;
-    let isUnique = false;
+const THUMBNAIL_MAX_DIMENSION   = 640;  // ~300px bubble on a 2x screen
+const THUMBNAIL_QUALITY         = 72;
+const PLACEHOLDER_MAX_DIMENSION = 16;
+const THUMBNAIL_SOURCE_TYPES    = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp']);
 
-    do {
-        const randomPart = Math.floor(1e8 + Math.random() * 9e8).toString();
-        newId = `${prefix}${randomPart}`;
-        const existingUser = await User.findOne({ xameId: newId });
-        isUnique = !existingUser;
-    } while (!isUnique);
+/**
+ * `input` is a Buffer or a file path; `key` the original's blob key.
+ * Returns { width, height, thumbUrl, placeholder } — or {} when the image can't
+ * be decoded, in which case the upload still goes through without them.
+ */
+async function createImageVariants(input, key, type) {
+    if (!THUMBNAIL_SOURCE_TYPES.has(type)) return {};
 
-    return newId;
+    try {
+        const meta = await sharp(input).metadata();
+        // EXIF orientations 5–8 are rotated a quarter turn
+        const rotated = meta.orientation >= 5;
+        const width   = rotated ? meta.height : meta.width;
+        const height  = rotated ? meta.width : meta.height;
+
+        const thumbnail = await sharp(input)
+            .rotate()
+            .resize(THUMBNAIL_MAX_DIMENSION, THUMBNAIL_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: THUMBNAIL_QUALITY })
+            .toBuffer();
+
+        const placeholder = await sharp(input)
+            .rotate()
+            .resize(PLACEHOLDER_MAX_DIMENSION, PLACEHOLDER_MAX_DIMENSION, { fit: 'inside' })
+            .webp({ quality: 40 })
+            .toBuffer();
+
+        const thumbKey = `${key.slice(0, key.length - path.extname(key).length)}_thumb.webp`;
+        const thumbUrl = await blobStore.put(thumbKey, thumbnail, { contentType: 'image/webp' });
+
+        return {
+            width,
+            height,
+            thumbUrl,
+            placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`
+        };
+    } catch (error) {
+        console.warn(`⚠️ Could not create thumbnail for ${key}:`, error.message);
+        return {};
+    }
 }
 
-function getPrivacyFilteredContactData(user) {
-    return {
-        xameId:        user.xameId,
-        preferredName: user.hidePreferredName  ? '' : user.preferredName,
-        profilePic:    user.hideProfilePicture ? '' : user.profilePic
-    };
+// What the uploader's client gets back to lay out its own bubble; the thumbnail
+// itself is only readable through the signed link issued with the message
+function uploadedImageInfo(image) {
+    if (!image || !image.width) return null;
+    return { width: image.width, height: image.height, placeholder: image.placeholder };
 }
 
-function getContactDisplayName(contactXameId, partnerUser, savedContact) {
-    if (savedContact?.customName)   return savedContact.customName;
-    if (partnerUser?.preferredName) return partnerUser.preferredName;
-    if (partnerUser) {
-        const fullName = `${partnerUser.firstName} ${partnerUser.lastName}`.trim();
-        if (fullName) return fullName;
+// ============================================================
+// MALWARE SCANNING
+// ============================================================
+//
+// Every attachment is scanned before it reaches the blob store. UPLOAD_SCANNER:
+//   none     (default) no scanning
+//   clamd    ClamAV daemon via INSTREAM — CLAMD_SOCKET=/run/clamav/clamd.ctl,
+//            or CLAMD_HOST (127.0.0.1) + CLAMD_PORT (3310). Raise clamd's
+//            StreamMaxLength to ATTACHMENT_MAX_SIZE or large files fail to scan.
+//   command  UPLOAD_SCAN_COMMAND, e.g. "clamscan --no-summary {file}" ({file} is
+//            appended if missing). Exit 0 = clean, 1 = infected, else = error.
+// Infected and unscannable files are moved to quarantineDir and rejected.
+
+const UPLOAD_SCANNER         = (process.env.UPLOAD_SCANNER || 'none').toLowerCase();
+const UPLOAD_SCAN_TIMEOUT_MS = Number(process.env.UPLOAD_SCAN_TIMEOUT_MS) || 2 * 60 * 1000;
+const CLAMD_CHUNK_SIZE       = 64 * 1024;
+
+// Buffer or file path → chunks small enough for one INSTREAM frame
+async function* scanChunks(input) {
+    if (Buffer.isBuffer(input)) {
+        for (let offset = 0; offset < input.length; offset += CLAMD_CHUNK_SIZE) {
+            yield input.subarray(offset, offset + CLAMD_CHUNK_SIZE);
+        }
+    } else {
+        yield* fs.createReadStream(input, { highWaterMark: CLAMD_CHUNK_SIZE });
     }
-    return contactXameId;
 }
 
-async function getLastInteractionDetails(userId, partnerId) {
-    const [lastMessage, lastCall] = await Promise.all([
-        Message.findOne({
-            $or: [
-                { senderId: userId, recipientId: partnerId },
-                { senderId: partnerId, recipientId: userId }
-            ]
-        }).sort({ ts: -1 }).select('ts senderId'),
+function createClamdScanner() {
+    const socketPath = process.env.CLAMD_SOCKET;
+    const host       = process.env.CLAMD_HOST || '127.0.0.1';
+    const port       = Number(process.env.CLAMD_PORT) || 3310;
 
-        CallHistory.findOne({
-            $or: [
-                { callerId: userId, recipientId: partnerId },
-                { callerId: partnerId, recipientId: userId }
-            ],
-            status: { $in: ['accepted', 'ended', 'rejected', 'missed'] }
-        }).sort({ createdAt: -1 }).select('createdAt status callerId')
-    ]);
+    return {
+        name: `clamd (${socketPath || `${host}:${port}`})`,
+
+        scan(input) {
+            return new Promise((resolve, reject) => {
+                const socket  = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+                const replies = [];
+
+                socket.setTimeout(UPLOAD_SCAN_TIMEOUT_MS, () => socket.destroy(new Error('clamd timed out')));
+                socket.on('error', reject);
+                socket.on('data', data => replies.push(data));
+                socket.on('end', () => {
+                    const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+                    const found = reply.match(/^stream: (.+) FOUND$/);
+                    if (found) resolve({ clean: false, signature: found[1] });
+                    else if (reply === 'stream: OK') resolve({ clean: true });
+                    else reject(new Error(`clamd replied "${reply || 'nothing'}"`));
+                });
 
-    let lastTs      = 0;
-    let previewText = 'Start a new chat.';
+                socket.on('connect', async () => {
+                    try {
+                        socket.write('zINSTREAM\0');
+                        for await (const chunk of scanChunks(input)) {
+                            const length = Buffer.alloc(4);
+                            length.writeUInt32BE(chunk.length);
+                            socket.write(length);
+                            if (!socket.write(chunk)) await once(socket, 'drain');
+                        }
+                        socket.end(Buffer.alloc(4)); // zero-length frame ends the stream
+                    } catch (error) {
+                        socket.destroy(error);
+                    }
+                });
+            });
+        }
+    };
+}
 
-    if (lastMessage) {
-        lastTs      = lastMessage.ts;
-        previewText = lastMessage.senderId === userId
-            ? 'You: Sent a message.'
-            : 'New message received.';
+function createCommandScanner() {
+    const [program, ...args] = (process.env.UPLOAD_SCAN_COMMAND || '').trim().split(/\s+/).filter(Boolean);
+    if (!program) {
+        console.error('❌ UPLOAD_SCANNER=command needs UPLOAD_SCAN_COMMAND');
+        process.exit(1);
     }
 
-    if (lastCall) {
-        const callTs = lastCall.createdAt.getTime();
-        if (callTs > lastTs) {
-            lastTs = callTs;
-            if (lastCall.status === 'missed' && lastCall.recipientId === userId) {
-                previewText = 'Missed call.';
-            } else if (lastCall.callerId === userId) {
-                previewText = 'Outgoing call.';
-            } else {
-                previewText = 'Incoming call.';
+    const run = filePath => new Promise((resolve, reject) => {
+        const argv = args.includes('{file}') ? args.map(a => (a === '{file}' ? filePath : a)) : [...args, filePath];
+        execFile(program, argv, { timeout: UPLOAD_SCAN_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (!error) return resolve({ clean: true });
+            if (error.code === 1) {
+                const found = String(stdout).match(/: (.+) FOUND/);
+                return resolve({ clean: false, signature: found ? found[1] : 'unknown' });
+            }
+            reject(new Error(`${program} exited with ${error.code ?? error.signal}: ${String(stderr || stdout).trim()}`));
+        });
+    });
+
+    return {
+        name: `command (${program})`,
+
+        async scan(input) {
+            if (!Buffer.isBuffer(input)) return run(input);
+
+            // Command-line scanners need a file on disk
+            const tempPath = path.join(uploadSessionsDir, `scan-${uuidv4()}`);
+            await fsPromises.writeFile(tempPath, input);
+            try {
+                return await run(tempPath);
+            } finally {
+                await fsPromises.unlink(tempPath).catch(() => {});
             }
         }
-    }
+    };
+}
 
-    return { lastInteractionTs: lastTs, lastInteractionPreview: previewText };
+const UPLOAD_SCANNER_FACTORIES = {
+    none:    () => null,
+    clamd:   createClamdScanner,
+    command: createCommandScanner
+};
+
+if (!UPLOAD_SCANNER_FACTORIES[UPLOAD_SCANNER]) {
+    console.error(`❌ Unknown UPLOAD_SCANNER "${UPLOAD_SCANNER}" — use none, clamd or command`);
+    process.exit(1);
 }
 
-async function getFullContactData(userId) {
-    const user = await User.findOne({ xameId: userId }).populate('contacts.contactId');
-    if (!user) return [];
+const uploadScanner = UPLOAD_SCANNER_FACTORIES[UPLOAD_SCANNER]();
+
+console.log(uploadScanner ? `🛡️  Upload scanner: ${uploadScanner.name}` : '⚠️  Upload scanner disabled (UPLOAD_SCANNER=none)');
+
+// Moves (path) or writes (Buffer) the upload into quarantine with a .json note beside it
+async function quarantineUpload(input, details) {
+    const filePath = path.join(quarantineDir, uuidv4());
+
+    if (Buffer.isBuffer(input)) {
+        await fsPromises.writeFile(filePath, input);
+    } else {
+        await fsPromises.rename(input, filePath).catch(async error => {
+            if (error.code !== 'EXDEV') throw error;
+            await fsPromises.copyFile(input, filePath);
+            await fsPromises.unlink(input);
+        });
+    }
+    await fsPromises.writeFile(`${filePath}.json`, JSON.stringify({
+        ...details,
+        quarantinedAt: new Date().toISOString()
+    }, null, 2));
+
+    return filePath;
+}
+
+/**
+ * Scan an upload (Buffer or file path) before it is stored.
+ * Returns null if it may be kept, otherwise quarantines it and returns an
+ * error for sendAttachmentError. Never throws.
+ */
+async function scanUpload(input, details) {
+    if (!uploadScanner) return null;
+
+    let result = null;
+    try {
+        result = await uploadScanner.scan(input);
+        if (result.clean) return null;
+    } catch (error) {
+        console.error(`❌ Could not scan upload from ${details.ownerId}:`, error.message);
+    }
+
+    const verdict = result ? 'infected' : 'unscannable';
+    try {
+        const quarantined = await quarantineUpload(input, { ...details, verdict, signature: result?.signature });
+        console.warn(`🦠 Upload from ${details.ownerId} ${verdict}${result ? ` (${result.signature})` : ''} → ${quarantined}`);
+    } catch (error) {
+        console.error('❌ Quarantine failed:', error);
+    }
+
+    return result
+        ? attachmentError(422, 'MALWARE_DETECTED',
+            `This file contains malware (${result.signature}) and was blocked.`, { signature: result.signature })
+        : attachmentError(422, 'SCAN_FAILED',
+            'This file could not be checked for malware, so it was not uploaded. Please try again later.');
+}
+
+// ============================================================
+// FILE UPLOAD CONFIGURATION
+// ============================================================
+
+// Profile pics are small and go to the blob store from memory.
+// Attachments can reach ATTACHMENT_MAX_SIZE, so they are spooled to a temp file
+// under UPLOAD_SESSIONS_DIR (*.upload) and streamed on with blobStore.putFile.
+const PROFILE_PIC_MAX_SIZE = 10 * 1024 * 1024; // 10MB
+
+const memoryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits:  { fileSize: PROFILE_PIC_MAX_SIZE, files: 1 }
+});
+const attachmentUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, uploadSessionsDir),
+        filename:    (req, file, cb) => cb(null, `${uuidv4()}.upload`)
+    }),
+    limits:  { fileSize: ATTACHMENT_MAX_SIZE, files: 1 }
+});
+
+// multer's size limit surfaces as an error; turn it into the structured policy error
+function acceptAttachmentUpload(req, res, next) {
+    attachmentUpload.single('file')(req, res, (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return sendAttachmentError(res, attachmentTooLargeError());
+        }
+        next(err);
+    });
+}
+
+function acceptProfilePicUpload(req, res, next) {
+    memoryUpload.single('profilePic')(req, res, (err) => {
+        if (err && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                message: `Profile pictures can be at most ${PROFILE_PIC_MAX_SIZE / (1024 * 1024)} MB.`
+            });
+        }
+        next(err);
+    });
+}
+
+// First bytes of a spooled upload, for content sniffing
+async function readFileHead(filePath, length) {
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+async function createDirectories() {
+    try {
+        if (!fs.existsSync(uploadDir)) {
+            await fsPromises.mkdir(uploadDir, { recursive: true });
+            console.log('✅ Created uploads directory');
+        }
+        if (!fs.existsSync(profilePicsDir)) {
+            await fsPromises.mkdir(profilePicsDir, { recursive: true });
+            console.log('✅ Created profile pics directory (local fallback)');
+        }
+        if (!fs.existsSync(exportsDir)) {
+            await fsPromises.mkdir(exportsDir, { recursive: true });
+            console.log('✅ Created data exports directory');
+        }
+        if (!fs.existsSync(uploadSessionsDir)) {
+            await fsPromises.mkdir(uploadSessionsDir, { recursive: true });
+            console.log('✅ Created upload sessions directory');
+        }
+        if (!fs.existsSync(quarantineDir)) {
+            await fsPromises.mkdir(quarantineDir, { recursive: true });
+            console.log('✅ Created quarantine directory');
+        }
+    } catch (error) {
+        console.error('❌ Error creating directories:', error);
+        process.exit(1);
+    }
+}
+
+// ============================================================
+// ATTACHMENT SERVING
+// ============================================================
+//
+// Uploaded files are untrusted: an HTML or SVG upload served inline from the
+// app's origin could run script with the victim's session in localStorage.
+// So every stored file is served as a download, with MIME sniffing off and
+// a CSP sandbox in case a browser renders it anyway.
+
+const ATTACHMENT_PATHS = ['/files', '/uploads', '/media/profile_pics'];
+const ATTACHMENTS_HOST = ATTACHMENTS_ORIGIN ? new URL(ATTACHMENTS_ORIGIN).host : null;
+
+function setAttachmentHeaders(res) {
+    res.setHeader('Content-Disposition', 'attachment');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+}
+
+const isAttachmentPath = p => ATTACHMENT_PATHS.some(prefix => p === prefix || p.startsWith(`${prefix}/`));
+
+// With ATTACHMENTS_ORIGIN set, each origin only serves its own half
+if (ATTACHMENTS_HOST) {
+    app.use((req, res, next) => {
+        const onAttachmentsHost = req.get('host') === ATTACHMENTS_HOST;
+        if (onAttachmentsHost && !isAttachmentPath(req.path)) {
+            return res.status(404).end();
+        }
+        if (!onAttachmentsHost && isAttachmentPath(req.path)) {
+            return res.redirect(302, ATTACHMENTS_ORIGIN + req.originalUrl);
+        }
+        next();
+    });
+}
+
+// Chat attachments are private: /uploads/... is only an identifier now, readable
+// through signed /files/<messageId> links. Blocked here so the BASE_DIR static
+// mount below can't serve the directory either.
+app.use('/uploads', (req, res) => {
+    res.status(403).json({
+        success: false,
+        code:    'SIGNED_URL_REQUIRED',
+        message: 'Attachments are only available through signed links.'
+    });
+});
+
+// Profile pics stay public (avatars), but are uploads too: same safety headers.
+// Mounted before the BASE_DIR catch-all so they never skip them.
+app.use('/media/profile_pics', express.static(profilePicsDir, { setHeaders: setAttachmentHeaders }));
+
+// --- Signed attachment links ---
+// /files/<messageId>?exp=…&sig=… — issued only to the message's sender and
+// recipient (chat history, live delivery, POST /api/files/sign). <img>/<video>
+// can't send an Authorization header, so the link itself is the credential.
+
+const FILE_URL_TTL_MS   = 60 * 60 * 1000;
+const FILE_URL_ROUND_MS = 10 * 60 * 1000; // same link for 10 minutes, so browsers can cache it
+
+function fileUrlSignature(messageId, exp) {
+    return signSessionPayload(`file:${messageId}:${exp}`);
+}
+
+function signFileUrl(messageId, now = Date.now()) {
+    const exp = Math.ceil((now + FILE_URL_TTL_MS) / FILE_URL_ROUND_MS) * FILE_URL_ROUND_MS;
+    const sig = fileUrlSignature(messageId, exp).toString('base64url');
+    return `${ATTACHMENTS_ORIGIN}/files/${encodeURIComponent(messageId)}?exp=${exp}&sig=${sig}`;
+}
+
+function verifyFileUrl(messageId, exp, sig) {
+    const expiresAt = Number(exp);
+    if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || typeof sig !== 'string') return false;
+
+    const expected = fileUrlSignature(messageId, expiresAt);
+    const provided = Buffer.from(sig, 'base64url');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// Copy of a message's file with fresh signed links in place of the stored URLs
+function withSignedFile(messageId, file) {
+    if (!file || !file.url) return file;
+
+    const url = signFileUrl(messageId);
+    return {
+        url,
+        name: file.name,
+        type: file.type,
+        ...(file.width && {
+            width:       file.width,
+            height:      file.height,
+            placeholder: file.placeholder
+        }),
+        ...(file.thumbUrl && { thumbUrl: `${url}&variant=thumb` })
+    };
+}
+
+// Only attachments the sender uploaded may go into a new message; otherwise a
+// known /uploads/... name could be turned into a signed link by anyone
+function findOwnAttachment(senderId, url) {
+    return Attachment.findOne({ url, ownerId: senderId }).lean();
+}
+
+app.get('/files/:messageId', async (req, res) => {
+    const { messageId } = req.params;
+    if (!verifyFileUrl(messageId, req.query.exp, req.query.sig)) {
+        return res.status(403).json({
+            success: false,
+            code:    'LINK_EXPIRED',
+            message: 'This link has expired. Reopen the chat to get a new one.'
+        });
+    }
+
+    try {
+        const message = await Message.findOne({ messageId }, { file: 1 }).lean();
+        const thumb   = req.query.variant === 'thumb';
+        const fileUrl = thumb ? message?.file?.thumbUrl : message?.file?.url;
+        const blob    = fileUrl && blobForUrl(fileUrl);
+        if (!blob) {
+            return res.status(404).json({ success: false, message: 'File not found.' });
+        }
+
+        const secondsLeft = Math.max(1, Math.floor((Number(req.query.exp) - Date.now()) / 1000));
+
+        if (blob.store.presignedUrl) {
+            return res.redirect(302, await blob.store.presignedUrl(blob.key, secondsLeft));
+        }
+
+        setAttachmentHeaders(res);
+        res.setHeader('Cache-Control', `private, max-age=${secondsLeft}`);
+        res.type(thumb ? 'image/webp' : (message.file.type || 'application/octet-stream'));
+
+        if (blob.store === localBlobStore) {
+            // sendFile handles Range requests, so videos can seek
+            return res.sendFile(localBlobLocation(blob.key).filePath, err => {
+                if (err && !res.headersSent) res.status(404).json({ success: false, message: 'File not found.' });
+            });
+        }
+
+        // Streamed, never buffered whole; Range goes through so videos can seek here too
+        const stream = await blob.store.openStream(blob.key, { range: req.headers.range });
+        res.setHeader('Accept-Ranges', 'bytes');
+        if (stream.contentLength) res.setHeader('Content-Length', stream.contentLength);
+        if (stream.contentRange) {
+            res.status(206);
+            res.setHeader('Content-Range', stream.contentRange);
+        }
+        await pipeline(stream, res);
+    } catch (error) {
+        if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return; // viewer went away mid-file
+        if (error.status === 416 && !res.headersSent) {
+            return res.status(416).json({ success: false, message: 'Requested range not satisfiable.' });
+        }
+        console.error('Serve file error:', error);
+        if (!res.headersSent) res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// Serve static files
+app.use(express.static(BASE_DIR));
+app.use('/media/icons', express.static(path.join(BASE_DIR, 'media', 'icons')));
+
+// ============================================================
+// ONLINE USER STATE MANAGEMENT
+// ============================================================
+
+const onlineUsers          = new Set();
+const socketToUserMap      = new Map();
+const onlineUserTimestamps = new Map();
+const disconnectTimeouts   = new Map();
+
+// Calls still ringing: callId -> { callerId, recipientId, callerSocketId }
+const activeCalls          = new Map();
+// Sockets paired by an accepted call, in both directions
+const callPeers            = new Map();
+
+// Every socket joins its user's room, so one emit reaches all their devices
+function userRoom(userId) {
+    return `user:${userId}`;
+}
+
+function isUserConnected(userId) {
+    const room = io.sockets.adapter.rooms.get(userRoom(userId));
+    return !!room && room.size > 0;
+}
+
+// ============================================================
+// HELPER FUNCTIONS
+// ============================================================
+
+async function generateUniqueXameId() {
+    const prefix = '058';
+    let newId;
+    let isUnique = false;
+
+    do {
+        const randomPart = Math.floor(1e8 + Math.random() * 9e8).toString();
+        newId = `${prefix}${randomPart}`;
+        const existingUser = await User.findOne({ xameId: newId });
+        isUnique = !existingUser;
+    } while (!isUnique);
+
+    return newId;
+}
+
+// Usernames must start with a letter, so they can never be mistaken for a numeric Xame-ID
+const USERNAME_PATTERN            = /^[a-z][a-z0-9_]{2,19}$/i;
+const USERNAME_CHANGE_COOLDOWN_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const RESERVED_USERNAMES = new Set([
+    'admin', 'administrator', 'root', 'system', 'support', 'help', 'info',
+    'security', 'staff', 'official', 'moderator', 'mod', 'xame', 'xamepage',
+    'api', 'www', 'mail', 'null', 'undefined', 'me', 'you', 'everyone', 'deleted',
+    ...(process.env.RESERVED_USERNAMES || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+]);
+const RESERVED_USERNAME_FRAGMENTS = ['xamepage', 'admin'];
+
+/**
+ * Check a requested username.
+ * Returns null if acceptable, otherwise a user-facing reason.
+ */
+function validateUsername(username) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'Usernames are 3–20 letters, numbers or underscores and must start with a letter.';
+    }
+    const lower = username.toLowerCase();
+    if (RESERVED_USERNAMES.has(lower)
+        || RESERVED_USERNAME_FRAGMENTS.some(fragment => lower.includes(fragment))) {
+        return 'That username is reserved.';
+    }
+    return null;
+}
+
+/**
+ * Find a user by Xame-ID or username ("@" prefix optional, case-insensitive).
+ * The numeric Xame-ID stays the primary key; usernames only resolve to it.
+ */
+async function findUserByHandle(handle) {
+    if (typeof handle !== 'string') return null;
+    const cleaned = handle.trim().replace(/^@/, '');
+    if (!cleaned) return null;
+
+    if (/^\d+$/.test(cleaned)) {
+        return User.findOne({ xameId: cleaned });
+    }
+    return User.findOne({ usernameLower: cleaned.toLowerCase() });
+}
+
+// User document as returned to the client after login — secrets stripped
+function toLoginUser(user) {
+    const userWithPrivacy = {
+        ...user.toObject(),
+        privacySettings: {
+            hidePreferredName:  user.hidePreferredName,
+            hideProfilePicture: user.hideProfilePicture
+        },
+        twoFactorEnabled: !!user.twoFactor?.enabled
+    };
+    delete userWithPrivacy.password;
+    delete userWithPrivacy.recoveryCodes;
+    delete userWithPrivacy.twoFactor;
+    delete userWithPrivacy.usernameLower;
+    return userWithPrivacy;
+}
+
+function getPrivacyFilteredContactData(user) {
+    return {
+        xameId:        user.xameId,
+        preferredName: user.hidePreferredName  ? '' : user.preferredName,
+        profilePic:    user.hideProfilePicture ? '' : user.profilePic
+    };
+}
+
+function getContactDisplayName(contactXameId, partnerUser, savedContact) {
+    if (savedContact?.customName)   return savedContact.customName;
+    if (partnerUser?.preferredName) return partnerUser.preferredName;
+    if (partnerUser) {
+        const fullName = `${partnerUser.firstName} ${partnerUser.lastName}`.trim();
+        if (fullName) return fullName;
+    }
+    return contactXameId;
+}
+
+async function getLastInteractionDetails(userId, partnerId) {
+    const [lastMessage, lastCall] = await Promise.all([
+        Message.findOne({
+            $or: [
+                { senderId: userId, recipientId: partnerId },
+                { senderId: partnerId, recipientId: userId }
+            ]
+        }).sort({ ts: -1 }).select('ts senderId'),
+
+        CallHistory.findOne({
+            $or: [
+                { callerId: userId, recipientId: partnerId },
+                { callerId: partnerId, recipientId: userId }
+            ],
+            status: { $in: ['accepted', 'ended', 'rejected', 'missed'] }
+        }).sort({ createdAt: -1 }).select('createdAt status callerId')
+    ]);
+
+    let lastTs      = 0;
+    let previewText = 'Start a new chat.';
+
+    if (lastMessage) {
+        lastTs      = lastMessage.ts;
+        previewText = lastMessage.senderId === userId
+            ? 'You: Sent a message.'
+            : 'New message received.';
+    }
+
+    if (lastCall) {
+        const callTs = lastCall.createdAt.getTime();
+        if (callTs > lastTs) {
+            lastTs = callTs;
+            if (lastCall.status === 'missed' && lastCall.recipientId === userId) {
+                previewText = 'Missed call.';
+            } else if (lastCall.callerId === userId) {
+                previewText = 'Outgoing call.';
+            } else {
+                previewText = 'Incoming call.';
+            }
+        }
+    }
+
+    return { lastInteractionTs: lastTs, lastInteractionPreview: previewText };
+}
+
+async function getFullContactData(userId) {
+    const user = await User.findOne({ xameId: userId }).populate('contacts.contactId');
+    if (!user) return [];
 
     const chatPartners      = await Message.distinct('senderId',    { recipientId: userId });
     const messageRecipients = await Message.distinct('recipientId', { senderId: userId });
@@ -428,6 +1639,7 @@ async function getFullContactData(userId) {
 
         return {
             xameId,
+            username:               partnerUser?.username || '',
             name:                   displayName,
             profilePic:             filteredPartner ? filteredPartner.profilePic : '',
             isOnline:               onlineUsers.has(xameId),
@@ -445,274 +1657,2273 @@ async function getFullContactData(userId) {
 }
 
 // ============================================================
-// API ENDPOINTS
+// SESSION AUTHENTICATION
 // ============================================================
 
-// --- REGISTER ---
-app.post('/api/register',
-    body('firstName').trim().escape().notEmpty().withMessage('First name is required.'),
-    body('lastName').trim().escape().notEmpty().withMessage('Last name is required.'),
-    body('dob').isDate({ format: 'YYYY-MM-DD' }).withMessage('Date of birth must be YYYY-MM-DD.'),
-    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters.'),
-    async (req, res) => {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ success: false, errors: errors.array() });
-        }
-
-        const { firstName, lastName, dob, password } = req.body;
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;     // Throttle lastActiveAt writes
 
-        try {
-            const hashedPassword = await bcrypt.hash(password, 10);
-            const xameId         = await generateUniqueXameId();
-            const newUser        = new User({ 
-                xameId, firstName, lastName, dob, 
-                password: hashedPassword 
-            });
-            await newUser.save();
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️  SESSION_SECRET missing — using a random secret, sessions will not survive a restart');
+}
 
-            console.log(`✅ User registered: ${newUser.xameId}`);
+function signSessionPayload(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest();
+}
 
-            const userResponse = newUser.toObject();
+/**
+ * Issue a signed token for a stored session.
+ * Format: base64url(JSON claims) + "." + base64url(HMAC-SHA256 signature)
+ * The session ID is embedded so a single device can be revoked.
+ */
+function signSessionToken(session) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: session.userId,
+        sid: session.sessionId,
+        exp: session.expiresAt.getTime()
+    })).toString('base64url');
+
+    return `${payload}.${signSessionPayload(payload).toString('base64url')}`;
+}
+
+// Signature check shared by session tokens and 2FA challenges; returns the claims or null
+function readSignedToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = signSessionPayload(payload);
+    const provided = Buffer.from(signature, 'base64url');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check a token's signature and expiry.
+ * Returns the claims, or null if the token is malformed, forged or expired.
+ */
+function verifySessionToken(token) {
+    const claims = readSignedToken(token);
+    if (!claims || !claims.sub || !claims.sid || !claims.exp || claims.exp < Date.now()) return null;
+    return claims;
+}
+
+// Socket.IO equivalent of req.ip with 'trust proxy' = 1:
+// the last X-Forwarded-For hop is the one our proxy appended.
+function getSocketIp(handshake) {
+    const forwarded = handshake.headers['x-forwarded-for'];
+    if (forwarded) {
+        const hops = String(forwarded).split(',').map(h => h.trim());
+        return hops[hops.length - 1];
+    }
+    return handshake.address || '';
+}
+
+// Short human label, e.g. "Chrome on Android"
+function describeUserAgent(userAgent = '') {
+    const browser =
+        /Edg\//.test(userAgent)      ? 'Edge'    :
+        /OPR\//.test(userAgent)      ? 'Opera'   :
+        /Firefox\//.test(userAgent)  ? 'Firefox' :
+        /Chrome\//.test(userAgent)   ? 'Chrome'  :
+        /Safari\//.test(userAgent)   ? 'Safari'  : 'Browser';
+    const os =
+        /Android/.test(userAgent)          ? 'Android' :
+        /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'     :
+        /Windows/.test(userAgent)          ? 'Windows' :
+        /Mac OS X/.test(userAgent)         ? 'macOS'   :
+        /Linux/.test(userAgent)            ? 'Linux'   : 'Unknown device';
+    return `${browser} on ${os}`;
+}
+
+/**
+ * Create a Session record for a device that just logged in.
+ * Returns the signed token to hand to the client.
+ */
+async function createSession(user, req) {
+    const userAgent = String(req.headers['user-agent'] || '').slice(0, 512);
+    const requestedName = typeof req.body?.deviceName === 'string'
+        ? req.body.deviceName.trim().slice(0, 60)
+        : '';
+
+    const session = await new Session({
+        sessionId:    uuidv4(),
+        userId:       user.xameId,
+        deviceName:   requestedName || describeUserAgent(userAgent),
+        userAgent,
+        ip:           req.ip || '',
+        expiresAt:    new Date(Date.now() + SESSION_TTL_MS)
+    }).save();
+
+    return signSessionToken(session);
+}
+
+/**
+ * Resolve a token to its User and Session documents.
+ * Returns null when the token is invalid, expired or its session was revoked.
+ */
+async function authenticateToken(token, ip) {
+    const claims = verifySessionToken(token);
+    if (!claims) return null;
+
+    const session = await Session.findOne({ sessionId: claims.sid, userId: claims.sub });
+    if (!session) return null;
+
+    const user = await User.findOne({ xameId: claims.sub });
+    if (!user) return null;
+
+    if (Date.now() - session.lastActiveAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        Session.updateOne(
+            { sessionId: session.sessionId },
+            { lastActiveAt: new Date(), ...(ip && { ip }) }
+        ).catch(err => console.error('Session touch error:', err));
+    }
+
+    return { user, session };
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+/**
+ * Delete sessions matching a filter and drop their live sockets.
+ * Returns the number of sessions revoked.
+ */
+async function revokeSessions(filter, reason = 'revoked') {
+    const sessions = await Session.find(filter).select('sessionId');
+    if (sessions.length === 0) return 0;
+
+    const sessionIds = new Set(sessions.map(s => s.sessionId));
+    await Session.deleteMany({ sessionId: { $in: Array.from(sessionIds) } });
+
+    for (const [, connectedSocket] of io.sockets.sockets) {
+        if (sessionIds.has(connectedSocket.sessionId)) {
+            connectedSocket.emit('session-revoked', { reason });
+            connectedSocket.disconnect(true);
+        }
+    }
+
+    return sessionIds.size;
+}
+
+// Express middleware — sets req.user / req.userId / req.sessionId from the Bearer token
+async function requireAuth(req, res, next) {
+    try {
+        const auth = await authenticateToken(getBearerToken(req), req.ip);
+        if (!auth) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired. Please log in again.'
+            });
+        }
+
+        req.user      = auth.user;
+        req.userId    = auth.user.xameId;
+        req.sessionId = auth.session.sessionId;
+        next();
+    } catch (error) {
+        console.error('Auth middleware error:', error);
+        res.status(500).json({ success: false, message: 'Server error during authentication.' });
+    }
+}
+
+// Socket.IO handshake middleware — identity comes from the token, never the query string
+io.use(async (socket, next) => {
+    try {
+        const auth = await authenticateToken(socket.handshake.auth?.token, getSocketIp(socket.handshake));
+        if (!auth) {
+            return next(new Error('Unauthorized'));
+        }
+
+        socket.userId    = auth.user.xameId;
+        socket.sessionId = auth.session.sessionId;
+        next();
+    } catch (error) {
+        console.error('Socket auth error:', error);
+        next(new Error('Unauthorized'));
+    }
+});
+
+// ============================================================
+// LOGIN THROTTLING
+// ============================================================
+
+// Free attempts before the first lockout; every failure after that doubles it.
+// The IP limit is looser because whole offices/carriers can share one address.
+const LOGIN_LIMITS = {
+    account: { freeAttempts: 5,  baseLockMs: 30 * 1000 },
+    ip:      { freeAttempts: 20, baseLockMs: 60 * 1000 }
+};
+const LOGIN_MAX_LOCK_MS       = 60 * 60 * 1000;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000; // counters forgotten after a quiet day
+
+function loginAttemptKeys(ip, xameId) {
+    return [
+        { scope: 'ip',      key: `ip:${ip}` },
+        { scope: 'account', key: `account:${xameId}` }
+    ];
+}
+
+function describeWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Longest active lock across the IP and the account, or null
+async function getLoginLock(ip, xameId) {
+    const keys = loginAttemptKeys(ip, xameId);
+    const docs = await LoginAttempt.find({
+        key:         { $in: keys.map(k => k.key) },
+        lockedUntil: { $gt: new Date() }
+    });
+
+    let lock = null;
+    for (const doc of docs) {
+        if (!lock || doc.lockedUntil > lock.lockedUntil) {
+            lock = {
+                scope:       keys.find(k => k.key === doc.key).scope,
+                lockedUntil: doc.lockedUntil
+            };
+        }
+    }
+    return lock;
+}
+
+// Counts one failure against the IP and the account; returns the new lock (if any)
+// and how many tries the account has before it locks
+async function recordLoginFailure(ip, xameId) {
+    const now = Date.now();
+    let lock = null;
+    let attemptsRemaining = 0;
+
+    for (const { scope, key } of loginAttemptKeys(ip, xameId)) {
+        const { freeAttempts, baseLockMs } = LOGIN_LIMITS[scope];
+        const doc = await LoginAttempt.findOneAndUpdate(
+            { key },
+            {
+                $inc: { failures: 1 },
+                $set: { lastFailureAt: new Date(now), expiresAt: new Date(now + LOGIN_FAILURE_WINDOW_MS) }
+            },
+            { upsert: true, new: true }
+        );
+
+        if (scope === 'account') {
+            attemptsRemaining = Math.max(freeAttempts - doc.failures, 0);
+        }
+
+        if (doc.failures >= freeAttempts) {
+            const lockMs = Math.min(
+                baseLockMs * 2 ** (doc.failures - freeAttempts),
+                LOGIN_MAX_LOCK_MS
+            );
+            doc.lockedUntil = new Date(now + lockMs);
+            await doc.save();
+
+            if (!lock || doc.lockedUntil > lock.lockedUntil) {
+                lock = { scope, lockedUntil: doc.lockedUntil };
+            }
+        }
+    }
+
+    return { lock, attemptsRemaining };
+}
+
+// A correct password wipes the account's slate; the IP counter keeps
+// decaying on its own so one valid login can't reset a spraying attacker
+async function clearLoginFailures(xameId) {
+    await LoginAttempt.deleteOne({ key: `account:${xameId}` });
+}
+
+function sendLoginLocked(res, lock) {
+    const retryAfterMs = Math.max(lock.lockedUntil - Date.now(), 0);
+    const retryAfter   = Math.ceil(retryAfterMs / 1000);
+    const who = lock.scope === 'account' ? 'for this account' : 'from your network';
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success:     false,
+        locked:      true,
+        scope:       lock.scope,
+        retryAfter,
+        lockedUntil: lock.lockedUntil,
+        message:     `Too many failed login attempts ${who}. Try again in ${describeWait(retryAfterMs)}.`
+    });
+}
+
+// ============================================================
+// TWO-FACTOR AUTHENTICATION (TOTP, RFC 6238)
+// ============================================================
+// Codes, secrets and backup codes live in twoFactor.js; this is the login challenge.
+
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Same token format as sessions, with a purpose claim so the two can't be swapped
+function signTwoFactorChallenge(user) {
+    const payload = Buffer.from(JSON.stringify({
+        sub: user.xameId,
+        purpose: '2fa',
+        exp: Date.now() + TWO_FACTOR_CHALLENGE_TTL_MS
+    })).toString('base64url');
+
+    return `${payload}.${signSessionPayload(payload).toString('base64url')}`;
+}
+
+function verifyTwoFactorChallenge(token) {
+    const claims = readSignedToken(token);
+    if (!claims || claims.purpose !== '2fa' || !claims.sub || !(claims.exp > Date.now())) return null;
+    return claims;
+}
+
+// ============================================================
+// PERSONAL DATA EXPORT
+// ============================================================
+
+const EXPORT_TTL_MS            = 24 * 60 * 60 * 1000; // archives are kept for a day
+const EXPORT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const EXPORTS_STARTED_AT       = new Date();
+
+function exportFilePath(exportId) {
+    return path.join(exportsDir, `${exportId}.zip`);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Human-readable index.html shipped alongside the JSON files
+function buildExportIndexHtml({ profile, contacts, conversations, calls, mediaByUrl, generatedAt }) {
+    const contactName = id => contacts.find(c => c.xameId === id)?.name || id;
+    const fmt = ts => new Date(ts).toLocaleString('en-GB', { timeZone: 'UTC' }) + ' UTC';
+
+    const conversationHtml = Object.entries(conversations).map(([partnerId, messages]) => `
+        <section>
+            <h3>${escapeHtml(contactName(partnerId))} <small>(${escapeHtml(partnerId)})</small></h3>
+            <ul class="messages">
+                ${messages.map(m => {
+                    const media = m.file?.url && mediaByUrl.get(m.file.url);
+                    const attachment = m.file?.url
+                        ? (media
+                            ? ` <a href="${escapeHtml(media)}">📎 ${escapeHtml(m.file.name || media)}</a>`
+                            : ` 📎 ${escapeHtml(m.file.name || m.file.url)} <em>(not available)</em>`)
+                        : '';
+                    return `<li class="${m.direction}"><time>${fmt(m.ts)}</time> `
+                        + `<b>${m.direction === 'sent' ? 'You' : escapeHtml(contactName(partnerId))}:</b> `
+                        + `${escapeHtml(m.text || '')}${attachment}</li>`;
+                }).join('\n')}
+            </ul>
+        </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>XamePage data export — ${escapeHtml(profile.xameId)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+    .messages { list-style: none; padding: 0; }
+    .messages li { padding: 4px 0; border-bottom: 1px solid #eee; }
+    .messages li.sent { color: #0b5394; }
+    time { color: #888; font-size: 0.85em; }
+</style>
+</head>
+<body>
+<h1>XamePage data export</h1>
+<p>Generated ${fmt(generatedAt)}. The same data is in the JSON files next to this page.</p>
+
+<h2>Profile</h2>
+<table>
+    <tr><th>Xame-ID</th><td>${escapeHtml(profile.xameId)}</td></tr>
+    <tr><th>Name</th><td>${escapeHtml(`${profile.firstName} ${profile.lastName}`)}</td></tr>
+    <tr><th>Preferred name</th><td>${escapeHtml(profile.preferredName)}</td></tr>
+    <tr><th>Date of birth</th><td>${escapeHtml(profile.dob)}</td></tr>
+    <tr><th>Joined</th><td>${fmt(profile.createdAt)}</td></tr>
+</table>
+
+<h2>Contacts (${contacts.length})</h2>
+<table>
+    <tr><th>Name</th><th>Xame-ID</th></tr>
+    ${contacts.map(c => `<tr><td>${escapeHtml(c.name)}</td><td>${escapeHtml(c.xameId)}</td></tr>`).join('\n')}
+</table>
+
+<h2>Conversations</h2>
+${conversationHtml || '<p>No messages.</p>'}
+
+<h2>Calls (${calls.length})</h2>
+<table>
+    <tr><th>When</th><th>With</th><th>Direction</th><th>Type</th><th>Status</th></tr>
+    ${calls.map(c => `<tr><td>${fmt(c.startTime)}</td>`
+        + `<td>${escapeHtml(contactName(c.callerId === profile.xameId ? c.recipientId : c.callerId))}</td>`
+        + `<td>${c.callerId === profile.xameId ? 'Outgoing' : 'Incoming'}</td>`
+        + `<td>${escapeHtml(c.callType)}</td><td>${escapeHtml(c.status)}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the ZIP for one export job, recording progress on the job document.
+ * Layout: index.html, profile.json, contacts.json, messages.json, calls.json, media/…
+ */
+async function runDataExport(job) {
+    const userId = job.userId;
+    const setProgress = (progress, step) =>
+        DataExport.updateOne({ exportId: job.exportId }, { progress, step });
+
+    const outputPath = exportFilePath(job.exportId);
+
+    try {
+        await setProgress(5, 'Collecting profile');
+        const user = await User.findOne({ xameId: userId });
+        if (!user) throw new Error('User not found');
+
+        const profile = toLoginUser(user);
+        delete profile._id;
+        delete profile.__v;
+        delete profile.contacts;
+
+        await setProgress(15, 'Collecting contacts');
+        const contacts = (await getFullContactData(userId)).map(c => ({
+            xameId:  c.xameId,
+            name:    c.name,
+            isSaved: c.isSaved
+        }));
+
+        await setProgress(25, 'Collecting messages and calls');
+        const [messages, calls] = await Promise.all([
+            Message.find({ $or: [{ senderId: userId }, { recipientId: userId }] }).sort('ts').lean(),
+            CallHistory.find({ $or: [{ callerId: userId }, { recipientId: userId }] }).sort('startTime').lean()
+        ]);
+
+        const exportedMessages = messages.map(m => ({
+            id:          m.messageId,
+            senderId:    m.senderId,
+            recipientId: m.recipientId,
+            ts:          m.ts,
+            text:        m.text,
+            file:        m.file?.url ? m.file : undefined,
+            status:      m.status,
+            direction:   m.senderId === userId ? 'sent' : 'received'
+        }));
+
+        const conversations = {};
+        exportedMessages.forEach(m => {
+            const partnerId = m.direction === 'sent' ? m.recipientId : m.senderId;
+            (conversations[partnerId] = conversations[partnerId] || []).push(m);
+        });
+
+        const exportedCalls = calls.map(c => ({
+            callId:      c.callId,
+            callerId:    c.callerId,
+            recipientId: c.recipientId,
+            callType:    c.callType,
+            status:      c.status,
+            startTime:   c.startTime,
+            endTime:     c.endTime
+        }));
+
+        const output  = fs.createWriteStream(outputPath);
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const finished = new Promise((resolve, reject) => {
+            output.on('close', resolve);
+            archive.on('error', reject);
+            output.on('error', reject);
+        });
+        finished.catch(() => {}); // a failure before the await below is reported by the catch
+        archive.pipe(output);
+
+        // Stored attachments referenced by this user's messages are bundled
+        const mediaUrls  = [...new Set(messages
+            .map(m => m.file?.url)
+            .filter(url => url && blobForUrl(url)?.key.startsWith('uploads/')))];
+        const mediaByUrl = new Map();
+
+        // Attachments go up to ATTACHMENT_MAX_SIZE, so each one is streamed into the
+        // archive and the next is only opened once the previous entry is written
+        for (let i = 0; i < mediaUrls.length; i++) {
+            const { store, key } = blobForUrl(mediaUrls[i]);
+            const name = `media/${path.basename(key)}`;
+            let added = false;
+            try {
+                if (store === localBlobStore) {
+                    const { filePath } = localBlobLocation(key);
+                    await fsPromises.access(filePath);
+                    archive.file(filePath, { name });
+                } else {
+                    archive.append(await store.openStream(key), { name });
+                }
+                added = true;
+            } catch (error) {
+                console.warn(`⚠️ Export ${job.exportId}: skipped missing media ${key}`);
+            }
+            if (added) {
+                await once(archive, 'entry');
+                mediaByUrl.set(mediaUrls[i], name);
+            }
+            if (i % 20 === 0) {
+                await setProgress(30 + Math.round((i / mediaUrls.length) * 50), 'Adding media');
+            }
+        }
+
+        await setProgress(85, 'Writing archive');
+        const generatedAt = new Date();
+        const json = value => JSON.stringify(value, null, 2);
+
+        archive.append(json(profile),          { name: 'profile.json' });
+        archive.append(json(contacts),         { name: 'contacts.json' });
+        archive.append(json(exportedMessages), { name: 'messages.json' });
+        archive.append(json(exportedCalls),    { name: 'calls.json' });
+        archive.append(buildExportIndexHtml({
+            profile, contacts, conversations, calls: exportedCalls, mediaByUrl, generatedAt
+        }), { name: 'index.html' });
+
+        await archive.finalize();
+        await finished;
+
+        const { size } = await fsPromises.stat(outputPath);
+        await DataExport.updateOne({ exportId: job.exportId }, {
+            status:      'ready',
+            progress:    100,
+            step:        'Ready',
+            fileSize:    size,
+            completedAt: new Date()
+        });
+
+        console.log(`📦 Data export ready for ${userId}: ${job.exportId} (${size} bytes)`);
+    } catch (error) {
+        console.error(`❌ Data export failed for ${userId}:`, error);
+        await fsPromises.unlink(outputPath).catch(() => {});
+        await DataExport.updateOne({ exportId: job.exportId }, {
+            status: 'failed',
+            step:   'Failed',
+            error:  'Could not build the archive. Please try again.'
+        }).catch(() => {});
+    }
+}
+
+// Drop archives older than EXPORT_TTL_MS (their job documents expire via TTL)
+// and fail jobs a restart interrupted
+async function sweepDataExports() {
+    try {
+        await DataExport.updateMany(
+            { status: 'running', createdAt: { $lt: EXPORTS_STARTED_AT } },
+            { status: 'failed', step: 'Failed', error: 'The server restarted. Please try again.' }
+        );
+
+        const cutoff = Date.now() - EXPORT_TTL_MS;
+        for (const name of await fsPromises.readdir(exportsDir)) {
+            const filePath = path.join(exportsDir, name);
+            const { mtimeMs } = await fsPromises.stat(filePath);
+            if (mtimeMs < cutoff) await fsPromises.unlink(filePath);
+        }
+    } catch (error) {
+        console.error('Data export sweep error:', error);
+    }
+}
+
+function serializeDataExport(job) {
+    return {
+        exportId:    job.exportId,
+        status:      job.status,
+        progress:    job.progress,
+        step:        job.step,
+        fileSize:    job.fileSize || null,
+        error:       job.error || null,
+        createdAt:   job.createdAt,
+        completedAt: job.completedAt || null,
+        expiresAt:   job.expiresAt,
+        downloadUrl: job.status === 'ready' ? `/api/export/${job.exportId}/download` : null
+    };
+}
+
+// ============================================================
+// RESUMABLE UPLOADS
+// ============================================================
+//
+// POST   /api/uploads                      → create a session { uploadId, chunkSize }
+// PUT    /api/uploads/:uploadId/chunks/:n  → raw body, chunk n (0-based, in order)
+// GET    /api/uploads/:uploadId            → { received } bytes, to resume from
+// POST   /api/uploads/:uploadId/complete   → moves the file to the blob store → { url }
+// DELETE /api/uploads/:uploadId            → cancel
+// Chunks are written in place into one .part file under UPLOAD_SESSIONS_DIR.
+
+const UPLOAD_CHUNK_SIZE       = 2 * 1024 * 1024;   // small enough to retry cheaply on mobile
+const UPLOAD_SESSION_TTL_MS   = 24 * 60 * 60 * 1000;
+const UPLOAD_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function uploadPartPath(uploadId) {
+    return path.join(uploadSessionsDir, `${uploadId}.part`);
+}
+
+// Sessions are private to their creator; 404 (not 403) so IDs can't be probed
+async function findUploadSession(req, res) {
+    const session = await UploadSession.findOne({ uploadId: req.params.uploadId, userId: req.userId });
+    if (!session) {
+        res.status(404).json({ success: false, message: 'Upload session not found or expired.' });
+        return null;
+    }
+    return session;
+}
+
+// The .part file is gone (e.g. UPLOAD_SESSIONS_DIR was cleared by a restart):
+// the session can never finish, so drop it and tell the client to start over
+async function uploadSessionLost(session) {
+    console.warn(`⚠️ Upload ${session.uploadId} lost its part file — session dropped`);
+    await UploadSession.deleteOne({ _id: session._id });
+    return attachmentError(410, 'UPLOAD_SESSION_LOST',
+        'The server lost this upload. It will start again from the beginning.');
+}
+
+function serializeUploadSession(session) {
+    return {
+        uploadId:  session.uploadId,
+        fileName:  session.fileName,
+        fileType:  session.fileType,
+        fileSize:  session.fileSize,
+        chunkSize: session.chunkSize,
+        received:  session.received,
+        nextChunk: Math.floor(session.received / session.chunkSize),
+        status:    session.status,
+        url:       session.url || null,
+        expiresAt: session.expiresAt
+    };
+}
+
+// Writes one chunk at its offset. The received counter only advances if no other
+// request got there first, so a retried chunk is harmless.
+async function writeUploadChunk(session, index, chunk) {
+    const offset   = index * session.chunkSize;
+    const expected = Math.min(session.chunkSize, session.fileSize - offset);
+
+    if (offset < session.received) {
+        return { status: 200, duplicate: true }; // already have it (retry after a lost response)
+    }
+    if (offset > session.received) {
+        return { status: 409, message: 'Chunk out of order.' };
+    }
+    if (chunk.length !== expected) {
+        return { status: 400, message: `Chunk ${index} must be ${expected} bytes (got ${chunk.length}).` };
+    }
+
+    // First chunk: sniff the real type before accepting any more bytes
+    if (index === 0) {
+        const checked = checkAttachment({
+            size:         session.fileSize,
+            declaredType: session.fileType,
+            head:         chunk.subarray(0, ATTACHMENT_SNIFF_BYTES)
+        });
+        if (checked.error) {
+            await UploadSession.deleteOne({ _id: session._id });
+            await fsPromises.unlink(uploadPartPath(session.uploadId)).catch(() => {});
+            return { rejected: checked.error };
+        }
+        if (checked.type !== session.fileType) {
+            await UploadSession.updateOne({ _id: session._id }, { fileType: checked.type });
+        }
+    }
+
+    let handle;
+    try {
+        handle = await fsPromises.open(uploadPartPath(session.uploadId), 'r+');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { rejected: await uploadSessionLost(session) };
+    }
+    try {
+        await handle.write(chunk, 0, chunk.length, offset);
+    } finally {
+        await handle.close();
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+        { uploadId: session.uploadId, status: 'open', received: offset },
+        { $inc: { received: chunk.length }, expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS) },
+        { new: true }
+    );
+    return updated ? { status: 200, session: updated } : { status: 409, message: 'Chunk out of order.' };
+}
+
+// Expired sessions lose their document via TTL; this removes the .part files left behind,
+// and any /api/upload-file spool (*.upload) a crash kept from being cleaned up
+async function sweepUploadSessions() {
+    try {
+        const names = await fsPromises.readdir(uploadSessionsDir);
+
+        for (const name of names.filter(n => n.endsWith('.upload'))) {
+            const filePath = path.join(uploadSessionsDir, name);
+            const stats = await fsPromises.stat(filePath).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > UPLOAD_SESSION_TTL_MS) {
+                await fsPromises.unlink(filePath).catch(() => {});
+            }
+        }
+
+        const ids   = names.filter(n => n.endsWith('.part')).map(n => n.slice(0, -'.part'.length));
+        const open  = new Set((await UploadSession.find(
+            { uploadId: { $in: ids }, status: { $in: ['open', 'completing'] }, expiresAt: { $gt: new Date() } },
+            { uploadId: 1 }
+        ).lean()).map(s => s.uploadId));
+
+        for (const id of ids) {
+            if (!open.has(id)) await fsPromises.unlink(uploadPartPath(id)).catch(() => {});
+        }
+    } catch (error) {
+        console.error('Upload session sweep error:', error);
+    }
+}
+
+// ============================================================
+// ORPHANED ATTACHMENT CLEANUP
+// ============================================================
+//
+// Every message that points at an upload bumps its Attachment.refCount. When
+// deletions bring it back to zero — or it never rose, because the upload
+// finished but send-message never followed — orphanedAt is set, and the sweeper
+// removes the blob and its thumbnail once ATTACHMENT_GC_GRACE_MS has passed.
+// Counts are recomputed from Message on release and re-checked before removal,
+// so a missed update can delay cleanup but never delete a file still in use.
+// The sweeper claims a record by deleting it while refCount is still 0, and
+// send-message retains before saving, so the two can't both win.
+
+const ATTACHMENT_GC_GRACE_MS    = 24 * 60 * 60 * 1000;
+const ATTACHMENT_GC_INTERVAL_MS = 60 * 60 * 1000;
+
+// False when the sweeper already claimed the record — the file is going away
+async function retainAttachment(url) {
+    const result = await Attachment.updateOne({ url }, { $inc: { refCount: 1 }, $set: { orphanedAt: null } });
+    return result.matchedCount > 0;
+}
+
+// url → number of messages pointing at it, in one query
+async function countAttachmentReferences(urls) {
+    const counts = await Message.aggregate([
+        { $match: { 'file.url': { $in: urls } } },
+        { $group: { _id: '$file.url', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(c => [c._id, c.count]));
+}
+
+async function releaseAttachments(urls) {
+    const unique = [...new Set(urls.filter(Boolean))];
+    if (unique.length === 0) return;
+
+    const { orphaned, counted } = planRelease(unique, await countAttachmentReferences(unique));
+
+    if (orphaned.length > 0) {
+        await Attachment.updateMany({ url: { $in: orphaned } }, { refCount: 0, orphanedAt: new Date() });
+    }
+    for (const [url, refCount] of counted) {
+        await Attachment.updateOne({ url }, { refCount, orphanedAt: null });
+    }
+}
+
+// Message.deleteMany that also releases the attachments of the deleted messages
+// and puts the deletions in both participants' change feeds
+async function deleteMessages(filter) {
+    const deleted = await Message.find(filter, { messageId: 1, senderId: 1, recipientId: 1, 'file.url': 1 }).lean();
+    const result  = await Message.deleteMany(filter);
+
+    const urls = deleted.map(m => m.file?.url).filter(Boolean);
+    if (urls.length > 0) {
+        await releaseAttachments(urls).catch(error => console.error('Attachment release error:', error));
+    }
+    await recordDeletions(deleted);
+    return result;
+}
+
+async function removeBlobAt(url) {
+    const blob = url && blobForUrl(url);
+    if (blob) await blob.store.remove(blob.key);
+}
+
+async function removeAttachment(attachment) {
+    await removeBlobAt(attachment.url);
+    await removeBlobAt(attachment.image?.thumbUrl);
+    await Attachment.deleteOne({ _id: attachment._id });
+}
+
+// Deletes the record only if nothing retained it since it was picked;
+// the blobs are removed afterwards, and the record restored if that fails
+async function claimAndRemoveOrphan(attachment, cutoff) {
+    const claimed = await Attachment.deleteOne({
+        _id:      attachment._id,
+        refCount: { $lte: 0 },
+        ...orphanedBefore(cutoff)
+    });
+    if (claimed.deletedCount === 0) return false;
+
+    try {
+        await removeBlobAt(attachment.url);
+        await removeBlobAt(attachment.image?.thumbUrl);
+    } catch (error) {
+        await Attachment.create(attachment).catch(() => {}); // retried by the next sweep
+        throw error;
+    }
+    return true;
+}
+
+// Returns what was (or, with dryRun, would be) removed
+async function collectOrphanedAttachments({ dryRun = false } = {}) {
+    const report = { removed: [], bytes: 0, kept: 0, failed: 0 };
+    const cutoff = new Date(Date.now() - ATTACHMENT_GC_GRACE_MS);
+
+    const candidates = await Attachment.find(orphanedBefore(cutoff)).lean();
+
+    const references = candidates.length > 0
+        ? await countAttachmentReferences(candidates.map(a => a.url))
+        : new Map();
+    const { referenced, orphans } = partitionOrphans(candidates, references);
+
+    for (const { attachment, refCount } of referenced) {
+        report.kept++;
+        if (!dryRun) await Attachment.updateOne({ _id: attachment._id }, { refCount, orphanedAt: null });
+    }
+
+    for (const attachment of orphans) {
+        try {
+            // Sent in a message since it was picked: leave it
+            if (!dryRun && !await claimAndRemoveOrphan(attachment, cutoff)) {
+                report.kept++;
+                continue;
+            }
+            report.removed.push({ url: attachment.url, size: attachment.size || 0 });
+            report.bytes += attachment.size || 0;
+        } catch (error) {
+            report.failed++;
+            console.error(`Orphan cleanup failed for ${attachment.url}:`, error.message);
+        }
+    }
+
+    // Local disk also holds files from before uploads were recorded: remove those
+    // no message or record mentions
+    if (blobStore === localBlobStore) {
+        const fileName = url => path.posix.basename(String(url).split('?')[0]);
+        const [messageUrls, thumbUrls, recordUrls] = await Promise.all([
+            Message.distinct('file.url', { 'file.url': /\/uploads\// }),
+            Message.distinct('file.thumbUrl', { 'file.thumbUrl': /\/uploads\// }),
+            Attachment.find({}, { url: 1, 'image.thumbUrl': 1 }).lean()
+                .then(records => records.flatMap(r => [r.url, r.image?.thumbUrl]).filter(Boolean))
+        ]);
+        const inUse = new Set([...messageUrls, ...thumbUrls, ...recordUrls].map(fileName));
+
+        for (const name of await fsPromises.readdir(uploadDir).catch(() => [])) {
+            if (!isSweepableUpload(name, inUse)) continue;
+
+            const { filePath, url } = localBlobLocation(`uploads/${name}`);
+            try {
+                const stats = await fsPromises.stat(filePath);
+                if (!stats.isFile() || stats.mtime > cutoff) continue;
+
+                if (!dryRun) await fsPromises.unlink(filePath);
+                report.removed.push({ url, size: stats.size });
+                report.bytes += stats.size;
+            } catch (error) {
+                report.failed++;
+                console.error(`Orphan cleanup failed for ${url}:`, error.message);
+            }
+        }
+    }
+
+    return report;
+}
+
+async function sweepOrphanedAttachments() {
+    try {
+        const report = await collectOrphanedAttachments();
+        if (report.removed.length > 0) {
+            console.log(`🧹 Removed ${report.removed.length} orphaned upload(s), ${report.bytes} bytes freed`);
+        }
+    } catch (error) {
+        console.error('Orphaned attachment sweep error:', error);
+    }
+}
+
+// ============================================================
+// STORAGE QUOTA
+// ============================================================
+//
+// A user's usage is every attachment they uploaded (until it is deleted or
+// swept as an orphan) plus their profile picture. Server-made thumbnails are
+// not counted. STORAGE_QUOTA_MB caps it per user; 0 turns the quota off.
+
+const STORAGE_QUOTA_MB    = Number(process.env.STORAGE_QUOTA_MB ?? 2048);
+const STORAGE_QUOTA_BYTES = quotaBytes(STORAGE_QUOTA_MB);
+
+function attachmentCategory(type) {
+    return Object.keys(ATTACHMENT_ALLOWED_TYPES).find(c => ATTACHMENT_ALLOWED_TYPES[c].includes(type)) || 'documents';
+}
+
+async function sumBytes(model, match, field) {
+    const [total] = await model.aggregate([
+        { $match: match },
+        { $group: { _id: null, bytes: { $sum: `$${field}` } } }
+    ]);
+    return total?.bytes || 0;
+}
+
+async function storageUsed(userId) {
+    const [attachments, user] = await Promise.all([
+        sumBytes(Attachment, { ownerId: userId }, 'size'),
+        User.findOne({ xameId: userId }, { profilePicSize: 1 }).lean()
+    ]);
+    return attachments + (user?.profilePicSize || 0);
+}
+
+/**
+ * Would storing `size` more bytes put the user over quota? Unfinished uploads
+ * count as already stored, except `exceptUploadId` (the one being finished).
+ * Returns an error for sendAttachmentError, or null.
+ */
+async function checkStorageQuota(userId, size, exceptUploadId = null) {
+    if (!STORAGE_QUOTA_BYTES) return null;
+
+    const [used, reserved] = await Promise.all([
+        storageUsed(userId),
+        sumBytes(UploadSession, {
+            userId,
+            status:    { $in: ['open', 'completing'] },
+            expiresAt: { $gt: new Date() },
+            ...(exceptUploadId && { uploadId: { $ne: exceptUploadId } })
+        }, 'fileSize')
+    ]);
+    if (fitsQuota({ quota: STORAGE_QUOTA_BYTES, used, reserved, size })) return null;
+
+    return attachmentError(413, 'QUOTA_EXCEEDED',
+        `Not enough storage: ${toMegabytes(STORAGE_QUOTA_BYTES - used - reserved)} MB left of ${toMegabytes(STORAGE_QUOTA_BYTES)} MB. ` +
+        'Delete some files under Storage to make room.',
+        { quota: STORAGE_QUOTA_BYTES, used, size });
+}
+
+// ============================================================
+// API ENDPOINTS
+// ============================================================
+
+// --- REGISTER ---
+app.post('/api/register',
+    body('firstName').trim().escape().notEmpty().withMessage('First name is required.'),
+    body('lastName').trim().escape().notEmpty().withMessage('Last name is required.'),
+    body('dob').isDate({ format: 'YYYY-MM-DD' }).withMessage('Date of birth must be YYYY-MM-DD.'),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { firstName, lastName, dob, password } = req.body;
+
+        try {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            const xameId         = await generateUniqueXameId();
+            const recovery       = await generateRecoveryCodes();
+            const newUser        = new User({ 
+                xameId, firstName, lastName, dob, 
+                password: hashedPassword,
+                passwordChangedAt: new Date(),
+                recoveryCodes: recovery.hashes,
+                recoveryCodesGeneratedAt: new Date()
+            });
+            await newUser.save();
+
+            console.log(`✅ User registered: ${newUser.xameId}`);
+
+            const userResponse = newUser.toObject();
+            delete userResponse.password;
+            delete userResponse.recoveryCodes;
+            delete userResponse.twoFactor;
+
+            res.json({
+                success:       true,
+                user:          userResponse,
+                token:         await createSession(newUser, req),
+                recoveryCodes: recovery.codes   // ← shown once, never stored in plain text
+            });
+        } catch (error) {
+            console.error('Registration error:', error);
+            res.status(500).json({ 
+                success: false, 
+                message: 'Server error during registration.' 
+            });
+        }
+    }
+);
+
+// --- SET PASSWORD (for legacy users without one) ---
+app.post('/api/set-password',
+    body('xameId').trim().escape().notEmpty().withMessage('Xame-ID is required.'),
+    body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { xameId, newPassword } = req.body;
+
+        try {
+            const user = await User.findOne({ xameId });
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found.' });
+            }
+            if (user.password) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This account already has a password. Use password reset instead.'
+                });
+            }
+
+            user.password          = await bcrypt.hash(newPassword, 10);
+            user.passwordChangedAt = new Date();
+            await user.save();
+
+            console.log(`✅ Password set for legacy user: ${xameId}`);
+
+            const userResponse = user.toObject();
             delete userResponse.password;
+            delete userResponse.recoveryCodes;
+            delete userResponse.twoFactor;
+
+            res.json({
+                success: true,
+                message: 'Password set successfully! You can now log in.',
+                user:    userResponse
+            });
+        } catch (error) {
+            console.error('Set password error:', error);
+            res.status(500).json({ 
+                success: false, 
+                message: 'Server error during password setup.' 
+            });
+        }
+    }
+);
+
+// --- RESET PASSWORD (with a one-time recovery code) ---
+app.post('/api/reset-password',
+    body('xameId').trim().escape().notEmpty().withMessage('Xame-ID is required.'),
+    body('recoveryCode').trim().notEmpty().withMessage('Recovery code is required.'),
+    body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { xameId, recoveryCode, newPassword } = req.body;
+
+        try {
+            // Recovery codes are guessable credentials too: same lockout as /api/login,
+            // checked before the bcrypt work
+            const activeLock = await getLoginLock(req.ip, xameId);
+            if (activeLock) {
+                return sendLoginLocked(res, activeLock);
+            }
+
+            const user = await User.findOne({ xameId });
+            const codeIndex = user ? await findRecoveryCodeIndex(user.recoveryCodes, recoveryCode) : -1;
+
+            // Same response for unknown users and wrong codes
+            if (codeIndex === -1) {
+                const { lock } = await recordLoginFailure(req.ip, xameId);
+                if (lock) {
+                    console.warn(`🔒 Password reset locked (${lock.scope}) for ${xameId} from ${req.ip}`);
+                    return sendLoginLocked(res, lock);
+                }
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid Xame-ID or recovery code.'
+                });
+            }
+
+            user.recoveryCodes.splice(codeIndex, 1);
+            user.password          = await bcrypt.hash(newPassword, 10);
+            user.passwordChangedAt = new Date();
+            await user.save();
+
+            await revokeSessions({ userId: user.xameId }, 'password-reset'); // ← signs out every device
+            await clearLoginFailures(user.xameId);
+
+            console.log(`✅ Password reset with recovery code for: ${xameId}`);
+
+            res.json({
+                success:                true,
+                message:                'Password reset successfully! You can now log in.',
+                remainingRecoveryCodes: user.recoveryCodes.length
+            });
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error during password reset.'
+            });
+        }
+    }
+);
+
+// --- LOGIN ---
+app.post('/api/login', async (req, res) => {
+    const { xameId, password } = req.body;
+
+    if (!xameId || typeof xameId !== 'string') {
+        return res.status(400).json({ success: false, message: 'Xame-ID is required.' });
+    }
+
+    try {
+        // Checked before any lookup or bcrypt work so a locked caller learns nothing
+        const activeLock = await getLoginLock(req.ip, xameId);
+        if (activeLock) {
+            return sendLoginLocked(res, activeLock);
+        }
+
+        const user = await User.findOne({ xameId });
+
+        if (!user) {
+            await recordLoginFailure(req.ip, xameId);
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        if (!user.password) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your account needs a password. Please set one to continue.',
+                requiresPasswordSetup: true,
+                user: {
+                    xameId:    user.xameId,
+                    firstName: user.firstName,
+                    lastName:  user.lastName
+                }
+            });
+        }
+
+        if (!password) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Password is required.' 
+            });
+        }
+
+        const passwordMatch = await bcrypt.compare(password, user.password);
+        if (!passwordMatch) {
+            const { lock, attemptsRemaining } = await recordLoginFailure(req.ip, xameId);
+            if (lock) {
+                console.warn(`🔒 Login locked (${lock.scope}) for ${xameId} from ${req.ip}`);
+                return sendLoginLocked(res, lock);
+            }
+            return res.status(401).json({
+                success: false,
+                message: attemptsRemaining <= 2
+                    ? `Invalid password. ${attemptsRemaining} attempt(s) left before a temporary lockout.`
+                    : 'Invalid password.',
+                attemptsRemaining
+            });
+        }
+
+        // Password alone is not enough — hand back a short-lived challenge
+        // that /api/login/2fa exchanges for a session
+        if (user.twoFactor?.enabled) {
+            console.log(`🔑 Password OK, awaiting 2FA code: ${user.xameId}`);
+            return res.json({
+                success:      false,
+                requires2fa:  true,
+                challenge:    signTwoFactorChallenge(user),
+                message:      'Enter the code from your authenticator app.'
+            });
+        }
+
+        await clearLoginFailures(xameId);
+
+        console.log(`✅ User logged in: ${user.xameId}`);
+
+        const token = await createSession(user, req);
+        res.json({ success: true, user: toLoginUser(user), token });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Server error during login.' });
+    }
+});
+
+// --- LOGIN: SECOND FACTOR ---
+// Exchanges the challenge from /api/login plus a TOTP or backup code for a session.
+// Wrong codes count towards the same lockout as wrong passwords.
+app.post('/api/login/2fa',
+    body('challenge').notEmpty().withMessage('Login challenge is required.'),
+    body('code').trim().notEmpty().withMessage('Verification code is required.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const claims = verifyTwoFactorChallenge(req.body.challenge);
+        if (!claims) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your login attempt expired. Please enter your password again.',
+                challengeExpired: true
+            });
+        }
+
+        const xameId = claims.sub;
+
+        try {
+            const activeLock = await getLoginLock(req.ip, xameId);
+            if (activeLock) {
+                return sendLoginLocked(res, activeLock);
+            }
+
+            const user = await User.findOne({ xameId });
+            if (!user || !user.twoFactor?.enabled) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your login attempt expired. Please enter your password again.',
+                    challengeExpired: true
+                });
+            }
+
+            // The code is used up by a conditional update: if a concurrent login
+            // got there first, nothing matches and this one is refused
+            const match   = await matchSecondFactor(user, req.body.code);
+            const claimed = match && await User.findOneAndUpdate(
+                { _id: user._id, 'twoFactor.enabled': true, ...match.filter },
+                match.update,
+                { new: true }
+            );
+            if (!claimed) {
+                const { lock, attemptsRemaining } = await recordLoginFailure(req.ip, xameId);
+                if (lock) {
+                    return sendLoginLocked(res, lock);
+                }
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid verification code.',
+                    attemptsRemaining
+                });
+            }
+
+            await clearLoginFailures(xameId);
+
+            console.log(`✅ User logged in with 2FA (${match.method}): ${xameId}`);
+
+            const token = await createSession(claimed, req);
+            res.json({
+                success: true,
+                user:    toLoginUser(claimed),
+                token,
+                ...(match.method === 'backup' && { backupCodesRemaining: claimed.twoFactor.backupCodes.length })
+            });
+        } catch (error) {
+            console.error('2FA login error:', error);
+            res.status(500).json({ success: false, message: 'Server error during login.' });
+        }
+    }
+);
+
+// --- LOGOUT ---
+app.post('/api/logout', requireAuth, async (req, res) => {
+    const userId = req.userId;
+
+    try {
+        // Kill this device's token; other devices stay signed in
+        await revokeSessions({ sessionId: req.sessionId }, 'logged-out');
+    } catch (error) {
+        console.error('Logout session revoke error:', error);
+    }
+
+    if (!isUserConnected(userId)) {
+        onlineUsers.delete(userId);
+        io.emit('online_users', Array.from(onlineUsers));
+    }
+
+    console.log(`✅ User logged out: ${userId}`);
+    res.json({ success: true, message: 'Logged out successfully.' });
+});
+
+// --- LINKED DEVICES ---
+app.get('/api/sessions', requireAuth, async (req, res) => {
+    try {
+        const sessions = await Session.find({ userId: req.userId }).sort({ lastActiveAt: -1 });
+
+        res.json({
+            success: true,
+            sessions: sessions.map(s => ({
+                sessionId:    s.sessionId,
+                deviceName:   s.deviceName,
+                userAgent:    s.userAgent,
+                ip:           s.ip,
+                createdAt:    s.createdAt,
+                lastActiveAt: s.lastActiveAt,
+                isOnline:     Array.from(io.sockets.sockets.values())
+                                  .some(sock => sock.sessionId === s.sessionId),
+                isCurrent:    s.sessionId === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- REVOKE ONE DEVICE ---
+app.post('/api/revoke-session',
+    requireAuth,
+    body('sessionId').trim().notEmpty().withMessage('Session ID is required.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        try {
+            // userId in the filter stops users revoking each other's sessions
+            const revoked = await revokeSessions(
+                { sessionId: req.body.sessionId, userId: req.userId },
+                'signed-out-remotely'
+            );
+            if (revoked === 0) {
+                return res.status(404).json({ success: false, message: 'Device not found.' });
+            }
+
+            console.log(`✅ Session ${req.body.sessionId} revoked by: ${req.userId}`);
+            res.json({ success: true, message: 'Device signed out.' });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({ success: false, message: 'Server error.' });
+        }
+    }
+);
+
+// --- REGENERATE RECOVERY CODES ---
+// Replaces any existing codes; the password is required so a stolen session
+// cannot silently take over account recovery.
+app.post('/api/recovery-codes',
+    requireAuth,
+    body('password').notEmpty().withMessage('Password is required.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        try {
+            const user = req.user;
+            const passwordMatch = user.password
+                && await bcrypt.compare(req.body.password, user.password);
+            if (!passwordMatch) {
+                return res.status(403).json({ success: false, message: 'Invalid password.' });
+            }
+
+            const recovery = await generateRecoveryCodes();
+            user.recoveryCodes            = recovery.hashes;
+            user.recoveryCodesGeneratedAt = new Date();
+            await user.save();
+
+            console.log(`✅ Recovery codes regenerated for: ${user.xameId}`);
+
+            res.json({ success: true, recoveryCodes: recovery.codes });
+        } catch (error) {
+            console.error('Recovery code generation error:', error);
+            res.status(500).json({ success: false, message: 'Server error.' });
+        }
+    }
+);
+
+// --- ACCOUNT SECURITY OVERVIEW ---
+app.get('/api/account/security', requireAuth, (req, res) => {
+    const user = req.user;
+    res.json({
+        success: true,
+        security: {
+            passwordChangedAt:        user.passwordChangedAt || null,
+            accountCreatedAt:         user.createdAt,
+            recoveryCodesRemaining:   (user.recoveryCodes || []).length,
+            recoveryCodesGeneratedAt: user.recoveryCodesGeneratedAt || null,
+            twoFactorEnabled:         !!user.twoFactor?.enabled,
+            twoFactorEnabledAt:       user.twoFactor?.enabledAt || null,
+            backupCodesRemaining:     (user.twoFactor?.backupCodes || []).length
+        }
+    });
+});
+
+// --- CHANGE PASSWORD ---
+// Requires the current password. Every other session is signed out;
+// the caller's session stays valid.
+app.post('/api/change-password',
+    requireAuth,
+    body('currentPassword').notEmpty().withMessage('Current password is required.'),
+    body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { currentPassword, newPassword } = req.body;
+
+        try {
+            const user = req.user;
+            const passwordMatch = user.password
+                && await bcrypt.compare(currentPassword, user.password);
+            if (!passwordMatch) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Current password is incorrect.'
+                });
+            }
+
+            if (await bcrypt.compare(newPassword, user.password)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'New password must be different from the current one.'
+                });
+            }
+
+            user.password          = await bcrypt.hash(newPassword, 10);
+            user.passwordChangedAt = new Date();
+            await user.save();
+
+            await revokeSessions(
+                { userId: user.xameId, sessionId: { $ne: req.sessionId } },
+                'password-changed'
+            );
+
+            console.log(`✅ Password changed for: ${user.xameId}`);
+
+            res.json({
+                success:           true,
+                message:           'Password changed. Other devices have been signed out.',
+                passwordChangedAt: user.passwordChangedAt
+            });
+        } catch (error) {
+            console.error('Change password error:', error);
+            res.status(500).json({ success: false, message: 'Server error during password change.' });
+        }
+    }
+);
+
+// --- SIGN OUT OTHER SESSIONS ---
+app.post('/api/sign-out-other-sessions', requireAuth, async (req, res) => {
+    try {
+        const revoked = await revokeSessions(
+            { userId: req.userId, sessionId: { $ne: req.sessionId } },
+            'signed-out-remotely'
+        );
 
-            res.json({ success: true, user: userResponse });
-        } catch (error) {
-            console.error('Registration error:', error);
-            res.status(500).json({ 
-                success: false, 
-                message: 'Server error during registration.' 
+        console.log(`✅ ${revoked} other session(s) signed out for: ${req.userId}`);
+        res.json({ success: true, message: 'All other sessions have been signed out.', revoked });
+    } catch (error) {
+        console.error('Sign out other sessions error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- 2FA: START ENROLLMENT ---
+// Stores a pending secret; nothing changes for login until /api/2fa/enable confirms it.
+app.post('/api/2fa/setup', requireAuth, async (req, res) => {
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+        return res.status(409).json({
+            success: false,
+            message: 'Two-factor authentication is already on.'
+        });
+    }
+
+    try {
+        const secret     = generateTotpSecret();
+        const otpauthUrl = buildOtpauthUrl(user, secret);
+
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUrl,
+            qrCode:  await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 })
+        });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- 2FA: CONFIRM ENROLLMENT ---
+app.post('/api/2fa/enable',
+    requireAuth,
+    body('code').trim().notEmpty().withMessage('Verification code is required.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const user = req.user;
+
+        if (user.twoFactor?.enabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already on.'
+            });
+        }
+        if (!user.twoFactor?.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start the setup again to get a new code.'
+            });
+        }
+
+        try {
+            const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+            if (step === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That code did not match. Check your device clock and try again.'
+                });
+            }
+
+            const backup = await generateRecoveryCodes();
+
+            user.twoFactor.secret        = user.twoFactor.pendingSecret;
+            user.twoFactor.pendingSecret = undefined;
+            user.twoFactor.enabled       = true;
+            user.twoFactor.enabledAt     = new Date();
+            user.twoFactor.lastUsedStep  = step;
+            user.twoFactor.backupCodes   = backup.hashes;
+            await user.save();
+
+            console.log(`✅ 2FA enabled for: ${user.xameId}`);
+
+            res.json({
+                success:     true,
+                message:     'Two-factor authentication is now on.',
+                backupCodes: backup.codes
             });
+        } catch (error) {
+            console.error('2FA enable error:', error);
+            res.status(500).json({ success: false, message: 'Server error.' });
         }
     }
 );
 
-// --- SET PASSWORD (for legacy users without one) ---
-app.post('/api/set-password',
-    body('xameId').trim().escape().notEmpty().withMessage('Xame-ID is required.'),
-    body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters.'),
+// --- 2FA: DISABLE ---
+app.post('/api/2fa/disable',
+    requireAuth,
+    body('password').notEmpty().withMessage('Password is required.'),
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({ success: false, errors: errors.array() });
         }
 
-        const { xameId, newPassword } = req.body;
-
         try {
-            const user = await User.findOne({ xameId });
-            if (!user) {
-                return res.status(404).json({ success: false, message: 'User not found.' });
+            const user = req.user;
+            const passwordMatch = user.password
+                && await bcrypt.compare(req.body.password, user.password);
+            if (!passwordMatch) {
+                return res.status(403).json({ success: false, message: 'Invalid password.' });
             }
-            if (user.password) {
+
+            user.twoFactor = { enabled: false, backupCodes: [] };
+            await user.save();
+
+            console.log(`✅ 2FA disabled for: ${user.xameId}`);
+            res.json({ success: true, message: 'Two-factor authentication is now off.' });
+        } catch (error) {
+            console.error('2FA disable error:', error);
+            res.status(500).json({ success: false, message: 'Server error.' });
+        }
+    }
+);
+
+// --- 2FA: REGENERATE BACKUP CODES ---
+app.post('/api/2fa/backup-codes',
+    requireAuth,
+    body('password').notEmpty().withMessage('Password is required.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        try {
+            const user = req.user;
+            if (!user.twoFactor?.enabled) {
                 return res.status(400).json({
                     success: false,
-                    message: 'This account already has a password. Use password reset instead.'
+                    message: 'Two-factor authentication is off.'
                 });
             }
 
-            user.password = await bcrypt.hash(newPassword, 10);
-            await user.save();
+            const passwordMatch = user.password
+                && await bcrypt.compare(req.body.password, user.password);
+            if (!passwordMatch) {
+                return res.status(403).json({ success: false, message: 'Invalid password.' });
+            }
+
+            const backup = await generateRecoveryCodes();
+            user.twoFactor.backupCodes = backup.hashes;
+            await user.save();
+
+            console.log(`✅ 2FA backup codes regenerated for: ${user.xameId}`);
+            res.json({ success: true, backupCodes: backup.codes });
+        } catch (error) {
+            console.error('2FA backup code error:', error);
+            res.status(500).json({ success: false, message: 'Server error.' });
+        }
+    }
+);
+
+// --- SAVE PUSH SUBSCRIPTION ---
+app.post('/api/save-push-subscription', requireAuth, async (req, res) => {
+    const userId = req.userId;
+    const { subscription } = req.body;
+
+    if (!subscription) {
+        return res.status(400).json({ success: false, message: 'Missing data.' });
+    }
+
+    try {
+        await PushSubscription.findOneAndUpdate(
+            { userId },
+            { userId, subscription },
+            { upsert: true, new: true }
+        );
+        console.log(`✅ Push subscription saved for: ${userId}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Push subscription save error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- GET USER NAME ---
+app.post('/api/get-user-name', async (req, res) => {
+    const { xameId } = req.body;
+
+    try {
+        const user = await User.findOne({ xameId });
+        if (user) {
+            res.json({
+                success: true,
+                user: { 
+                    firstName: user.firstName, 
+                    lastName:  user.lastName, 
+                    xameId:    user.xameId 
+                }
+            });
+        } else {
+            res.status(404).json({ success: false, message: 'User not found.' });
+        }
+    } catch (error) {
+        console.error('Get user name error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- SEARCH USER ---
+// Accepts a Xame-ID or a username in `xameId` (kept for older clients) or `query`
+app.post('/api/search-user', requireAuth, async (req, res) => {
+    const query = req.body.query ?? req.body.xameId;
+
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return res.status(400).json({ success: false, message: 'Xame-ID or username is required.' });
+    }
+
+    try {
+        const user = await findUserByHandle(query);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const filtered = getPrivacyFilteredContactData(user);
+        res.json({
+            success: true,
+            user: {
+                xameId:       filtered.xameId,
+                username:     user.username || '',
+                firstName:    filtered.firstName,
+                lastName:     filtered.lastName,
+                preferredName: filtered.preferredName,
+                profilePic:   filtered.profilePic,
+                isOnline:     onlineUsers.has(user.xameId)
+            }
+        });
+    } catch (error) {
+        console.error('Search user error:', error);
+        res.status(500).json({ success: false, message: 'Server error during search.' });
+    }
+});
+
+// --- RESOLVE HANDLE (deep links) ---
+app.get('/api/resolve/:handle', requireAuth, async (req, res) => {
+    try {
+        const user = await findUserByHandle(req.params.handle);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+        res.json({ success: true, xameId: user.xameId, username: user.username || '' });
+    } catch (error) {
+        console.error('Resolve handle error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- USERNAME AVAILABILITY ---
+app.get('/api/username/check', requireAuth, async (req, res) => {
+    const username = String(req.query.username || '').trim();
+
+    const invalidReason = validateUsername(username);
+    if (invalidReason) {
+        return res.json({ success: true, available: false, message: invalidReason });
+    }
+
+    try {
+        const owner = await User.findOne({ usernameLower: username.toLowerCase() }).select('xameId');
+        const available = !owner || owner.xameId === req.userId;
+        res.json({
+            success:   true,
+            available,
+            message:   available ? 'Username is available.' : 'That username is taken.'
+        });
+    } catch (error) {
+        console.error('Username check error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- CLAIM / CHANGE USERNAME ---
+// The first claim is free; after that changes (including removal) are rate-limited
+function usernameCooldownRemaining(user) {
+    if (!user.usernameChangedAt) return 0;
+    return Math.max(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_MS - Date.now(), 0);
+}
+
+app.post('/api/username', requireAuth, async (req, res) => {
+    const user     = req.user;
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+
+    const invalidReason = validateUsername(username);
+    if (invalidReason) {
+        return res.status(400).json({ success: false, message: invalidReason });
+    }
+
+    const lower = username.toLowerCase();
+    const waitMs = usernameCooldownRemaining(user);
+
+    // Case-only edits ("jane" → "Jane") keep the same claim and skip the cooldown
+    if (user.usernameLower !== lower && waitMs > 0) {
+        const nextChangeAt = new Date(Date.now() + waitMs);
+        return res.status(429).json({
+            success:      false,
+            message:      `You can change your username again on ${nextChangeAt.toDateString()}.`,
+            nextChangeAt
+        });
+    }
+
+    try {
+        if (user.usernameLower === lower) {
+            user.username = username;
+            await user.save();
+            return res.json({ success: true, username, message: 'Username updated.' });
+        }
+
+        user.username          = username;
+        user.usernameLower     = lower;
+        user.usernameChangedAt = new Date();
+        await user.save();
+
+        console.log(`✅ Username @${username} claimed by: ${user.xameId}`);
+        res.json({ success: true, username, message: `You are now @${username}.` });
+    } catch (error) {
+        // Unique index on usernameLower settles races between two claimants
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'That username is taken.' });
+        }
+        console.error('Claim username error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+app.post('/api/username/release', requireAuth, async (req, res) => {
+    const user = req.user;
+
+    if (!user.usernameLower) {
+        return res.status(400).json({ success: false, message: 'You have no username.' });
+    }
+
+    try {
+        user.username          = undefined;
+        user.usernameLower     = undefined;
+        user.usernameChangedAt = new Date();
+        await user.save();
+
+        console.log(`✅ Username released by: ${user.xameId}`);
+        res.json({ success: true, message: 'Username removed.' });
+    } catch (error) {
+        console.error('Release username error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- ATTACHMENT POLICY (script.js builds FILE_CONFIG from this) ---
+app.get('/api/attachments/policy', (req, res) => {
+    res.json({
+        success: true,
+        policy: {
+            maxSize:      ATTACHMENT_MAX_SIZE,
+            chunkSize:    UPLOAD_CHUNK_SIZE,
+            allowedTypes: ATTACHMENT_ALLOWED_TYPES
+        }
+    });
+});
+
+// --- UPLOAD FILE (voice notes, documents, media) ---
+// Goes to the configured blob store, so attachments survive redeploys
+app.post('/api/upload-file', requireAuth, acceptAttachmentUpload, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, message: 'No file uploaded.' });
+    }
+
+    const tempPath = req.file.path;
+
+    try {
+        const checked = checkAttachment({
+            size:         req.file.size,
+            declaredType: req.file.mimetype,
+            head:         await readFileHead(tempPath, ATTACHMENT_SNIFF_BYTES)
+        });
+        if (checked.error) {
+            console.warn(`🚫 Upload from ${req.userId} rejected: ${checked.error.code}`);
+            return sendAttachmentError(res, checked.error);
+        }
+
+        const overQuota = await checkStorageQuota(req.userId, req.file.size);
+        if (overQuota) return sendAttachmentError(res, overQuota);
+
+        const threat = await scanUpload(tempPath, {
+            ownerId: req.userId, fileName: req.file.originalname, type: checked.type, size: req.file.size
+        });
+        if (threat) return sendAttachmentError(res, threat);
+
+        const key = `uploads/${uuidv4()}${checked.extension}`;
+
+        const url = await blobStore.putFile(key, tempPath, {
+            contentType: checked.type
+        });
+        const image = await createImageVariants(tempPath, key, checked.type);
+        await Attachment.create({ url, ownerId: req.userId, size: req.file.size, type: checked.type, image });
+
+        res.json({ success: true, url, type: checked.type, image: uploadedImageInfo(image) });
+    } catch (error) {
+        console.error('File processing failed:', error);
+        res.status(500).json({ success: false, message: 'File processing failed.' });
+    } finally {
+        // Already gone if the scanner moved it to quarantine
+        await fsPromises.unlink(tempPath).catch(() => {});
+    }
+});
+
+// --- RESUMABLE UPLOADS (large attachments) ---
+app.post('/api/uploads',
+    requireAuth,
+    [
+        body('fileName').isString().trim().isLength({ min: 1, max: 255 }),
+        body('fileSize').isInt({ min: 0 }),
+        body('fileType').optional().isString().isLength({ max: 255 })
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, message: errors.array()[0].msg });
+        }
+
+        // Size and declared type up front; the contents are sniffed when chunk 0 arrives
+        const checked = checkAttachment({
+            size:         Number(req.body.fileSize),
+            declaredType: req.body.fileType,
+            head:         null
+        });
+        if (checked.error) {
+            return sendAttachmentError(res, checked.error);
+        }
+
+        try {
+            const overQuota = await checkStorageQuota(req.userId, Number(req.body.fileSize));
+            if (overQuota) return sendAttachmentError(res, overQuota);
+
+            const session = await UploadSession.create({
+                uploadId:  uuidv4(),
+                userId:    req.userId,
+                fileName:  req.body.fileName,
+                fileType:  checked.type,
+                fileSize:  Number(req.body.fileSize),
+                chunkSize: UPLOAD_CHUNK_SIZE,
+                expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+            });
+            await fsPromises.writeFile(uploadPartPath(session.uploadId), Buffer.alloc(0));
+
+            console.log(`📤 Upload session ${session.uploadId} for ${req.userId}: ${session.fileName} (${session.fileSize} bytes)`);
+            res.status(201).json({ success: true, upload: serializeUploadSession(session) });
+        } catch (error) {
+            console.error('Create upload session error:', error);
+            res.status(500).json({ success: false, message: 'Could not start the upload.' });
+        }
+    }
+);
+
+app.get('/api/uploads/:uploadId', requireAuth, async (req, res) => {
+    try {
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+        res.json({ success: true, upload: serializeUploadSession(session) });
+    } catch (error) {
+        console.error('Get upload session error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+app.put('/api/uploads/:uploadId/chunks/:index',
+    requireAuth,
+    express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE + 1024 }),
+    async (req, res) => {
+        try {
+            const session = await findUploadSession(req, res);
+            if (!session) return;
 
-            console.log(`✅ Password set for legacy user: ${xameId}`);
+            if (session.status !== 'open') {
+                return res.status(409).json({ success: false, message: 'Upload already finished.', upload: serializeUploadSession(session) });
+            }
 
-            const userResponse = user.toObject();
-            delete userResponse.password;
+            const index = Number(req.params.index);
+            const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+            if (!Number.isInteger(index) || index < 0 || index * session.chunkSize >= session.fileSize) {
+                return res.status(400).json({ success: false, message: 'Invalid chunk index.' });
+            }
 
-            res.json({
-                success: true,
-                message: 'Password set successfully! You can now log in.',
-                user:    userResponse
+            const result = await writeUploadChunk(session, index, chunk);
+            if (result.rejected) {
+                console.warn(`🚫 Upload ${session.uploadId} rejected: ${result.rejected.code}`);
+                return sendAttachmentError(res, result.rejected);
+            }
+
+            const current = result.session || await UploadSession.findOne({ uploadId: session.uploadId });
+            res.status(result.status).json({
+                success: result.status === 200,
+                message: result.message,
+                upload:  serializeUploadSession(current)
             });
         } catch (error) {
-            console.error('Set password error:', error);
-            res.status(500).json({ 
-                success: false, 
-                message: 'Server error during password setup.' 
-            });
+            console.error('Upload chunk error:', error);
+            res.status(500).json({ success: false, message: 'Could not store the chunk.' });
         }
     }
 );
 
-// --- LOGIN ---
-app.post('/api/login', async (req, res) => {
-    const { xameId, password } = req.body;
-
-    if (!xameId) {
-        return res.status(400).json({ success: false, message: 'Xame-ID is required.' });
-    }
-
+app.post('/api/uploads/:uploadId/complete', requireAuth, async (req, res) => {
     try {
-        const user = await User.findOne({ xameId });
+        const session = await findUploadSession(req, res);
+        if (!session) return;
 
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'User not found.' });
+        // Finishing twice (lost response) just returns the same URL
+        if (session.status === 'complete') {
+            const attachment = await Attachment.findOne({ url: session.url }).lean();
+            return res.json({
+                success: true,
+                url:     session.url,
+                type:    session.fileType,
+                image:   uploadedImageInfo(attachment?.image),
+                upload:  serializeUploadSession(session)
+            });
         }
-
-        if (!user.password) {
-            return res.status(403).json({
+        if (session.received !== session.fileSize) {
+            return res.status(409).json({
                 success: false,
-                message: 'Your account needs a password. Please set one to continue.',
-                requiresPasswordSetup: true,
-                user: {
-                    xameId:    user.xameId,
-                    firstName: user.firstName,
-                    lastName:  user.lastName
-                }
+                message: 'Upload is not finished yet.',
+                upload:  serializeUploadSession(session)
             });
         }
 
-        if (!password) {
-            return res.status(400).json({ 
-                success: false, 
-                message: 'Password is required.' 
+        // Only one call gets to store the blob; a concurrent one waits for the retry
+        const claimed = await UploadSession.findOneAndUpdate(
+            { _id: session._id, status: 'open', received: session.fileSize },
+            { status: 'completing' },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'Upload is already being finished.',
+                upload:  serializeUploadSession(session)
             });
         }
 
-        const passwordMatch = await bcrypt.compare(password, user.password);
-        if (!passwordMatch) {
-            return res.status(401).json({ success: false, message: 'Invalid password.' });
-        }
-
-        console.log(`✅ User logged in: ${user.xameId}`);
-
-        const userWithPrivacy = {
-            ...user.toObject(),
-            privacySettings: {
-                hidePreferredName:  user.hidePreferredName,
-                hideProfilePicture: user.hideProfilePicture
+        // From here on the session is ours: any failure hands it back
+        let url, image, attachment;
+        try {
+            try {
+                await fsPromises.access(uploadPartPath(session.uploadId));
+            } catch (error) {
+                return sendAttachmentError(res, await uploadSessionLost(session));
             }
-        };
-        delete userWithPrivacy.password;
 
-        res.json({ success: true, user: userWithPrivacy });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, message: 'Server error during login.' });
-    }
-});
+            // Quota is checked again here: other uploads may have finished meanwhile
+            const rejection = await checkStorageQuota(req.userId, session.fileSize, session.uploadId)
+                || await scanUpload(uploadPartPath(session.uploadId), {
+                    ownerId: req.userId, fileName: session.fileName, type: session.fileType, size: session.fileSize
+                });
+            if (rejection) {
+                await UploadSession.deleteOne({ _id: session._id });
+                await fsPromises.unlink(uploadPartPath(session.uploadId)).catch(() => {});
+                return sendAttachmentError(res, rejection);
+            }
 
-// --- LOGOUT ---
-app.post('/api/logout', async (req, res) => {
-    const { userId } = req.body;
-    if (!userId) {
-        return res.status(400).json({ success: false, message: 'User ID is required.' });
-    }
+            const key = `uploads/${uuidv4()}${ATTACHMENT_EXTENSIONS[session.fileType] || ''}`;
+            url = await blobStore.putFile(key, uploadPartPath(session.uploadId), {
+                contentType: session.fileType
+            });
+            image = await createImageVariants(uploadPartPath(session.uploadId), key, session.fileType);
 
-    onlineUsers.delete(userId);
-    userToSocketMap.delete(userId);
-    console.log(`✅ User logged out: ${userId}`);
+            attachment = await Attachment.create({
+                url, ownerId: req.userId, size: session.fileSize, type: session.fileType, image
+            });
 
-    io.emit('online_users', Array.from(onlineUsers));
-    res.json({ success: true, message: 'Logged out successfully.' });
-});
+            session.status = 'complete';
+            session.url    = url;
+            await session.save();
+        } catch (error) {
+            // Without an Attachment record nothing would ever clean the stored copy up
+            if (!attachment) {
+                await removeBlobAt(url).catch(() => {});
+                await removeBlobAt(image?.thumbUrl).catch(() => {});
+            }
+            // Hand the session back so the client's retry can finish it
+            await UploadSession.updateOne({ _id: session._id, status: 'completing' }, { status: 'open' }).catch(() => {});
+            throw error;
+        }
 
-// --- SAVE PUSH SUBSCRIPTION ---
-app.post('/api/save-push-subscription', async (req, res) => {
-    const { userId, subscription } = req.body;
+        await fsPromises.unlink(uploadPartPath(session.uploadId)).catch(() => {});
 
-    if (!userId || !subscription) {
-        return res.status(400).json({ success: false, message: 'Missing data.' });
+        console.log(`✅ Upload ${session.uploadId} complete: ${url}`);
+        res.json({
+            success: true,
+            url,
+            type:    session.fileType,
+            image:   uploadedImageInfo(attachment.image),
+            upload:  serializeUploadSession(session)
+        });
+    } catch (error) {
+        console.error('Complete upload error:', error);
+        res.status(500).json({ success: false, message: 'Could not finish the upload.' });
     }
+});
 
+app.delete('/api/uploads/:uploadId', requireAuth, async (req, res) => {
     try {
-        await PushSubscription.findOneAndUpdate(
-            { userId },
-            { userId, subscription },
-            { upsert: true, new: true }
-        );
-        console.log(`✅ Push subscription saved for: ${userId}`);
-        res.json({ success: true });
+        const session = await findUploadSession(req, res);
+        if (!session) return;
+
+        await UploadSession.deleteOne({ _id: session._id });
+        await fsPromises.unlink(uploadPartPath(session.uploadId)).catch(() => {});
+
+        console.log(`🗑️ Upload ${session.uploadId} cancelled by ${req.userId}`);
+        res.json({ success: true, message: 'Upload cancelled.' });
     } catch (error) {
-        console.error('Push subscription save error:', error);
+        console.error('Cancel upload error:', error);
         res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// --- GET USER NAME ---
-app.post('/api/get-user-name', async (req, res) => {
-    const { xameId } = req.body;
+// --- STORAGE USAGE ---
+const STORAGE_LARGEST_FILES = 50;
+
+app.get('/api/storage', requireAuth, async (req, res) => {
+    const userId = req.userId;
 
     try {
-        const user = await User.findOne({ xameId });
-        if (user) {
-            res.json({
-                success: true,
-                user: { 
-                    firstName: user.firstName, 
-                    lastName:  user.lastName, 
-                    xameId:    user.xameId 
-                }
+        const [attachments, messages, user] = await Promise.all([
+            Attachment.find({ ownerId: userId }, { url: 1, size: 1, type: 1, createdAt: 1 }).lean(),
+            Message.find({ senderId: userId, 'file.url': { $exists: true } },
+                { messageId: 1, recipientId: 1, ts: 1, file: 1 }).sort({ ts: -1 }).lean(),
+            User.findOne({ xameId: userId }, { profilePicSize: 1 }).lean()
+        ]);
+
+        const messagesByUrl = new Map();
+        messages.forEach(m => {
+            if (!messagesByUrl.has(m.file.url)) messagesByUrl.set(m.file.url, []);
+            messagesByUrl.get(m.file.url).push(m);
+        });
+
+        const byType = Object.fromEntries(Object.keys(ATTACHMENT_ALLOWED_TYPES).map(c => [c, { count: 0, bytes: 0 }]));
+        const byChat = new Map(); // contactId ('' = uploaded but never sent) → totals
+        let attachmentBytes = 0;
+
+        const files = attachments.map(a => {
+            const size = a.size || 0;
+            const sentIn = messagesByUrl.get(a.url) || [];
+            const chats = [...new Set(sentIn.map(m => m.recipientId))];
+
+            attachmentBytes += size;
+            const category = byType[attachmentCategory(a.type)];
+            category.count++;
+            category.bytes += size;
+
+            (chats.length ? chats : ['']).forEach(contactId => {
+                const chat = byChat.get(contactId) || { contactId: contactId || null, count: 0, bytes: 0 };
+                chat.count++;
+                chat.bytes += size;
+                byChat.set(contactId, chat);
             });
-        } else {
-            res.status(404).json({ success: false, message: 'User not found.' });
-        }
+
+            const latest = sentIn[0];
+            return {
+                attachmentId: a._id,
+                name:         latest?.file?.name || 'Unsent file',
+                type:         a.type,
+                size,
+                createdAt:    a.createdAt,
+                chats,
+                ...(latest && { file: withSignedFile(latest.messageId, latest.file) })
+            };
+        });
+
+        const profilePicBytes = user?.profilePicSize || 0;
+
+        res.json({
+            success:      true,
+            quota:        STORAGE_QUOTA_BYTES || null,
+            used:         attachmentBytes + profilePicBytes,
+            profilePic:   profilePicBytes,
+            attachments:  attachmentBytes,
+            byType,
+            byChat:       [...byChat.values()].sort((a, b) => b.bytes - a.bytes),
+            largestFiles: files.sort((a, b) => b.size - a.size).slice(0, STORAGE_LARGEST_FILES)
+        });
     } catch (error) {
-        console.error('Get user name error:', error);
+        console.error('Storage usage error:', error);
         res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// --- SEARCH USER ---
-app.post('/api/search-user', async (req, res) => {
-    const { xameId } = req.body;
+// Deleting an attachment frees its space at once and removes the messages
+// that carried it for everyone, like "delete for everyone"
+app.delete('/api/storage/attachments/:attachmentId', requireAuth, async (req, res) => {
+    const userId = req.userId;
 
-    if (!xameId || typeof xameId !== 'string' || xameId.trim().length === 0) {
-        return res.status(400).json({ success: false, message: 'Xame-ID is required.' });
+    if (!mongoose.isValidObjectId(req.params.attachmentId)) {
+        return res.status(404).json({ success: false, message: 'File not found.' });
     }
 
     try {
-        const user = await User.findOne({ xameId: xameId.trim() });
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'User not found.' });
+        const attachment = await Attachment.findOne({ _id: req.params.attachmentId, ownerId: userId }).lean();
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: 'File not found.' });
         }
 
-        const filtered = getPrivacyFilteredContactData(user);
-        res.json({
-            success: true,
-            user: {
-                xameId:       filtered.xameId,
-                firstName:    filtered.firstName,
-                lastName:     filtered.lastName,
-                preferredName: filtered.preferredName,
-                profilePic:   filtered.profilePic,
-                isOnline:     onlineUsers.has(user.xameId)
+        const messages = await Message.find({ senderId: userId, 'file.url': attachment.url },
+            { messageId: 1, recipientId: 1 }).lean();
+        await deleteMessages({ _id: { $in: messages.map(m => m._id) } });
+        await removeAttachment(attachment);
+
+        const deletedByChat = new Map();
+        messages.forEach(m => {
+            if (!deletedByChat.has(m.recipientId)) deletedByChat.set(m.recipientId, []);
+            deletedByChat.get(m.recipientId).push(m.messageId);
+        });
+        deletedByChat.forEach((messageIds, contactId) => {
+            if (contactId !== userId) {
+                io.to(userRoom(contactId)).emit('messages-deleted', {
+                    deleterId: userId, contactId: userId, messageIds, permanently: true
+                });
             }
+            io.to(userRoom(userId)).emit('messages-deleted', {
+                deleterId: userId, contactId, messageIds, permanently: true
+            });
+        });
+
+        console.log(`🗑️ Attachment ${attachment.url} deleted by ${userId} (${messages.length} message(s))`);
+        res.json({
+            success:    true,
+            message:    'File deleted.',
+            freed:      attachment.size || 0,
+            messageIds: messages.map(m => m.messageId)
         });
     } catch (error) {
-        console.error('Search user error:', error);
-        res.status(500).json({ success: false, message: 'Server error during search.' });
+        console.error('Delete attachment error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
     }
 });
 
-// --- UPLOAD FILE (voice notes, documents, media) ---
-// Still uses disk storage — these are ephemeral chat files, not persistent data
-app.post('/api/upload-file', diskUpload.single('file'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ success: false, message: 'No file uploaded.' });
-    }
+// --- SIGN ATTACHMENT LINKS (refresh expired /files/... URLs) ---
+app.post('/api/files/sign',
+    requireAuth,
+    [ body('messageIds').isArray({ min: 1, max: 200 }) ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, message: 'messageIds must be a list of up to 200 IDs.' });
+        }
 
-    try {
-        const fileExt    = path.extname(req.file.originalname);
-        const newFilename = `${uuidv4()}${fileExt}`;
-        const newPath    = path.join(uploadDir, newFilename);
+        try {
+            const messages = await Message.find({
+                messageId: { $in: req.body.messageIds.map(String) },
+                'file.url': { $exists: true },
+                $or: [{ senderId: req.userId }, { recipientId: req.userId }]
+            }, { messageId: 1, file: 1 }).lean();
 
-        await fsPromises.rename(req.file.path, newPath);
+            const files = {};
+            messages.forEach(m => { files[m.messageId] = withSignedFile(m.messageId, m.file); });
 
-        res.json({ success: true, url: `/uploads/${newFilename}` });
-    } catch (error) {
-        console.error('File processing failed:', error);
-        res.status(500).json({ success: false, message: 'File processing failed.' });
+            res.json({ success: true, files });
+        } catch (error) {
+            console.error('Sign file links error:', error);
+            res.status(500).json({ success: false, message: 'Server error.' });
+        }
     }
-});
+);
 
 // --- UPDATE PROFILE ---
-// ✅ CHANGED: Uses memoryUpload + Cloudinary instead of diskUpload + local filesystem
+// ✅ CHANGED: Uses memoryUpload (size-limited) + blob store instead of diskUpload + local filesystem
+
+const PROFILE_PIC_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png':  '.png',
+    'image/webp': '.webp',
+    'image/gif':  '.gif'
+};
+
+// Non-fatal: a stale pic left behind must not block the profile update
+async function removeProfilePicBlob(profilePicUrl) {
+    const blob = profilePicUrl && blobForUrl(profilePicUrl);
+    if (!blob) return;
+    try {
+        await blob.store.remove(blob.key);
+    } catch (error) {
+        console.error('Profile pic delete error:', error);
+    }
+}
+
 app.post('/api/update-profile', 
-    memoryUpload.single('profilePic'),   // ← buffer in memory, not disk
+    requireAuth,
+    acceptProfilePicUpload,              // ← buffer in memory, not disk
     async (req, res) => {
+        const userId = req.userId;
         const { 
-            userId, 
             preferredName, 
             removeProfilePic, 
             hidePreferredName, 
@@ -720,13 +3931,7 @@ app.post('/api/update-profile',
         } = req.body;
 
         try {
-            const user = await User.findOne({ xameId: userId });
-            if (!user) {
-                return res.status(404).json({ 
-                    success: false, 
-                    message: 'User not found.' 
-                });
-            }
+            const user = req.user;
 
             // Update text fields
             if (preferredName !== undefined) {
@@ -740,23 +3945,34 @@ app.post('/api/update-profile',
             }
 
             if (removeProfilePic === 'true') {
-                // ✅ Delete from Cloudinary, clear URL in MongoDB
-                await deleteFromCloudinary(userId);
+                // ✅ Delete from the blob store, clear URL in MongoDB
+                await removeProfilePicBlob(user.profilePic);
                 user.profilePic = '';
+                user.profilePicSize = 0;
                 console.log(`✅ Profile picture removed for user: ${userId}`);
 
             } else if (req.file && req.file.buffer) {
-                // ✅ Upload buffer directly to Cloudinary
-                console.log(`📤 Uploading profile pic to Cloudinary for user: ${userId}`);
-                
-                const cloudinaryUrl = await uploadToCloudinary(
-                    req.file.buffer, 
-                    userId
+                // The new pic replaces the old one, so only the growth counts against the quota
+                const overQuota = await checkStorageQuota(userId, profilePicGrowth(req.file.size, user.profilePicSize));
+                if (overQuota) return sendAttachmentError(res, overQuota);
+
+                // ✅ Upload buffer directly to the blob store
+                console.log(`📤 Uploading profile pic (${blobStore.name}) for user: ${userId}`);
+
+                // Drop the old pic first — it may have a different extension (local/s3)
+                await removeProfilePicBlob(user.profilePic);
+
+                const ext = PROFILE_PIC_EXTENSIONS[req.file.mimetype] || '.jpg';
+                const profilePicUrl = await blobStore.put(
+                    `profile_pics/user_${userId}${ext}`,
+                    req.file.buffer,
+                    { contentType: req.file.mimetype }
                 );
                 
-                // Store the permanent Cloudinary URL in MongoDB
-                user.profilePic = cloudinaryUrl;
-                console.log(`✅ Profile picture saved to Cloudinary: ${cloudinaryUrl}`);
+                // Store the permanent URL in MongoDB
+                user.profilePic = profilePicUrl;
+                user.profilePicSize = req.file.size;
+                console.log(`✅ Profile picture saved: ${profilePicUrl}`);
             }
 
             await user.save();
@@ -764,7 +3980,7 @@ app.post('/api/update-profile',
             res.json({
                 success:            true,
                 preferredName:      user.preferredName,
-                profilePicUrl:      user.profilePic,      // ← permanent Cloudinary URL
+                profilePicUrl:      user.profilePic,      // ← permanent Cloudinary (or local) URL
                 hidePreferredName:  user.hidePreferredName,
                 hideProfilePicture: user.hideProfilePicture
             });
@@ -780,17 +3996,17 @@ app.post('/api/update-profile',
 );
 
 // --- ADD CONTACT ---
-app.post('/api/add-contact', async (req, res) => {
-    const { userId, contactId, customName } = req.body;
+app.post('/api/add-contact', requireAuth, async (req, res) => {
+    const { contactId, customName } = req.body;
 
     try {
-        const user    = await User.findOne({ xameId: userId });
-        const contact = await User.findOne({ xameId: contactId });
+        const user    = req.user;
+        const contact = await findUserByHandle(contactId); // Xame-ID or username
 
-        if (!user || !contact) {
+        if (!contact) {
             return res.status(404).json({ 
                 success: false, 
-                message: 'User or contact not found.' 
+                message: 'Contact not found.' 
             });
         }
 
@@ -817,6 +4033,7 @@ app.post('/api/add-contact', async (req, res) => {
             message:  'Contact added successfully.',
             contact: {
                 xameId:    contact.xameId,
+                username:  contact.username || '',
                 name:      displayName,
                 profilePic: filteredContact.profilePic,
                 isOnline:  onlineUsers.has(contact.xameId)
@@ -830,7 +4047,7 @@ app.post('/api/add-contact', async (req, res) => {
 
 // --- UPDATE CONTACT ---
 app.post('/api/update-contact',
-    body('userId').trim().escape().notEmpty().withMessage('User ID is required.'),
+    requireAuth,
     body('contactId').trim().escape().notEmpty().withMessage('Contact ID is required.'),
     body('newName').trim().escape().notEmpty().withMessage('New name is required.'),
     async (req, res) => {
@@ -843,7 +4060,8 @@ app.post('/api/update-contact',
             });
         }
 
-        const { userId, contactId, newName } = req.body;
+        const userId = req.userId;
+        const { contactId, newName } = req.body;
 
         try {
             const contactUser = await User.findOne({ xameId: contactId }).select('_id');
@@ -900,7 +4118,7 @@ app.post('/api/update-contact',
 
 // --- DELETE CHAT AND CONTACT ---
 app.post('/api/delete-chat-and-contact',
-    body('userId').trim().escape().notEmpty().withMessage('User ID is required.'),
+    requireAuth,
     body('contactId').trim().escape().notEmpty().withMessage('Contact ID is required.'),
     async (req, res) => {
         const validationErrors = validationResult(req);
@@ -912,7 +4130,8 @@ app.post('/api/delete-chat-and-contact',
             });
         }
 
-        const { userId, contactId } = req.body;
+        const userId = req.userId;
+        const { contactId } = req.body;
 
         if (userId === contactId) {
             return res.status(403).json({ 
@@ -922,47 +4141,454 @@ app.post('/api/delete-chat-and-contact',
         }
 
         try {
-            const contactToDelete = await User.findOne({ xameId: contactId }).select('_id');
+            const contactToDelete = await User.findOne({ xameId: contactId }).select('_id');
+
+            await Promise.all([
+                deleteMessages({
+                    $or: [
+                        { senderId: userId,    recipientId: contactId },
+                        { senderId: contactId, recipientId: userId }
+                    ]
+                }),
+                CallHistory.deleteMany({
+                    $or: [
+                        { callerId: userId,    recipientId: contactId },
+                        { callerId: contactId, recipientId: userId }
+                    ]
+                })
+            ]);
+
+            let contactDeleted = false;
+            if (contactToDelete) {
+                const contactResult = await User.updateOne(
+                    { xameId: userId },
+                    { $pull: { contacts: { contactId: contactToDelete._id } } }
+                );
+                contactDeleted = contactResult.modifiedCount > 0;
+            }
+
+            res.json({
+                success: true,
+                message: `Contact and all chat history permanently deleted. (Contact removed: ${contactDeleted})`
+            });
+        } catch (error) {
+            console.error(`🔴 Permanent deletion error for user ${userId}:`, error);
+            res.status(500).json({
+                success: false,
+                message: 'A critical server error occurred during deletion.'
+            });
+        }
+    }
+);
+
+// --- PERSONAL DATA EXPORT ---
+// Starts a background job; the client polls GET /api/export/:exportId
+app.post('/api/export', requireAuth, async (req, res) => {
+    try {
+        const running = await DataExport.findOne({ userId: req.userId, status: 'running' });
+        if (running) {
+            return res.json({ success: true, export: serializeDataExport(running) });
+        }
+
+        const job = await DataExport.create({
+            exportId:  uuidv4(),
+            userId:    req.userId,
+            expiresAt: new Date(Date.now() + EXPORT_TTL_MS)
+        });
+
+        runDataExport(job); // not awaited — progress is read from the job document
+
+        console.log(`📦 Data export started for ${req.userId}: ${job.exportId}`);
+        res.status(202).json({ success: true, export: serializeDataExport(job) });
+    } catch (error) {
+        console.error('Start data export error:', error);
+        res.status(500).json({ success: false, message: 'Could not start the export.' });
+    }
+});
+
+// Most recent export, so the menu can offer a still-valid download
+app.get('/api/export', requireAuth, async (req, res) => {
+    try {
+        const job = await DataExport.findOne({ userId: req.userId }).sort({ createdAt: -1 });
+        res.json({ success: true, export: job ? serializeDataExport(job) : null });
+    } catch (error) {
+        console.error('Get data export error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+app.get('/api/export/:exportId', requireAuth, async (req, res) => {
+    try {
+        const job = await DataExport.findOne({ exportId: req.params.exportId, userId: req.userId });
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Export not found.' });
+        }
+        res.json({ success: true, export: serializeDataExport(job) });
+    } catch (error) {
+        console.error('Get data export error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+app.get('/api/export/:exportId/download', requireAuth, async (req, res) => {
+    try {
+        const job = await DataExport.findOne({ exportId: req.params.exportId, userId: req.userId });
+        if (!job || job.status !== 'ready') {
+            return res.status(404).json({ success: false, message: 'Export not found.' });
+        }
+
+        const filePath = exportFilePath(job.exportId);
+        if (!fs.existsSync(filePath)) {
+            return res.status(410).json({
+                success: false,
+                message: 'This export has expired. Please start a new one.'
+            });
+        }
+
+        const day = job.createdAt.toISOString().slice(0, 10);
+        res.download(filePath, `xamepage-${req.userId}-${day}.zip`);
+    } catch (error) {
+        console.error('Download data export error:', error);
+        res.status(500).json({ success: false, message: 'Server error.' });
+    }
+});
+
+// --- DELETE ACCOUNT ---
+// Password-confirmed. Removes the user and everything tied to them, then tells
+// anyone who had them as a contact or chat partner so they show "Deleted account".
+app.post('/api/delete-account',
+    requireAuth,
+    body('password').notEmpty().withMessage('Password is required.'),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const user   = req.user;
+        const userId = req.userId;
+
+        try {
+            const passwordMatch = user.password
+                && await bcrypt.compare(req.body.password, user.password);
+            if (!passwordMatch) {
+                return res.status(403).json({ success: false, message: 'Invalid password.' });
+            }
+
+            // Work out who to notify before the data linking us disappears
+            const [contactOwners, sentTo, receivedFrom] = await Promise.all([
+                User.find({ 'contacts.contactId': user._id }).select('xameId'),
+                Message.distinct('recipientId', { senderId: userId }),
+                Message.distinct('senderId',    { recipientId: userId })
+            ]);
+            const peers = new Set([
+                ...contactOwners.map(u => u.xameId),
+                ...sentTo,
+                ...receivedFrom
+            ]);
+            peers.delete(userId);
 
             await Promise.all([
-                Message.deleteMany({
-                    $or: [
-                        { senderId: userId,    recipientId: contactId },
-                        { senderId: contactId, recipientId: userId }
-                    ]
-                }),
-                CallHistory.deleteMany({
-                    $or: [
-                        { callerId: userId,    recipientId: contactId },
-                        { callerId: contactId, recipientId: userId }
-                    ]
-                })
+                deleteMessages({ $or: [{ senderId: userId }, { recipientId: userId }] }),
+                CallHistory.deleteMany({ $or: [{ callerId: userId }, { recipientId: userId }] }),
+                PushSubscription.deleteOne({ userId }),
+                DataExport.find({ userId }).then(jobs => Promise.all(jobs.map(job =>
+                    fsPromises.unlink(exportFilePath(job.exportId)).catch(() => {})
+                ))).then(() => DataExport.deleteMany({ userId })),
+                User.updateMany(
+                    { 'contacts.contactId': user._id },
+                    { $pull: { contacts: { contactId: user._id } } }
+                ),
+                clearLoginFailures(userId)
             ]);
 
-            let contactDeleted = false;
-            if (contactToDelete) {
-                const contactResult = await User.updateOne(
-                    { xameId: userId },
-                    { $pull: { contacts: { contactId: contactToDelete._id } } }
-                );
-                contactDeleted = contactResult.modifiedCount > 0;
+            if (user.profilePic) {
+                await removeProfilePicBlob(user.profilePic);
             }
 
-            res.json({
-                success: true,
-                message: `Contact and all chat history permanently deleted. (Contact removed: ${contactDeleted})`
+            await User.deleteOne({ _id: user._id });
+            await Promise.all([ChangeEvent.deleteMany({ userId }), SyncCounter.deleteOne({ userId })]);
+
+            // Signs out every device, including this one
+            await revokeSessions({ userId }, 'account-deleted');
+
+            if (disconnectTimeouts.has(userId)) {
+                clearTimeout(disconnectTimeouts.get(userId));
+                disconnectTimeouts.delete(userId);
+            }
+            onlineUsers.delete(userId);
+            onlineUserTimestamps.delete(userId);
+            broadcastOnlineUsers();
+
+            peers.forEach(peerId => {
+                io.to(userRoom(peerId)).emit('account-deleted', { xameId: userId });
             });
+
+            console.log(`🗑️ Account deleted: ${userId} (${peers.size} peer(s) notified)`);
+            res.json({ success: true, message: 'Your account has been deleted.' });
         } catch (error) {
-            console.error(`🔴 Permanent deletion error for user ${userId}:`, error);
+            console.error(`🔴 Account deletion error for user ${userId}:`, error);
             res.status(500).json({
                 success: false,
-                message: 'A critical server error occurred during deletion.'
+                message: 'A server error occurred while deleting your account.'
             });
         }
     }
 );
 
+// ============================================================
+// CHAT HISTORY PAGING
+// ============================================================
+//
+// History is read one conversation and one page at a time. A cursor is
+// "<ts>:<messageId>" of a message — the client can build one from any message
+// it holds — and (ts, messageId) orders messages even when timestamps tie.
+
+const HISTORY_PAGE_SIZE     = 50;
+const HISTORY_MAX_PAGE_SIZE = 200;
+
+function serializeHistoryMessage(msg, userId) {
+    return {
+        id:     msg.messageId,
+        text:   msg.text,
+        file:   withSignedFile(msg.messageId, msg.file),
+        type:   msg.senderId === userId ? 'sent' : 'received',
+        ts:     msg.ts,
+        seq:    msg.seq,
+        status: msg.status
+    };
+}
+
+/**
+ * A page of the userId ↔ contactId conversation, oldest first.
+ * `before` pages back from a cursor, `after` forward; neither gives the newest page.
+ * Returns { messages, hasMore, before, after } — the cursors of the page's ends.
+ */
+async function fetchConversationPage(userId, contactId, { before, after, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || HISTORY_PAGE_SIZE, 1), HISTORY_MAX_PAGE_SIZE);
+    const forward  = Boolean(after) && !before;
+    const cursor   = parseHistoryCursor(forward ? after : before);
+
+    const query = {
+        $and: [
+            { $or: [
+                { senderId: userId,    recipientId: contactId },
+                { senderId: contactId, recipientId: userId }
+            ] },
+            ...(cursor ? [pastCursorQuery(cursor, forward)] : [])
+        ]
+    };
+    const direction = forward ? 1 : -1;
+
+    const found = await Message.find(query)
+        .sort({ ts: direction, messageId: direction })
+        .limit(pageSize + 1)
+        .lean();
+
+    const hasMore = found.length > pageSize;
+    const page    = found.slice(0, pageSize);
+    if (!forward) page.reverse();
+
+    return {
+        messages: page.map(msg => serializeHistoryMessage(msg, userId)),
+        hasMore,
+        before:   page.length ? historyCursor(page[0]) : null,
+        after:    page.length ? historyCursor(page[page.length - 1]) : null
+    };
+}
+
+async function nextConversationSeq(userId, contactId) {
+    const { seq } = await ConversationCounter.findOneAndUpdate(
+        { conversationId: conversationKey(userId, contactId) },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+    );
+    return seq;
+}
+
+// send-message acknowledgement — also what a retried send gets back
+function messageAck(msg) {
+    const file = withSignedFile(msg.messageId, msg.file?.url ? msg.file : null);
+    return { success: true, messageId: msg.messageId, ts: msg.ts, seq: msg.seq, ...(file && { file }) };
+}
+
+// The recipient is reachable now (connected, or loading history): everything
+// still 'sent' to them becomes 'delivered', and each sender hears about it in
+// one event. Overlapping calls may report a message twice; status updates only
+// ever move forward, so the repeat is harmless.
+async function deliverPendingMessages(recipientId) {
+    const pending = await Message.find(
+        { recipientId, senderId: { $ne: recipientId }, status: 'sent' },
+        { messageId: 1, senderId: 1 }
+    ).lean();
+    if (pending.length === 0) return;
+
+    await Message.updateMany(
+        { _id: { $in: pending.map(msg => msg._id) }, status: 'sent' },
+        { status: 'delivered' }
+    );
+
+    const deliveredBySender = new Map();
+    pending.forEach(msg => {
+        if (!deliveredBySender.has(msg.senderId)) deliveredBySender.set(msg.senderId, []);
+        deliveredBySender.get(msg.senderId).push(msg.messageId);
+    });
+
+    for (const [senderId, messageIds] of deliveredBySender) {
+        await recordConversationChange(senderId, recipientId, { kind: 'status', messageIds, status: 'delivered' });
+        io.to(userRoom(senderId)).emit('message-status-update', { recipientId, messageIds, status: 'delivered' });
+    }
+
+    console.log(`📬 Delivered ${pending.length} pending message(s) to ${recipientId}`);
+}
+
+/**
+ * The newest page of every conversation the user has, in one query:
+ * { contactId: [messages, oldest first] }. ($topN needs MongoDB 5.2+.)
+ */
+async function fetchLatestPages(userId) {
+    const groups = await Message.aggregate([
+        { $match: { $or: [{ senderId: userId }, { recipientId: userId }] } },
+        { $group: {
+            _id:      { $cond: [{ $eq: ['$senderId', userId] }, '$recipientId', '$senderId'] },
+            messages: { $topN: { n: HISTORY_PAGE_SIZE, sortBy: { ts: -1, messageId: -1 }, output: '$$ROOT' } }
+        } }
+    ]);
+
+    const pages = {};
+    groups.forEach(({ _id: contactId, messages }) => {
+        pages[contactId] = messages.reverse().map(msg => serializeHistoryMessage(msg, userId));
+    });
+    return pages;
+}
+
+// ============================================================
+// CHANGE FEED
+// ============================================================
+//
+// Every change to a conversation is appended to each participant's feed under
+// a per-user seq: new messages, status changes (delivered/seen) and deletions.
+// A reconnecting client sends the last seq it applied and gets only what
+// happened since. Feeds keep CHANGE_FEED_RETENTION_MS; a client that is
+// further behind (or new) is told to reset and reload chat_history.
+//
+// A seq is handed out before its event is written, so a reader can see seq 6
+// while 5 is still being inserted. Reads stop short of such a gap; a gap older
+// than CHANGE_FEED_IN_FLIGHT_MS means the write failed, and the client resets.
+
+const CHANGE_FEED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const CHANGE_FEED_IN_FLIGHT_MS = 30 * 1000;
+const SYNC_BATCH_SIZE          = 500;
+
+async function recordChange(userId, change) {
+    let seq = null;
+    try {
+        ({ seq } = await SyncCounter.findOneAndUpdate(
+            { userId },
+            { $inc: { seq: 1 } },
+            { upsert: true, new: true }
+        ));
+        await ChangeEvent.create({
+            userId,
+            seq,
+            ...change,
+            expiresAt: new Date(Date.now() + CHANGE_FEED_RETENTION_MS)
+        });
+    } catch (error) {
+        // The gap this leaves makes readChangeFeed reset the user's devices
+        console.error(`❌ Change feed write failed for ${userId}${seq ? ` (seq ${seq} lost, devices will resync)` : ''}:`, error);
+    }
+}
+
+// Events don't store createdAt; it is implied by the TTL
+function changeWrittenAt(event) {
+    return event.expiresAt.getTime() - CHANGE_FEED_RETENTION_MS;
+}
+
+// Both participants get the change, each keyed by the other as contactId
+function recordConversationChange(userId, contactId, change) {
+    return Promise.all([
+        recordChange(userId, { ...change, contactId }),
+        ...(userId !== contactId ? [recordChange(contactId, { ...change, contactId: userId })] : [])
+    ]);
+}
+
+async function recordDeletions(messages) {
+    const byConversation = new Map();
+    messages.forEach(m => {
+        const key = [m.senderId, m.recipientId].sort().join('\n');
+        if (!byConversation.has(key)) byConversation.set(key, []);
+        byConversation.get(key).push(m.messageId);
+    });
+
+    for (const [key, messageIds] of byConversation) {
+        const [userId, contactId] = key.split('\n');
+        await recordConversationChange(userId, contactId, { kind: 'delete', messageIds });
+    }
+}
+
+/**
+ * Changes after `since` for userId, oldest first, at most SYNC_BATCH_SIZE.
+ * Returns { reset: true, seq } when `since` can't be served (missing, ahead of
+ * the server, or older than the retained feed), else { changes, seq, hasMore }
+ * where seq is what the client should send next time.
+ */
+async function readChangeFeed(userId, since) {
+    const counter = await SyncCounter.findOne({ userId }).lean();
+    const current = counter?.seq || 0;
+
+    if (isUnservableSince(since, current)) {
+        return { reset: true, seq: current };
+    }
+    if (since === current) {
+        return { changes: [], seq: current, hasMore: false };
+    }
+
+    const oldest = await ChangeEvent.findOne({ userId }, { seq: 1 }).sort({ seq: 1 }).lean();
+    if (!oldest || oldest.seq > since + 1) {
+        return { reset: true, seq: current };
+    }
+
+    const found = await ChangeEvent.find({ userId, seq: { $gt: since } })
+        .sort({ seq: 1 })
+        .limit(SYNC_BATCH_SIZE + 1)
+        .lean();
+
+    // Hand out only the unbroken run after `since`
+    const run = unbrokenRun(found, since, {
+        current,
+        counterUpdatedAt: counter.updatedAt,
+        writtenAt:        changeWrittenAt,
+        inFlightMs:       CHANGE_FEED_IN_FLIGHT_MS,
+        batchSize:        SYNC_BATCH_SIZE
+    });
+    if (run.reset) {
+        return { reset: true, seq: current };
+    }
+    const { events, hasMore } = run;
+
+    // New messages are read fresh: current status and newly signed file links.
+    // One deleted since has a 'delete' later in the feed, so it is just skipped.
+    const newIds   = events.filter(e => e.kind === 'message').flatMap(e => e.messageIds);
+    const messages = new Map((await Message.find({ messageId: { $in: newIds } }).lean())
+        .map(msg => [msg.messageId, msg]));
+
+    const changes = [];
+    events.forEach(e => {
+        const base = { seq: e.seq, kind: e.kind, contactId: e.contactId };
+        if (e.kind === 'message') {
+            e.messageIds.forEach(id => {
+                if (messages.has(id)) changes.push({ ...base, message: serializeHistoryMessage(messages.get(id), userId) });
+            });
+        } else if (e.kind === 'status') {
+            changes.push({ ...base, messageIds: e.messageIds, status: e.status });
+        } else {
+            changes.push({ ...base, messageIds: e.messageIds });
+        }
+    });
 
+    return { changes, seq: nextSince(events, since), hasMore };
+}
 
 // ============================================================
 // SOCKET.IO HANDLERS
@@ -973,12 +4599,64 @@ function broadcastOnlineUsers() {
     io.emit('online_users', onlineArray);
 }
 
+// While a call rings, signalling fans out to all of the callee's devices;
+// once a device answers, it goes only to that device
+function callTarget(socket, userId) {
+    return callPeers.get(socket.id) || userRoom(userId);
+}
+
+// A callId alone proves nothing — the call must also be between these two users
+function findActiveCall(callId, callerId, recipientId) {
+    if (callId) {
+        const call = activeCalls.get(callId);
+        return call && call.callerId === callerId && call.recipientId === recipientId ? call : null;
+    }
+    for (const call of activeCalls.values()) {
+        if (call.callerId === callerId && call.recipientId === recipientId) return call;
+    }
+    return null;
+}
+
+function releaseCallSocket(socketId) {
+    const peerId = callPeers.get(socketId);
+    if (peerId) {
+        callPeers.delete(peerId);
+        callPeers.delete(socketId);
+    }
+    for (const [callId, call] of activeCalls) {
+        if (call.callerSocketId === socketId) activeCalls.delete(callId);
+    }
+}
+
+// Stop the ring on the callee's remaining devices and forget the call
+function settleCall(call, socket, reason) {
+    activeCalls.delete(call.callId);
+    const emitter = socket ? socket.to(userRoom(call.recipientId)) : io.to(userRoom(call.recipientId));
+    emitter.emit('call-cancelled', { callId: call.callId, reason });
+}
+
+// The first callee device to answer or send ICE gets paired with the caller
+function claimCall(socket, callerId, callId) {
+    const call = findActiveCall(callId, callerId, socketToUserMap.get(socket.id));
+    if (!call) return null;
+
+    releaseCallSocket(socket.id);
+    callPeers.set(socket.id, call.callerSocketId);
+    callPeers.set(call.callerSocketId, socket.id);
+    settleCall(call, socket, 'answered-elsewhere');
+    return call;
+}
+
+// Before anyone answers, the caller's own signalling still goes to every ringing device
+function isRingingCaller(socket, recipientId, callId) {
+    const call = findActiveCall(callId, socketToUserMap.get(socket.id), recipientId);
+    return Boolean(call && call.callerSocketId === socket.id);
+}
+
 io.on('connection', (socket) => {
-    const userId = socket.handshake.query.userId;
+    const userId = socket.userId; // Set by the io.use() auth middleware
     console.log(`✅ User ${userId} connected. Sockets: ${io.engine.clientsCount}`);
 
-    socket.userId = userId;
-
     if (userId) {
         if (disconnectTimeouts.has(userId)) {
             clearTimeout(disconnectTimeouts.get(userId));
@@ -986,15 +4664,18 @@ io.on('connection', (socket) => {
         }
 
         socketToUserMap.set(socket.id, userId);
-        userToSocketMap.set(userId, socket.id);
+        socket.join(userRoom(userId));
         onlineUsers.add(userId);
         onlineUserTimestamps.set(userId, Date.now());
 
         broadcastOnlineUsers();
+
+        deliverPendingMessages(userId)
+            .catch(error => console.error('Pending delivery error:', error));
     }
 
-    socket.on('user-online', ({ userId: announcedUserId, timestamp }) => {
-        const uid = announcedUserId || socket.userId;
+    socket.on('user-online', ({ timestamp } = {}) => {
+        const uid = socket.userId;
         if (!uid) return;
 
         if (disconnectTimeouts.has(uid)) {
@@ -1004,16 +4685,22 @@ io.on('connection', (socket) => {
 
         onlineUsers.add(uid);
         onlineUserTimestamps.set(uid, timestamp || Date.now());
-        if (uid !== socket.userId) socket.userId = uid;
         broadcastOnlineUsers();
     });
 
-    socket.on('heartbeat', ({ userId: heartbeatUserId, timestamp }) => {
-        const uid = heartbeatUserId || socket.userId;
+    socket.on('heartbeat', ({ timestamp } = {}) => {
+        const uid = socket.userId;
         if (!uid) return;
 
         onlineUserTimestamps.set(uid, timestamp || Date.now());
 
+        // Same throttle as authenticateToken — no write on every 30s beat
+        if (Date.now() - (socket.sessionTouchedAt || 0) > SESSION_TOUCH_INTERVAL_MS) {
+            socket.sessionTouchedAt = Date.now();
+            Session.updateOne({ sessionId: socket.sessionId }, { lastActiveAt: new Date() })
+                .catch(err => console.error('Session heartbeat error:', err));
+        }
+
         if (!onlineUsers.has(uid)) {
             onlineUsers.add(uid);
             broadcastOnlineUsers();
@@ -1025,8 +4712,8 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('user-offline', ({ userId: offlineUserId }) => {
-        const uid = offlineUserId || socket.userId;
+    socket.on('user-offline', () => {
+        const uid = socket.userId;
         if (!uid) return;
 
         if (disconnectTimeouts.has(uid)) {
@@ -1046,19 +4733,15 @@ io.on('connection', (socket) => {
     socket.on('disconnect', (reason) => {
         const disconnectedUserId = socket.userId || socketToUserMap.get(socket.id);
         socketToUserMap.delete(socket.id);
+        releaseCallSocket(socket.id);
 
+        // Socket.IO has already removed this socket from its rooms here
         if (disconnectedUserId) {
-            const hasOtherSockets = Array.from(socketToUserMap.values())
-                .includes(disconnectedUserId);
-
-            if (!hasOtherSockets) {
+            if (!isUserConnected(disconnectedUserId)) {
                 const timeoutId = setTimeout(() => {
-                    const stillNoSockets = !Array.from(socketToUserMap.values())
-                        .includes(disconnectedUserId);
-                    if (stillNoSockets && onlineUsers.has(disconnectedUserId)) {
+                    if (!isUserConnected(disconnectedUserId) && onlineUsers.has(disconnectedUserId)) {
                         onlineUsers.delete(disconnectedUserId);
                         onlineUserTimestamps.delete(disconnectedUserId);
-                        userToSocketMap.delete(disconnectedUserId);
                         broadcastOnlineUsers();
                     }
                     disconnectTimeouts.delete(disconnectedUserId);
@@ -1075,40 +4758,55 @@ io.on('connection', (socket) => {
             return socket.emit('chat_history', {});
         }
 
+        // Only the newest page of each conversation; older ones via get_messages
         try {
-            const messages = await Message.find({
-                $or: [
-                    { senderId:    requestedUserId },
-                    { recipientId: requestedUserId }
-                ]
-            }).sort('ts');
-
-            const chatHistory = {};
-
-            messages.forEach(msg => {
-                const contactId = msg.senderId === requestedUserId
-                    ? msg.recipientId
-                    : msg.senderId;
-
-                if (!chatHistory[contactId]) chatHistory[contactId] = [];
-
-                chatHistory[contactId].push({
-                    id:     msg.messageId,
-                    text:   msg.text,
-                    file:   msg.file,
-                    type:   msg.senderId === requestedUserId ? 'sent' : 'received',
-                    ts:     msg.ts,
-                    status: msg.status
-                });
-            });
+            await deliverPendingMessages(requestedUserId);
 
-            socket.emit('chat_history', chatHistory);
+            socket.emit('chat_history', await fetchLatestPages(requestedUserId));
         } catch (error) {
             console.error('Failed to get chat history:', error);
             socket.emit('chat_history', {});
         }
     });
 
+    // { since } → { success, changes, seq, hasMore } or { success, reset: true, seq }
+    socket.on('sync', async (request, callback) => {
+        if (typeof callback !== 'function') return;
+
+        const userId = socketToUserMap.get(socket.id);
+        if (!userId) {
+            return callback({ success: false, message: 'Authentication failed.' });
+        }
+
+        try {
+            callback({ success: true, ...await readChangeFeed(userId, request?.since) });
+        } catch (error) {
+            console.error('Sync error:', error);
+            callback({ success: false, message: 'Could not sync.' });
+        }
+    });
+
+    // { contactId, before?, after?, limit? } → { success, messages, hasMore, before, after }
+    socket.on('get_messages', async (request, callback) => {
+        if (typeof callback !== 'function') return;
+
+        const userId = socketToUserMap.get(socket.id);
+        if (!userId) {
+            return callback({ success: false, message: 'Authentication failed.' });
+        }
+        if (typeof request?.contactId !== 'string' || !request.contactId) {
+            return callback({ success: false, message: 'contactId is required.' });
+        }
+
+        try {
+            const page = await fetchConversationPage(userId, request.contactId, request);
+            callback({ success: true, ...page });
+        } catch (error) {
+            console.error('Failed to get messages:', error);
+            callback({ success: false, message: 'Could not load messages.' });
+        }
+    });
+
     socket.on('get_contacts', async (requestedUserId) => {
         const authenticatedUserId = socketToUserMap.get(socket.id);
         if (authenticatedUserId !== requestedUserId) {
@@ -1124,37 +4822,110 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Idempotent per messageId: a retry of a stored message gets the original ack.
+    // The server sets ts and the conversation seq; clients reorder by the ack.
     socket.on('send-message', async (data, callback) => {
-        const { recipientId, message } = data;
-        const senderId         = socketToUserMap.get(socket.id);
-        const recipientSocketId = findSocketIdByUserId(recipientId);
+        // Older clients send without an ack: still store and deliver the message
+        if (typeof callback !== 'function') callback = () => {};
+
+        const { recipientId, message } = data || {};
+        const senderId = socketToUserMap.get(socket.id);
+
+        if (!senderId) {
+            return callback({ success: false, message: 'Authentication failed.' });
+        }
+        if (typeof recipientId !== 'string' || !recipientId || typeof message?.id !== 'string' || !message.id) {
+            return callback({ success: false, message: 'Invalid message payload.' });
+        }
 
         try {
+            const existing = await Message.findOne({ messageId: message.id }).lean();
+            if (existing) {
+                return callback(existing.senderId === senderId
+                    ? messageAck(existing)
+                    : { success: false, message: 'Message ID already in use.' });
+            }
+
+            const attachment = message.file?.url ? await findOwnAttachment(senderId, message.file.url) : null;
+            if (message.file?.url && !attachment) {
+                return callback({ success: false, message: 'That file is not one of your uploads.' });
+            }
+
+            // Retained before the save, so the sweeper can't remove the file in between
+            if (attachment && !await retainAttachment(attachment.url)) {
+                return callback({ success: false, message: 'That file is no longer available. Please upload it again.' });
+            }
+
+            // Drawn before the save, so a lost duplicate race below burns one.
+            // seq only orders messages (after ts); gaps in it are harmless. The clock
+            // is read after the seq is drawn, so back-to-back sends get ts in seq order.
+            const seq = await nextConversationSeq(senderId, recipientId);
+
             const newMessage = new Message({
                 messageId:   message.id,
                 senderId,
                 recipientId,
-                ts:          message.ts,
+                ts:          Date.now(),
+                seq,
                 ...(message.text && { text: message.text }),
-                ...(message.file && { file: message.file })
+                // Image details come from the upload record, not the client
+                ...(attachment && { file: {
+                    url:  message.file.url,
+                    name: message.file.name,
+                    type: message.file.type,
+                    ...(attachment.image?.width && {
+                        width:       attachment.image.width,
+                        height:      attachment.image.height,
+                        thumbUrl:    attachment.image.thumbUrl,
+                        placeholder: attachment.image.placeholder
+                    })
+                } })
             });
-            await newMessage.save();
-
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('receive-message', { senderId, message });
+            try {
+                await newMessage.save();
+            } catch (error) {
+                // Undo the retain above; the count is rebuilt from the messages that exist
+                if (attachment) await releaseAttachments([attachment.url]).catch(() => {});
+
+                // Lost a race with a concurrent retry of the same message
+                if (error.code !== 11000) throw error;
+                const original = await Message.findOne({ messageId: message.id, senderId }).lean();
+                return callback(original
+                    ? messageAck(original)
+                    : { success: false, message: 'Message ID already in use.' });
+            }
+            await recordConversationChange(senderId, recipientId, { kind: 'message', messageIds: [message.id] });
+
+            // Peers only ever see a signed link, never the stored URL
+            const ack      = messageAck(newMessage);
+            const outgoing = {
+                ...message,
+                ts:  ack.ts,
+                seq: ack.seq,
+                ...(ack.file && { file: ack.file })
+            };
+
+            // Mirror the message onto the sender's other devices
+            socket.to(userRoom(senderId)).emit('message-sent', { recipientId, message: outgoing });
+
+            if (recipientId !== senderId && isUserConnected(recipientId)) {
+                io.to(userRoom(recipientId)).emit('receive-message', { senderId, message: outgoing });
                 await Message.findOneAndUpdate(
                     { messageId: message.id }, 
                     { status: 'delivered' }
                 );
-                io.to(socket.id).emit('message-status-update', {
+                await recordConversationChange(senderId, recipientId, {
+                    kind: 'status', messageIds: [message.id], status: 'delivered'
+                });
+                io.to(userRoom(senderId)).emit('message-status-update', {
                     recipientId,
                     messageId: message.id,
                     status:    'delivered'
                 });
-                io.to(recipientSocketId).emit('new_message_count', { senderId });
+                io.to(userRoom(recipientId)).emit('new_message_count', { senderId });
             }
 
-            callback({ success: true, messageId: message.id });
+            callback(ack);
         } catch (error) {
             console.error('Failed to save message:', error);
             callback({ success: false, message: 'Server failed to save message.' });
@@ -1179,21 +4950,24 @@ io.on('connection', (socket) => {
 
         try {
             if (deleteForEveryone) {
-                const deleteResult = await Message.deleteMany({
+                const deleteResult = await deleteMessages({
                     messageId: { $in: messageIds },
                     senderId:  userId
                 });
 
                 if (deleteResult.deletedCount > 0) {
-                    const recipientSocketId = findSocketIdByUserId(contactId);
-                    if (recipientSocketId) {
-                        io.to(recipientSocketId).emit('messages-deleted', {
-                            deleterId:  userId,
-                            contactId:  userId,
-                            messageIds,
-                            permanently: true
-                        });
-                    }
+                    io.to(userRoom(contactId)).emit('messages-deleted', {
+                        deleterId:  userId,
+                        contactId:  userId,
+                        messageIds,
+                        permanently: true
+                    });
+                    socket.to(userRoom(userId)).emit('messages-deleted', {
+                        deleterId:  userId,
+                        contactId,
+                        messageIds,
+                        permanently: true
+                    });
                 }
             }
 
@@ -1205,11 +4979,10 @@ io.on('connection', (socket) => {
     });
 
     socket.on('message-seen', async ({ recipientId, messageIds }) => {
-        const senderId          = socketToUserMap.get(socket.id);
-        const recipientSocketId = findSocketIdByUserId(recipientId);
+        const senderId = socketToUserMap.get(socket.id);
 
         try {
-            await Message.updateMany(
+            const seen = await Message.updateMany(
                 { 
                     messageId:   { $in: messageIds }, 
                     recipientId: senderId, 
@@ -1217,41 +4990,38 @@ io.on('connection', (socket) => {
                 },
                 { status: 'seen' }
             );
-
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('message-seen-update', {
-                    recipientId: senderId,
-                    messageIds
-                });
+            if (seen.modifiedCount > 0) {
+                await recordConversationChange(senderId, recipientId, { kind: 'status', messageIds, status: 'seen' });
             }
+
+            io.to(userRoom(recipientId)).emit('message-seen-update', {
+                recipientId: senderId,
+                messageIds
+            });
         } catch (error) {
             console.error('Failed to update message seen status:', error);
         }
     });
 
     socket.on('typing', ({ recipientId }) => {
-        const recipientSocketId = findSocketIdByUserId(recipientId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('typing', { 
-                senderId: socketToUserMap.get(socket.id) 
-            });
-        }
+        io.to(userRoom(recipientId)).emit('typing', { 
+            senderId: socketToUserMap.get(socket.id) 
+        });
     });
 
     socket.on('stop-typing', ({ recipientId }) => {
-        const recipientSocketId = findSocketIdByUserId(recipientId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('stop-typing', { 
-                senderId: socketToUserMap.get(socket.id) 
-            });
-        }
+        io.to(userRoom(recipientId)).emit('stop-typing', { 
+            senderId: socketToUserMap.get(socket.id) 
+        });
     });
 
     socket.on('call-user', async ({ recipientId, offer, callType }) => {
-        const callerId          = socketToUserMap.get(socket.id);
-        const recipientSocketId = findSocketIdByUserId(recipientId);
+        const callerId = socketToUserMap.get(socket.id);
+
+        // A new call from this device replaces whatever it was paired with
+        releaseCallSocket(socket.id);
 
-        if (recipientSocketId) {
+        if (isUserConnected(recipientId)) {
             try {
                 const [caller, recipientUser] = await Promise.all([
                     User.findOne({ xameId: callerId }),
@@ -1268,6 +5038,9 @@ io.on('connection', (socket) => {
                 await new CallHistory({
                     callId, callerId, recipientId, callType, status: 'pending'
                 }).save();
+                activeCalls.set(callId, {
+                    callId, callerId, recipientId, callerSocketId: socket.id
+                });
 
                 const filteredCaller = getPrivacyFilteredContactData(caller.toObject());
                 const savedContact   = recipientUser.contacts.find(
@@ -1276,7 +5049,7 @@ io.on('connection', (socket) => {
                 const incomingCallName = getContactDisplayName(
                     callerId, filteredCaller, savedContact
                 );
-         io.to(recipientSocketId).emit('call-user', {
+                io.to(userRoom(recipientId)).emit('call-user', {
                     offer,
                     callerId,
                     caller: {
@@ -1327,42 +5100,40 @@ io.on('connection', (socket) => {
         }
     });
 
-    socket.on('make-answer', ({ recipientId, answer }) => {
-        const recipientSocketId = findSocketIdByUserId(recipientId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('make-answer', {
-                answer,
-                senderId: socketToUserMap.get(socket.id)
-            });
-        }
+    // A device that lost the race to answer is dropped, not fanned out to the caller's devices
+    socket.on('make-answer', ({ recipientId, answer, callId }) => {
+        if (!callPeers.has(socket.id) && !claimCall(socket, recipientId, callId)) return;
+        io.to(callTarget(socket, recipientId)).emit('make-answer', {
+            answer,
+            senderId: socketToUserMap.get(socket.id)
+        });
     });
 
-    socket.on('ice-candidate', ({ recipientId, candidate }) => {
-        const recipientSocketId = findSocketIdByUserId(recipientId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('ice-candidate', {
-                candidate,
-                senderId: socketToUserMap.get(socket.id)
-            });
-        }
+    socket.on('ice-candidate', ({ recipientId, candidate, callId }) => {
+        if (!callPeers.has(socket.id)
+            && !claimCall(socket, recipientId, callId)
+            && !isRingingCaller(socket, recipientId, callId)) return;
+        io.to(callTarget(socket, recipientId)).emit('ice-candidate', {
+            candidate,
+            senderId: socketToUserMap.get(socket.id)
+        });
     });
 
     socket.on('stream-ready', ({ recipientId, streamType }) => {
-        const senderId          = socketToUserMap.get(socket.id);
-        const recipientSocketId = findSocketIdByUserId(recipientId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('stream-ready', { senderId, streamType });
-        }
+        const senderId = socketToUserMap.get(socket.id);
+        io.to(callTarget(socket, recipientId)).emit('stream-ready', { senderId, streamType });
     });
 
     socket.on('call-accepted', async ({ recipientId, callId }) => {
-        const acceptorId        = socketToUserMap.get(socket.id);
-        const recipientSocketId = findSocketIdByUserId(recipientId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('call-accepted', { recipientId: acceptorId });
+        const acceptorId = socketToUserMap.get(socket.id);
+        if (!callPeers.has(socket.id)) claimCall(socket, recipientId, callId);
+
+        const callerSocketId = callPeers.get(socket.id);
+        if (callerSocketId) {
+            io.to(callerSocketId).emit('call-accepted', { recipientId: acceptorId });
             try {
                 const query = callId
-                    ? { callId }
+                    ? { callId, recipientId: acceptorId }
                     : { callerId: recipientId, recipientId: acceptorId, status: 'pending' };
                 await CallHistory.findOneAndUpdate(query, { status: 'accepted' });
             } catch (error) {
@@ -1372,19 +5143,22 @@ io.on('connection', (socket) => {
     });
 
     socket.on('call-rejected', async ({ recipientId, reason, callId }) => {
-        const rejectorId      = socketToUserMap.get(socket.id);
-        const callerSocketId  = findSocketIdByUserId(recipientId);
+        const rejectorId = socketToUserMap.get(socket.id);
+        const call       = findActiveCall(callId, recipientId, rejectorId);
 
         try {
+            if (call) settleCall(call, socket, 'declined-elsewhere');
+
             const query = callId
-                ? { callId }
+                ? { callId, recipientId: rejectorId }
                 : { callerId: recipientId, recipientId: rejectorId, status: 'pending' };
             const updateResult = await CallHistory.findOneAndUpdate(
                 query, { status: 'rejected' }
             );
 
-            if (callerSocketId) {
-                io.to(callerSocketId).emit('call-rejected', { 
+            // Only the calling device hangs up; the caller's other devices are untouched
+            if (call) {
+                io.to(call.callerSocketId).emit('call-rejected', { 
                     senderId: rejectorId, reason 
                 });
             }
@@ -1407,10 +5181,9 @@ io.on('connection', (socket) => {
                 { callId, callerId, recipientId, status: 'pending' },
                 { status: 'missed' }
             );
-            const recipientSocketId = findSocketIdByUserId(recipientId);
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('new_missed_call_count', { senderId: callerId });
-            }
+            const call = findActiveCall(callId, callerId, recipientId);
+            if (call) settleCall(call, null, 'unanswered');
+            io.to(userRoom(recipientId)).emit('new_missed_call_count', { senderId: callerId });
         } catch (error) {
             console.error('Failed to handle unanswered call:', error);
         }
@@ -1418,6 +5191,7 @@ io.on('connection', (socket) => {
 
     socket.on('call-ended', async ({ recipientId }) => {
         const currentUserId = socketToUserMap.get(socket.id);
+        releaseCallSocket(socket.id);
         try {
             await CallHistory.findOneAndUpdate(
                 {
@@ -1442,34 +5216,172 @@ app.get('*', (req, res) => {
     res.sendFile(path.join(BASE_DIR, 'index.html'));
 });
 
+// ============================================================
+// MAINTENANCE COMMANDS
+// ============================================================
+//
+// node server.js migrate-uploads [--dry-run] [--delete-local]
+//   Copies files behind legacy /uploads/... URLs — message files, their
+//   thumbnails and the thumbnails of Attachment records — into the configured
+//   blob store and rewrites every reference to the new location.
+//
+// node server.js gc-uploads [--dry-run]
+//   Runs the orphaned attachment sweep now and lists every file it removed
+//   (or, with --dry-run, would remove).
+
+async function migrateUploads({ dryRun = false, deleteLocal = false } = {}) {
+    const summary = { moved: 0, missing: 0, failed: 0 };
+
+    if (blobStore === localBlobStore) {
+        console.log('ℹ️  STORAGE_BACKEND is local — /uploads/ URLs are already in place');
+        return summary;
+    }
+
+    const [fileUrls, thumbUrls, recordThumbUrls] = await Promise.all([
+        Message.distinct('file.url', { 'file.url': /\/uploads\// }),
+        Message.distinct('file.thumbUrl', { 'file.thumbUrl': /\/uploads\// }),
+        Attachment.distinct('image.thumbUrl', { 'image.thumbUrl': /\/uploads\// })
+    ]);
+    const urls = [...new Set([...fileUrls, ...thumbUrls, ...recordThumbUrls])]
+        .filter(url => localBlobStore.keyFromUrl(url));
+    console.log(`📦 ${urls.length} local upload(s) and thumbnail(s) → ${blobStore.name}${dryRun ? ' (dry run)' : ''}`);
+
+    for (const url of urls) {
+        const key = localBlobStore.keyFromUrl(url);
+
+        let filePath, size;
+        try {
+            ({ filePath } = localBlobLocation(key));
+            ({ size } = await fsPromises.stat(filePath));
+        } catch (error) {
+            summary.missing++;
+            console.warn(`  ⚠️  Not on disk, left unchanged: ${url}`);
+            continue;
+        }
+
+        if (dryRun) {
+            summary.moved++;
+            console.log(`  ➡️  Would move ${url} (${size} bytes)`);
+            continue;
+        }
+
+        try {
+            const sample = await Message.findOne({ 'file.url': url }, { 'file.type': 1 }).lean();
+            const contentType = sample?.file?.type || (key.endsWith('_thumb.webp') ? 'image/webp' : undefined);
+            const newUrl = await blobStore.putFile(key, filePath, { contentType });
+
+            const [files, thumbs] = await Promise.all([
+                Message.updateMany({ 'file.url': url }, { $set: { 'file.url': newUrl } }),
+                Message.updateMany({ 'file.thumbUrl': url }, { $set: { 'file.thumbUrl': newUrl } }),
+                Attachment.updateOne({ url }, { url: newUrl }),
+                Attachment.updateMany({ 'image.thumbUrl': url }, { $set: { 'image.thumbUrl': newUrl } })
+            ]);
+
+            if (deleteLocal) await localBlobStore.remove(key);
+
+            summary.moved++;
+            console.log(`  ✅ ${url} → ${newUrl} (${files.modifiedCount + thumbs.modifiedCount} message(s))`);
+        } catch (error) {
+            summary.failed++;
+            console.error(`  ❌ ${url}:`, error.message);
+        }
+    }
+
+    console.log(`✅ Migration finished — moved: ${summary.moved}, missing: ${summary.missing}, failed: ${summary.failed}`);
+    return summary;
+}
+
+const CLI_COMMANDS = {
+    'migrate-uploads': async args => {
+        const summary = await migrateUploads({
+            dryRun:      args.includes('--dry-run'),
+            deleteLocal: args.includes('--delete-local')
+        });
+        return summary.failed === 0;
+    },
+
+    'gc-uploads': async args => {
+        const dryRun = args.includes('--dry-run');
+        const report = await collectOrphanedAttachments({ dryRun });
+
+        console.log(`🧹 Orphaned uploads older than ${ATTACHMENT_GC_GRACE_MS / 3600000}h${dryRun ? ' (dry run)' : ''}:`);
+        report.removed.forEach(({ url, size }) => {
+            console.log(`  ${dryRun ? '➡️  Would remove' : '🗑️  Removed'} ${url} (${size} bytes)`);
+        });
+        console.log(`✅ ${report.removed.length} file(s), ${report.bytes} bytes — ${report.kept} still referenced, ${report.failed} failed`);
+        return report.failed === 0;
+    }
+};
+
+async function runCliCommand(name, args) {
+    const command = CLI_COMMANDS[name];
+    if (!command) {
+        console.error(`❌ Unknown command "${name}". Available: ${Object.keys(CLI_COMMANDS).join(', ')}`);
+        process.exit(1);
+    }
+
+    let ok = false;
+    try {
+        await databaseReady;
+        ok = await command(args);
+    } catch (error) {
+        console.error(`❌ ${name} failed:`, error);
+    }
+
+    await mongoose.disconnect().catch(() => {});
+    if (embeddedMongo) await embeddedMongo.stop().catch(() => {});
+    process.exit(ok ? 0 : 1);
+}
+
 // ============================================================
 // START SERVER
 // ============================================================
 
 const PORT = process.env.PORT || 8080;
 
-createDirectories().then(() => {
-    server.listen(PORT, () => {
-        console.log('='.repeat(60));
-        console.log('✅ XamePage Server v2.1 - CLOUDINARY EDITION');
-        console.log('='.repeat(60));
-        console.log(`📡 Port:              ${PORT}`);
-        console.log(`🌐 Local:             http://localhost:${PORT}`);
-        console.log(`📁 Base dir:          ${BASE_DIR}`);
-        console.log(`📂 Uploads:           ${uploadDir}`);
-        console.log(`☁️  Profile pics:      Cloudinary (persistent)`);
-        console.log(`🗄️  MongoDB:           Connected`);
-        console.log(`🔐 Auth:              Password enabled`);
-        console.log('='.repeat(60));
-        console.log('Key changes from previous version:');
-        console.log('  ✅ Profile pics → Cloudinary (never disappear)');
-        console.log('  ✅ memoryStorage for profile pic uploads');
-        console.log('  ✅ Cloudinary auto-crops to 256x256 face-aware');
-        console.log('  ✅ Same public_id per user = no orphaned files');
-        console.log('  ✅ Local disk still used for chat file uploads');
-        console.log('='.repeat(60));
+const [cliCommand, ...cliArgs] = process.argv.slice(2);
+
+function startServer() {
+    return createDirectories().then(() => {
+        sweepDataExports();
+        setInterval(sweepDataExports, EXPORT_SWEEP_INTERVAL_MS).unref();
+        sweepUploadSessions();
+        setInterval(sweepUploadSessions, UPLOAD_SWEEP_INTERVAL_MS).unref();
+        sweepOrphanedAttachments();
+        setInterval(sweepOrphanedAttachments, ATTACHMENT_GC_INTERVAL_MS).unref();
+
+        server.listen(PORT, () => {
+            console.log('='.repeat(60));
+            console.log('✅ XamePage Server v2.1 - CLOUDINARY EDITION');
+            console.log('='.repeat(60));
+            console.log(`📡 Port:              ${PORT}`);
+            console.log(`🌐 Local:             http://localhost:${PORT}`);
+            console.log(`📁 Base dir:          ${BASE_DIR}`);
+            console.log(`📂 File storage:      ${blobStore.name}${blobStore === localBlobStore ? ` (${uploadDir})` : ''}`);
+            console.log(`📦 Data exports:      ${exportsDir}`);
+            console.log(`🧩 Upload sessions:   ${uploadSessionsDir}`);
+            console.log(`💾 Storage quota:     ${STORAGE_QUOTA_BYTES ? `${STORAGE_QUOTA_MB} MB per user` : 'off'}`);
+            console.log(`🛡️  Upload scanner:    ${uploadScanner ? `${uploadScanner.name} (quarantine: ${quarantineDir})` : 'off'}`);
+            console.log(`🗄️  MongoDB:           ${IS_LOCAL_MODE ? `Embedded (${LOCAL_DATA_DIR})` : 'Cloud'}`);
+            console.log(`🔐 Auth:              Password + signed session tokens + optional TOTP`);
+            console.log('='.repeat(60));
+            console.log('Key changes from previous version:');
+            console.log('  ✅ Chat files + profile pics → one blob store (local / S3 / Cloudinary)');
+            console.log('  ✅ Attachments spooled to disk, profile pics in memory');
+            console.log('  ✅ Cloudinary auto-crops profile pics to 256x256 face-aware');
+            console.log('  ✅ Same key per user = no orphaned profile pics');
+            console.log('  ✅ `node server.js migrate-uploads` moves old /uploads/ files');
+            console.log('  ✅ Orphaned uploads swept after 24h (`node server.js gc-uploads --dry-run`)');
+            console.log('='.repeat(60));
+        });
+    }).catch(err => {
+        console.error('❌ Failed to start server:', err);
+        process.exit(1);
     });
-}).catch(err => {
-    console.error('❌ Failed to start server:', err);
-    process.exit(1);
-});
\ No newline at end of file
+}
+
+if (cliCommand) {
+    runCliCommand(cliCommand, cliArgs);
+} else {
+    startServer();
+}
\ No newline at end of file
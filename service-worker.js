@@ -4,6 +4,7 @@ const ASSETS = [
   "./",
   "index.html",
   "style.css",
+  "messageState.js",
   "script.js",
   "manifest.json",
   "xamepage_icon.png",
@@ -0,0 +1,81 @@
+//
+// Attachment storage helpers — reference counts, orphan selection and quota.
+// Run with `npm test`.
+//
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    orphanedBefore,
+    planRelease,
+    partitionOrphans,
+    isSweepableUpload,
+    quotaBytes,
+    fitsQuota,
+    toMegabytes,
+    profilePicGrowth
+} = require('../attachmentStorage');
+
+const MB   = 1024 * 1024;
+const UUID = '3f1c2d4e-1111-4222-8333-123456789abc';
+
+test('planRelease orphans what no message points at and recounts the rest', () => {
+    const counts = new Map([['/uploads/a.jpg', 2]]);
+    assert.deepEqual(planRelease(['/uploads/a.jpg', '/uploads/b.pdf', null, '/uploads/b.pdf'], counts), {
+        orphaned: ['/uploads/b.pdf'],
+        counted:  [['/uploads/a.jpg', 2]]
+    });
+    assert.deepEqual(planRelease([], new Map()), { orphaned: [], counted: [] });
+});
+
+test('orphanedBefore falls back to createdAt for records without orphanedAt', () => {
+    const cutoff = new Date('2024-01-02T00:00:00Z');
+    assert.deepEqual(orphanedBefore(cutoff), { $or: [
+        { orphanedAt: { $lte: cutoff } },
+        { orphanedAt: { $exists: false }, createdAt: { $lte: cutoff } }
+    ] });
+});
+
+test('partitionOrphans keeps candidates a message still points at', () => {
+    const a = { url: '/uploads/a.jpg' };
+    const b = { url: '/uploads/b.pdf' };
+    const c = { url: '/uploads/c.png' };
+    const { referenced, orphans } = partitionOrphans([a, b, c], new Map([['/uploads/b.pdf', 3]]));
+
+    assert.deepEqual(referenced, [{ attachment: b, refCount: 3 }]);
+    assert.deepEqual(orphans, [a, c]);
+});
+
+test('the legacy sweep only takes unused files named like uploads', () => {
+    const inUse = new Set([`${UUID}.jpg`]);
+
+    assert.ok(isSweepableUpload(`${UUID}.pdf`, inUse));
+    assert.ok(isSweepableUpload(`${UUID}_thumb.webp`, inUse));
+    assert.ok(isSweepableUpload(UUID, inUse)); // uploaded before extensions were kept
+
+    assert.ok(!isSweepableUpload(`${UUID}.jpg`, inUse));
+    assert.ok(!isSweepableUpload('.gitkeep', inUse));
+    assert.ok(!isSweepableUpload('notes.txt', inUse));
+    assert.ok(!isSweepableUpload(`${UUID}.pdf.bak`, inUse));
+});
+
+test('quota arithmetic counts reserved uploads and ignores a disabled quota', () => {
+    assert.equal(quotaBytes(2048), 2048 * MB);
+    assert.equal(quotaBytes(0), 0);
+    assert.equal(quotaBytes(-5), 0);
+
+    const quota = 100 * MB;
+    assert.ok(fitsQuota({ quota, used: 60 * MB, reserved: 20 * MB, size: 20 * MB }));
+    assert.ok(!fitsQuota({ quota, used: 60 * MB, reserved: 20 * MB, size: 20 * MB + 1 }));
+    assert.ok(fitsQuota({ quota: 0, used: 10 * quota, size: quota }));
+
+    assert.equal(toMegabytes(quota - 60 * MB - 20 * MB), 20);
+    assert.equal(toMegabytes(-3 * MB), 0);
+});
+
+test('a replaced profile picture only counts what it adds', () => {
+    assert.equal(profilePicGrowth(3 * MB, 1 * MB), 2 * MB);
+    assert.equal(profilePicGrowth(1 * MB, 3 * MB), 0);
+    assert.equal(profilePicGrowth(2 * MB, undefined), 2 * MB);
+});
@@ -0,0 +1,94 @@
+//
+// Chat sync helpers — history cursors, conversation keys and change-feed runs.
+// Run with `npm test`.
+//
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    historyCursor,
+    parseHistoryCursor,
+    pastCursorQuery,
+    conversationKey,
+    isUnservableSince,
+    unbrokenRun,
+    nextSince
+} = require('../chatSync');
+
+const NOW         = 1700000000000;
+const IN_FLIGHT   = 30 * 1000;
+const writtenAt   = event => event.writtenAt;
+const events      = (from, to, writtenAt = NOW) => Array.from({ length: to - from + 1 }, (_, i) => ({ seq: from + i, writtenAt }));
+const runOptions  = overrides => ({
+    current:          10,
+    counterUpdatedAt: new Date(NOW),
+    writtenAt,
+    inFlightMs:       IN_FLIGHT,
+    batchSize:        500,
+    now:              NOW,
+    ...overrides
+});
+
+test('history cursors round-trip, ids may contain colons', () => {
+    const cursor = historyCursor({ ts: 1712345678901, messageId: 'msg:42' });
+    assert.equal(cursor, '1712345678901:msg:42');
+    assert.deepEqual(parseHistoryCursor(cursor), { ts: 1712345678901, id: 'msg:42' });
+
+    for (const bad of [undefined, 42, '', ':id', 'abc:id', '123:']) {
+        assert.equal(parseHistoryCursor(bad), null, String(bad));
+    }
+});
+
+test('pastCursorQuery breaks timestamp ties by message id', () => {
+    const cursor = { ts: 100, id: 'm5' };
+    assert.deepEqual(pastCursorQuery(cursor, false), { $or: [
+        { ts: { $lt: 100 } },
+        { ts: 100, messageId: { $lt: 'm5' } }
+    ] });
+    assert.deepEqual(pastCursorQuery(cursor, true).$or[1], { ts: 100, messageId: { $gt: 'm5' } });
+});
+
+test('both directions of a conversation share one seq counter', () => {
+    assert.equal(conversationKey('alice', 'bob'), conversationKey('bob', 'alice'));
+    assert.notEqual(conversationKey('alice', 'bob'), conversationKey('alice', 'carol'));
+});
+
+test('a since that is not a seq, or ahead of the counter, needs a reset', () => {
+    for (const since of [null, undefined, '3', 1.5, -1, 11]) {
+        assert.ok(isUnservableSince(since, 10), String(since));
+    }
+    assert.ok(!isUnservableSince(0, 10));
+    assert.ok(!isUnservableSince(10, 10));
+});
+
+test('unbrokenRun hands out consecutive events and pages by batch size', () => {
+    assert.deepEqual(unbrokenRun(events(4, 10), 3, runOptions()), { events: events(4, 10), hasMore: false });
+
+    const paged = unbrokenRun(events(4, 10), 3, runOptions({ batchSize: 3 }));
+    assert.deepEqual(paged.events.map(e => e.seq), [4, 5, 6]);
+    assert.equal(paged.hasMore, true);
+    assert.equal(nextSince(paged.events, 3), 6);
+    assert.equal(nextSince([], 3), 3);
+});
+
+test('unbrokenRun stops before a seq still being written', () => {
+    // 6 is missing, 7 was written a moment ago: 6 may still arrive
+    const found = [...events(4, 5), ...events(7, 10, NOW - 1000)];
+    assert.deepEqual(unbrokenRun(found, 3, runOptions()), { events: events(4, 5), hasMore: false });
+});
+
+test('unbrokenRun resets on a seq that was lost', () => {
+    // 7 was written well after 6 was handed out, and 6 never arrived
+    const found = [...events(4, 5), ...events(7, 10, NOW - IN_FLIGHT - 1)];
+    assert.deepEqual(unbrokenRun(found, 3, runOptions()), { reset: true });
+});
+
+test('unbrokenRun waits for a recent tail and resets on a lost one', () => {
+    // Counter is at 10, events end at 8
+    const found = events(4, 8);
+    assert.deepEqual(unbrokenRun(found, 3, runOptions()), { events: found, hasMore: false });
+    assert.deepEqual(unbrokenRun(found, 3, runOptions({ counterUpdatedAt: new Date(NOW - IN_FLIGHT - 1) })),
+        { reset: true });
+    assert.deepEqual(unbrokenRun(found, 3, runOptions({ counterUpdatedAt: undefined })), { reset: true });
+});
@@ -0,0 +1,106 @@
+//
+// Local chat state — stranded bubbles, what may be resent, history merges.
+// Run with `npm test`.
+//
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    UPLOAD_REJECTION_LABELS,
+    isUnsentStatus,
+    uploadFailureLabel,
+    strandedStatus,
+    canRebuildFromBubble,
+    mergeHistoryPage
+} = require('../messageState');
+
+test('failed uploads count as unsent and carry their reason', () => {
+    for (const status of ['sending', 'failed', 'upload-failed']) assert.ok(isUnsentStatus(status));
+    for (const status of ['sent', 'delivered', 'seen']) assert.ok(!isUnsentStatus(status));
+
+    assert.equal(uploadFailureLabel('QUOTA_EXCEEDED'), UPLOAD_REJECTION_LABELS.QUOTA_EXCEEDED);
+    assert.equal(uploadFailureLabel(null), 'Upload failed ⚠️');
+});
+
+test('strandedStatus leaves messages that can still make progress alone', () => {
+    const queued = new Set(['queued-1']);
+    const sending = { id: 'm1', type: 'sent', status: 'sending', text: 'hi' };
+
+    assert.equal(strandedStatus({ ...sending, id: 'queued-1' }, queued), null);
+    assert.equal(strandedStatus({ ...sending, isPending: true }, queued), null);
+    assert.equal(strandedStatus({ ...sending, status: 'upload-failed' }, queued), null);
+    assert.equal(strandedStatus({ ...sending, type: 'received' }, queued), null);
+    assert.equal(strandedStatus(sending, queued), 'failed');
+});
+
+test('failed uploads left in sending by older versions are not offered for resend', () => {
+    const stuck = { id: 'm2', type: 'sent', status: 'sending', text: UPLOAD_REJECTION_LABELS.MALWARE_DETECTED };
+    assert.equal(strandedStatus(stuck, new Set()), 'upload-failed');
+    assert.equal(strandedStatus({ ...stuck, text: 'Upload failed ⚠️' }, new Set()), 'upload-failed');
+});
+
+test('only a failed text message can be rebuilt from its bubble', () => {
+    assert.ok(canRebuildFromBubble({ status: 'failed', text: 'hello' }));
+
+    assert.ok(!canRebuildFromBubble(undefined));
+    assert.ok(!canRebuildFromBubble({ status: 'upload-failed', text: 'Upload failed ⚠️' }));
+    assert.ok(!canRebuildFromBubble({ status: 'failed', text: 'Upload failed ⚠️' }));
+    assert.ok(!canRebuildFromBubble({ status: 'failed', text: '', file: { url: '/files/x' } }));
+    assert.ok(!canRebuildFromBubble({ status: 'failed', text: '' }));
+});
+
+test('mergeHistoryPage takes statuses and fresh links from the server page', () => {
+    const local = [
+        { id: 'a', type: 'sent', ts: 10, seq: 1, status: 'sent', file: { url: '/files/a?exp=1', name: 'a.pdf' } },
+        { id: 'b', type: 'received', ts: 20, seq: 2, status: 'seen' },
+        { id: 'c', type: 'sent', ts: 25, status: 'sending' }
+    ];
+    const server = [
+        { id: 'a', type: 'sent', ts: 10, seq: 1, status: 'seen', file: { url: '/files/a?exp=2' } },
+        { id: 'b', type: 'received', ts: 20, seq: 2, status: 'delivered' },
+        { id: 'c', type: 'sent', ts: 30, seq: 3, status: 'sent' }
+    ];
+
+    const merged = mergeHistoryPage(local, server, 50);
+    assert.equal(merged.replaced, false);
+    assert.equal(merged.updated, 2);
+    assert.deepEqual(merged.messages.map(m => [m.id, m.status]), [['a', 'seen'], ['b', 'seen'], ['c', 'sent']]);
+    assert.deepEqual(merged.messages[0].file, { url: '/files/a?exp=2', name: 'a.pdf' });
+    // The lost ack's message moves to the server's clock and seq
+    assert.equal(merged.messages[2].ts, 30);
+    assert.equal(merged.messages[2].seq, 3);
+    // The local copy is left untouched
+    assert.equal(local[0].status, 'sent');
+});
+
+test('mergeHistoryPage drops what the server deleted, only inside the page', () => {
+    const page = Array.from({ length: 3 }, (_, i) => ({ id: `m${i + 5}`, ts: 100 + i, status: 'sent', type: 'sent' }));
+    const local = [
+        { id: 'old', ts: 50, status: 'sent', type: 'sent' },            // before the page: unknown, kept
+        { id: 'm5', ts: 100, status: 'sent', type: 'sent' },
+        { id: 'gone', ts: 101, status: 'delivered', type: 'received' }, // inside the page, deleted
+        { id: 'draft', ts: 150, status: 'failed', type: 'sent' }        // unsent, kept
+    ];
+
+    const merged = mergeHistoryPage(local, page, 3);
+    assert.equal(merged.removed, 1);
+    assert.equal(merged.added, 2);
+    assert.deepEqual(merged.messages.map(m => m.id), ['old', 'm5', 'm6', 'm7', 'draft']);
+
+    // A short page is the whole conversation: nothing before it survives either
+    const whole = mergeHistoryPage(local, page.slice(0, 1), 3);
+    assert.deepEqual(whole.messages.map(m => m.id), ['m5', 'draft']);
+});
+
+test('mergeHistoryPage replaces a local copy the full page shares nothing with', () => {
+    const page = [{ id: 'x', ts: 300, status: 'sent' }, { id: 'y', ts: 301, status: 'sent' }];
+    const local = [{ id: 'old', ts: 10, status: 'seen' }, { id: 'draft', ts: 400, status: 'sending' }];
+
+    const merged = mergeHistoryPage(local, page, 2);
+    assert.equal(merged.replaced, true);
+    assert.deepEqual(merged.messages.map(m => m.id), ['x', 'y', 'draft']);
+
+    // Nothing held yet but unsent messages: a plain merge
+    assert.equal(mergeHistoryPage([local[1]], page, 2).replaced, false);
+});
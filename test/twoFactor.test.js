@@ -0,0 +1,104 @@
+//
+// Two-factor helpers — RFC 6238 vectors and the backup-code paths.
+// Run with `npm test`.
+//
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    TOTP_PERIOD_S,
+    base32Encode,
+    base32Decode,
+    totpCode,
+    verifyTotp,
+    generateRecoveryCodes,
+    matchSecondFactor
+} = require('../twoFactor');
+
+// RFC 6238 Appendix B: SHA-1 seed and the expected 8-digit values
+const RFC_SEED = Buffer.from('12345678901234567890', 'ascii');
+const RFC_VECTORS = [
+    { time: 59,          code: '94287082' },
+    { time: 1111111109,  code: '07081804' },
+    { time: 1111111111,  code: '14050471' },
+    { time: 1234567890,  code: '89005924' },
+    { time: 2000000000,  code: '69279037' },
+    { time: 20000000000, code: '65353130' }
+];
+
+// RFC 4648 section 10
+const BASE32_VECTORS = [
+    ['',       ''],
+    ['f',      'MY'],
+    ['fo',     'MZXQ'],
+    ['foo',    'MZXW6'],
+    ['foob',   'MZXW6YQ'],
+    ['fooba',  'MZXW6YTB'],
+    ['foobar', 'MZXW6YTBOI']
+];
+
+test('totpCode matches the RFC 6238 SHA-1 vectors', () => {
+    for (const { time, code } of RFC_VECTORS) {
+        const step = Math.floor(time / TOTP_PERIOD_S);
+        assert.equal(totpCode(RFC_SEED, step, 8), code, `T=${time}`);
+    }
+});
+
+test('base32 round-trips the RFC 4648 vectors', () => {
+    for (const [plain, encoded] of BASE32_VECTORS) {
+        assert.equal(base32Encode(Buffer.from(plain)), encoded);
+        assert.equal(base32Decode(encoded).toString(), plain);
+    }
+    // Padding, spaces, dashes and lower case are tolerated on input
+    assert.equal(base32Decode('mzxw-6ytb oi======').toString(), 'foobar');
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+});
+
+test('verifyTotp accepts one step of drift and refuses replays', () => {
+    const secret = base32Encode(RFC_SEED);
+    const now    = 1111111111 * 1000;
+    const step   = Math.floor(now / 1000 / TOTP_PERIOD_S);
+
+    assert.equal(verifyTotp(secret, totpCode(RFC_SEED, step), 0, now), step);
+    assert.equal(verifyTotp(secret, totpCode(RFC_SEED, step - 1), 0, now), step - 1);
+    assert.equal(verifyTotp(secret, totpCode(RFC_SEED, step + 1), 0, now), step + 1);
+    assert.equal(verifyTotp(secret, totpCode(RFC_SEED, step + 2), 0, now), null);
+
+    // A step already used can't be used again
+    assert.equal(verifyTotp(secret, totpCode(RFC_SEED, step), step, now), null);
+    assert.equal(verifyTotp(secret, 'abcdef', 0, now), null);
+});
+
+test('backup codes match in any case or spacing and are claimed by their hash', async () => {
+    const { codes, hashes } = await generateRecoveryCodes();
+    const user = {
+        twoFactor: { secret: base32Encode(RFC_SEED), lastUsedStep: 0, backupCodes: hashes.slice() }
+    };
+
+    const typed = codes[3].toLowerCase().replace('-', ' ');
+    const match = await matchSecondFactor(user, typed);
+    assert.equal(match.method, 'backup');
+    // Only an update that still finds the hash may use it, and it removes it
+    assert.deepEqual(match.filter, { 'twoFactor.backupCodes': hashes[3] });
+    assert.deepEqual(match.update, { $pull: { 'twoFactor.backupCodes': hashes[3] } });
+    // The user as loaded is left alone: the conditional update is the only write
+    assert.equal(user.twoFactor.backupCodes.length, codes.length);
+
+    user.twoFactor.backupCodes = hashes.filter((_, i) => i !== 3);
+    assert.equal(await matchSecondFactor(user, codes[3]), null);
+});
+
+test('a TOTP code is claimed only while its step is newer than the last one used', async () => {
+    const user = { twoFactor: { secret: base32Encode(RFC_SEED), lastUsedStep: 0, backupCodes: [] } };
+    const step = Math.floor(Date.now() / 1000 / TOTP_PERIOD_S);
+    const code = totpCode(RFC_SEED, step);
+
+    const match = await matchSecondFactor(user, code);
+    assert.equal(match.method, 'totp');
+    assert.deepEqual(match.filter, { 'twoFactor.lastUsedStep': { $not: { $gte: step } } });
+    assert.deepEqual(match.update, { $set: { 'twoFactor.lastUsedStep': step } });
+
+    user.twoFactor.lastUsedStep = step;
+    assert.equal(await matchSecondFactor(user, code), null);
+});
@@ -0,0 +1,188 @@
+//
+// XamePage two-factor helpers
+//
+// TOTP (RFC 6238), base32 secrets and one-time recovery / backup codes.
+// Kept free of Express and Mongoose so `npm test` can check them against
+// the RFC vectors without a database.
+//
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+// ============================================================
+// RECOVERY AND BACKUP CODES
+// ============================================================
+
+const RECOVERY_CODE_COUNT    = 10;
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O/1/I
+
+// Codes are compared case-insensitively and without separators
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Generate a fresh set of one-time recovery codes.
+ * Returns the plain codes (shown to the user once) and their bcrypt hashes (stored).
+ */
+async function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        let raw = '';
+        for (const byte of crypto.randomBytes(10)) {
+            raw += RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length];
+        }
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+
+    const hashes = await Promise.all(
+        codes.map(code => bcrypt.hash(normalizeRecoveryCode(code), 10))
+    );
+
+    return { codes, hashes };
+}
+
+/**
+ * Check a one-time code against a list of stored hashes
+ * (account recovery codes or 2FA backup codes).
+ * Returns the index of the matching hash, or -1.
+ */
+async function findRecoveryCodeIndex(hashes, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return -1;
+
+    for (let i = 0; i < (hashes || []).length; i++) {
+        if (await bcrypt.compare(normalized, hashes[i])) return i;
+    }
+    return -1;
+}
+
+// ============================================================
+// TOTP (RFC 6238)
+// ============================================================
+
+const TOTP_ISSUER       = 'XamePage';
+const TOTP_PERIOD_S     = 30;
+const TOTP_DIGITS       = 6;
+const TOTP_WINDOW       = 1;              // accept one step of clock drift either way
+const BASE32_ALPHABET   = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0, value = 0, output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20)); // 160 bits, as RFC 4226 recommends
+}
+
+/**
+ * HOTP value (RFC 4226) for one TOTP time step.
+ * `key` is the raw secret; digits defaults to 6.
+ */
+function totpCode(key, step, digits = TOTP_DIGITS) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac   = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+    return String(binary).padStart(digits, '0');
+}
+
+/**
+ * Check a 6-digit code against a base32 secret.
+ * Returns the matching time step, or null. Steps at or before
+ * `lastUsedStep` are refused so a seen code can't be replayed.
+ */
+function verifyTotp(secret, code, lastUsedStep = 0, now = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(candidate) || !secret) return null;
+
+    const key         = base32Decode(secret);
+    const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_S);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        const step = currentStep + drift;
+        if (step <= lastUsedStep) continue;
+
+        const expected = Buffer.from(totpCode(key, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return step;
+    }
+    return null;
+}
+
+function buildOtpauthUrl(user, secret) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${user.xameId}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_S}`;
+}
+
+/**
+ * Check a current TOTP code or an unused backup code against the user as loaded.
+ * Returns null, or { method: 'totp' | 'backup', filter, update }: the code only
+ * counts once User.findOneAndUpdate({ _id, ...filter }, update) matches, so two
+ * logins racing with the same code can't both use it.
+ */
+async function matchSecondFactor(user, code) {
+    const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step !== null) {
+        return {
+            method: 'totp',
+            filter: { 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+            update: { $set: { 'twoFactor.lastUsedStep': step } }
+        };
+    }
+
+    const backupIndex = await findRecoveryCodeIndex(user.twoFactor.backupCodes, code);
+    if (backupIndex !== -1) {
+        const hash = user.twoFactor.backupCodes[backupIndex];
+        return {
+            method: 'backup',
+            filter: { 'twoFactor.backupCodes': hash },
+            update: { $pull: { 'twoFactor.backupCodes': hash } }
+        };
+    }
+    return null;
+}
+
+module.exports = {
+    TOTP_PERIOD_S,
+    TOTP_DIGITS,
+    normalizeRecoveryCode,
+    generateRecoveryCodes,
+    findRecoveryCodeIndex,
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    totpCode,
+    verifyTotp,
+    buildOtpauthUrl,
+    matchSecondFactor
+};